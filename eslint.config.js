@@ -0,0 +1,17 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: { ecmaVersion: 2022, sourceType: 'commonjs', globals: globals.node },
+        rules: {
+            'no-unused-vars': ['error', { caughtErrors: 'none' }] // `catch (err) { ... }` without using err is fine
+        }
+    },
+    {
+        files: ['public/**/*.js'],
+        languageOptions: { sourceType: 'script', globals: { ...globals.browser, ...globals.serviceworker } }
+    }
+];
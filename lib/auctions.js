@@ -0,0 +1,115 @@
+const Livestock = require('../models/Livestock');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const AdminNotification = require('../models/AdminNotification');
+const { getSettings } = require('./settings');
+const { quoteDelivery } = require('./delivery');
+const { flagCartItems } = require('./cart');
+const { notifyUser } = require('./notifications');
+
+// --- CLOSING AUCTIONS ---
+// Run by the close-auctions job (see server.js) once an auction's end time has passed. The highest
+// bidder gets a Pending order at their bid if it reached the reserve; the seller, the bidder and the
+// admins are told how it ended.
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// The winner's order, at their bid, for delivery to their default address. If we don't deliver there it
+// is set up for pickup and the admins are asked to arrange things with the buyer.
+async function createAuctionOrder(livestock, winner) {
+    const { paymentHours } = await getSettings('auctions');
+    const price = livestock.auction.currentBid;
+    const saved = winner.addresses.find(entry => entry.isDefault) || winner.addresses[0];
+    const address = saved ? { name: saved.name, phone: saved.phone, line1: saved.line1, line2: saved.line2, city: saved.city, state: saved.state, pincode: saved.pincode } : {};
+    let quote = await quoteDelivery(address.pincode, price, 'delivery');
+    if (!quote.available) quote = await quoteDelivery(address.pincode, price, 'pickup');
+
+    const order = await Order.create({
+        items: [{ _id: livestock._id.toString(), name: livestock.name, price, breed: livestock.breed, type: livestock.type, weight: livestock.weightKg !== undefined ? String(livestock.weightKg) : undefined, sellerId: livestock.sellerId }],
+        address,
+        total: price + quote.charge,
+        date: new Date().toLocaleString('en-IN', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+        status: 'Pending',
+        delivery: { method: quote.method, zone: quote.zone, charge: quote.charge },
+        expiresAt: new Date(Date.now() + paymentHours * MS_PER_HOUR),
+        statusHistory: [{ from: null, to: 'Pending', note: `Won at auction for ₹${price}` }],
+        userId: winner._id,
+        customer: winner.name
+    });
+    return { order, paymentHours, pickupInstead: quote.method === 'pickup' };
+}
+
+// Settles one auction whose end time has passed. The claim only matches while the auction is still open
+// with the end time that was read, so a last-second bid that extended it leaves it for a later run.
+async function closeAuction(livestock) {
+    const { auction } = livestock;
+    const ref = `"${livestock.name}"`;
+    let outcome = 'sold';
+    if (livestock.status !== 'Available') outcome = 'withdrawn';
+    else if (!auction.bidCount) outcome = 'no_bids';
+    else if (!auction.reserveMet) outcome = 'reserve_not_met';
+
+    const claim = { _id: livestock._id, 'auction.closedAt': null, 'auction.endsAt': auction.endsAt, status: livestock.status };
+    const $set = { 'auction.closedAt': new Date(), 'auction.outcome': outcome };
+    if (outcome === 'sold') $set.status = 'Sold';
+    const claimed = await Livestock.updateOne(claim, { $set });
+    if (claimed.modifiedCount === 0) return null;
+
+    if (outcome === 'sold') {
+        const winner = await User.findById(auction.currentBidderId, 'name addresses');
+        if (winner) {
+            let result;
+            try { result = await createAuctionOrder(livestock, winner); }
+            catch (err) {
+                // Reopen it as it was so the next run tries again
+                await Livestock.updateOne({ _id: livestock._id }, { $set: { status: 'Available', 'auction.closedAt': null }, $unset: { 'auction.outcome': '' } });
+                throw err;
+            }
+            const { order, paymentHours, pickupInstead } = result;
+            await Livestock.updateOne({ _id: livestock._id }, { $set: { 'auction.orderId': order._id } });
+            await flagCartItems([livestock._id], true);
+            const orderRef = order._id.toString().slice(-6);
+            await notifyUser(winner._id, {
+                id: `auction_won_${livestock._id}`,
+                title: 'You Won the Auction',
+                message: `Your bid of ₹${auction.currentBid} won ${ref}. Pay for Order #${orderRef} within ${paymentHours} hour${paymentHours === 1 ? '' : 's'} to keep it.${pickupInstead ? " We don't deliver to your saved address yet, so we'll be in touch about collection." : ''}`,
+                icon: 'award',
+                color: 'green'
+            });
+            await AdminNotification.create({
+                message: `Auction for ${ref} closed at ₹${auction.currentBid}. Order #${orderRef} created for ${winner.name}${pickupInstead ? ' (no delivery to their address: set up as pickup, please contact them)' : ''}.`,
+                type: pickupInstead ? 'warning' : 'success',
+                orderId: order._id
+            });
+            if (livestock.sellerId) {
+                await notifyUser(livestock.sellerId, { id: `auction_sold_${livestock._id}`, title: 'Auction Won', message: `${ref} sold at auction for ₹${auction.currentBid}. The buyer has been asked to pay.`, icon: 'award', color: 'green' });
+            }
+            return { outcome, orderId: order._id };
+        }
+        // The winning account is gone: put the animal back and leave the rest to an admin
+        outcome = 'winner_unavailable';
+        await Livestock.updateOne({ _id: livestock._id }, { $set: { status: 'Available', 'auction.outcome': outcome } });
+    }
+
+    const wording = {
+        no_bids: `The auction for ${ref} ended without any bids.`,
+        reserve_not_met: `The auction for ${ref} ended at ₹${auction.currentBid || livestock.price}, below the reserve price. The animal was not sold.`,
+        withdrawn: `The auction for ${ref} was closed without a sale because the listing was taken off sale.`,
+        winner_unavailable: `The auction for ${ref} ended at ₹${auction.currentBid}, but the winning bidder's account no longer exists. The animal was not sold.`
+    }[outcome];
+    await AdminNotification.create({ message: wording, type: outcome === 'winner_unavailable' ? 'warning' : 'info' });
+    if (livestock.sellerId) {
+        await notifyUser(livestock.sellerId, { id: `auction_closed_${livestock._id}_${Date.now()}`, title: 'Auction Closed', message: `${wording} You can start a new auction or sell at a fixed price.`, icon: 'clock', color: 'yellow' });
+    }
+    if (auction.currentBidderId && ['reserve_not_met', 'withdrawn'].includes(outcome)) {
+        await notifyUser(auction.currentBidderId, {
+            id: `auction_closed_${livestock._id}_${Date.now()}`,
+            title: 'Auction Closed',
+            message: outcome === 'withdrawn' ? `The auction for ${ref} was withdrawn. You have not been charged.` : `Your bid of ₹${auction.currentBid} on ${ref} did not reach the seller's reserve price, so the animal was not sold.`,
+            icon: 'clock',
+            color: 'yellow'
+        });
+    }
+    return { outcome };
+}
+
+module.exports = { closeAuction };
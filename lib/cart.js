@@ -0,0 +1,15 @@
+const User = require('../models/User');
+
+// --- CART FLAGS ---
+// Keeps cart flags in step with stock changes so other buyers see "sold" without waiting for a refresh
+async function flagCartItems(ids, unavailable) {
+    const strIds = ids.map(id => id.toString());
+    if (strIds.length === 0) return;
+    await User.updateMany(
+        { 'cart._id': { $in: strIds } },
+        { $set: { 'cart.$[c].unavailable': unavailable } },
+        { arrayFilters: [{ 'c._id': { $in: strIds } }] }
+    ).catch(err => console.error('Cart Flag Error:', err));
+}
+
+module.exports = { flagCartItems };
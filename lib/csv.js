@@ -0,0 +1,24 @@
+const { parse } = require('csv-parse/sync');
+
+// --- CSV ---
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Names come from users; stop spreadsheets from treating them as formulas
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is [[key, label], ...]
+function toCsv(columns, rows) {
+    const lines = [columns.map(([, label]) => csvCell(label)).join(',')];
+    for (const row of rows) lines.push(columns.map(([key]) => csvCell(row[key])).join(','));
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Header row + data rows -> array of arrays (header included). Handles quotes, CRLF and a UTF-8 BOM.
+function parseCsv(buffer) {
+    return parse(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+}
+
+module.exports = { csvCell, toCsv, parseCsv };
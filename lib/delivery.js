@@ -0,0 +1,23 @@
+const { getSettings } = require('./settings');
+
+// --- DELIVERY CHARGES ---
+// Price of getting `subtotal` worth of animals to `pincode`: the zone with the longest matching prefix,
+// else the default charge. Returns { available, method, zone, charge }.
+async function quoteDelivery(pincode, subtotal, method = 'delivery') {
+    if (method === 'pickup') return { available: true, method, zone: '', charge: 0 };
+    const settings = await getSettings('delivery');
+    const code = String(pincode || '');
+    let zone = null;
+    let matched = 0;
+    for (const candidate of settings.zones) {
+        for (const prefix of candidate.pincodes) {
+            if (code.startsWith(prefix) && prefix.length > matched) { zone = candidate; matched = prefix.length; }
+        }
+    }
+    const charge = zone ? zone.charge : settings.defaultCharge;
+    if (charge === null) return { available: false, method, zone: '', charge: 0 };
+    const free = settings.freeAbove > 0 && subtotal >= settings.freeAbove;
+    return { available: true, method, zone: zone ? zone.name : '', charge: free ? 0 : charge };
+}
+
+module.exports = { quoteDelivery };
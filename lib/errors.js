@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// --- HTTP ERRORS ---
+// Routes pass errors to next() (or throw them from helpers) with `status`, and optionally a stable
+// `code` and `details`. errorHandler turns every error into one shape:
+// { error: { code, message, details, requestId } }
+const DEFAULT_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_FILE_TYPE',
+    422: 'UNPROCESSABLE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+function httpError(status, message, { code, details } = {}) {
+    const err = new Error(message);
+    err.status = status;
+    err.expose = true; // Written for the client, unlike the message of an unexpected error
+    if (code) err.code = code;
+    if (details !== undefined) err.details = details;
+    return err;
+}
+
+// { field: message } (as returned by lib/livestockInput.js) -> 400 VALIDATION_FAILED
+function fieldErrors(errors, location = 'body') {
+    const details = Object.entries(errors).map(([path, message]) => ({ location, path, message }));
+    return httpError(400, details.length === 1 ? details[0].message : 'Invalid request', { code: 'VALIDATION_FAILED', details });
+}
+
+// Maps anything a route, Mongoose, multer or body-parser can throw to { status, code, message, details }.
+// Only errors that carry a status (or are known client errors) expose their message.
+function describe(err) {
+    if (err.name === 'CastError') return { status: 400, code: 'INVALID_ID', message: `Invalid ${err.path}` };
+    if (err.name === 'ValidationError' && err.errors) {
+        const errors = {};
+        for (const [path, e] of Object.entries(err.errors)) errors[path] = e.kind === 'required' ? `${path} is required` : e.message;
+        return describe(fieldErrors(errors));
+    }
+    if (err.name === 'DocumentNotFoundError' || err.name === 'VersionError') return { status: 409, code: 'CONFLICT', message: 'The record was changed or removed by someone else. Reload and try again.' };
+    if (err.code === 11000) return { status: 409, code: 'DUPLICATE', message: 'A record with these details already exists' };
+    if (err.name === 'MulterError') {
+        const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+        return { status: tooLarge ? 413 : 400, code: tooLarge ? 'FILE_TOO_LARGE' : 'UPLOAD_REJECTED', message: err.message };
+    }
+    if (err.type === 'entity.parse.failed') return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+    if (err.type === 'entity.too.large') return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+
+    const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 600 ? err.status : 500;
+    if (status >= 500 && !err.expose) return { status, code: DEFAULT_CODES[status] || 'INTERNAL_ERROR', message: 'Something went wrong. Please try again.' };
+    return {
+        status,
+        code: typeof err.code === 'string' ? err.code : DEFAULT_CODES[status] || 'ERROR',
+        message: err.message,
+        details: err.details
+    };
+}
+
+// Tags each request with an id (kept from X-Request-Id when a proxy already set a sane one), echoed in
+// the response header and in error bodies so a customer's report can be matched to the server log
+function requestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.:-]{8,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+function notFoundHandler(req, res, next) {
+    next(httpError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+// Express recognises error handlers by their four arguments, so `next` must stay
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    const { status, code, message, details } = describe(err);
+    if (status >= 500) console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+    res.status(status).json({ error: { code, message, details, requestId: req.id } });
+}
+
+module.exports = { httpError, fieldErrors, describe, requestId, notFoundHandler, errorHandler };
@@ -0,0 +1,117 @@
+const { EventEmitter } = require('events');
+
+const StreamEvent = require('../models/StreamEvent');
+const Counter = require('../models/Counter');
+
+// --- REAL-TIME EVENTS (Server-Sent Events) ---
+// publish() stores the event and wakes local streams at once; streams also poll the store so
+// events published by other server instances arrive within POLL_MS.
+//
+// Events are numbered from a database counter, so the order is the same on every instance. A number is
+// drawn a moment before its event is stored, though, so a lower one can land after a higher one has
+// already been sent. Streams therefore keep re-reading the last SETTLE_MS worth of numbers and skip
+// the ones they have sent.
+const local = new EventEmitter();
+local.setMaxListeners(0);
+
+const SEQUENCE = 'stream-events';
+const POLL_MS = 5000;
+const SETTLE_MS = 30000;
+const HEARTBEAT_MS = 25000;
+const REPLAY_LIMIT = 100;
+
+// Serverless hosts cut requests off at their function timeout (SERVERLESS_TIMEOUT_MS; Vercel's default
+// of 10 seconds when running there). Streams end a little before it and the client reconnects with
+// Last-Event-ID, losing nothing. Long-running servers keep a stream for SSE_MAX_STREAM_MS.
+const SERVERLESS_TIMEOUT_MS = parseInt(process.env.SERVERLESS_TIMEOUT_MS, 10) || (process.env.VERCEL ? 10 * 1000 : 0);
+const MAX_STREAM_MS = Math.min(
+    parseInt(process.env.SSE_MAX_STREAM_MS, 10) || 5 * 60 * 1000,
+    SERVERLESS_TIMEOUT_MS ? Math.max(SERVERLESS_TIMEOUT_MS - 2000, 1000) : Infinity
+);
+
+async function publish(channel, type, data) {
+    const seq = await Counter.next(SEQUENCE);
+    const event = await StreamEvent.create({ seq, channel, type, data });
+    local.emit(channel, event);
+    return event;
+}
+
+// Never let a notification side channel break the request that triggered it
+function publishSafe(channel, type, data) {
+    return publish(channel, type, data).catch(err => console.error('Event Publish Error:', err));
+}
+
+// Serves an SSE stream of `channels` on an Express response until the client disconnects.
+function openEventStream(req, res, channels) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    // Ids from before events were numbered (ObjectIds) count as no id at all
+    const lastEventId = String(req.get('Last-Event-ID') || req.query.lastEventId || '');
+    const requested = /^[0-9]{1,15}$/.test(lastEventId) ? Number(lastEventId) : null;
+    // Everything at or below `floor` has been dealt with. `sent` holds what went out above it, with
+    // when this stream first saw each number; once that is SETTLE_MS ago the floor moves past it.
+    let floor = null;
+    const sent = new Map();
+    let closed = false;
+    let polling = false;
+    let pollAgain = false;
+
+    const send = (event) => {
+        if (closed || event.seq <= floor || sent.has(event.seq)) return;
+        sent.set(event.seq, Date.now());
+        res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const settle = () => {
+        const settled = Date.now() - SETTLE_MS;
+        for (const [seq, seenAt] of sent) {
+            if (seenAt > settled) continue;
+            floor = Math.max(floor, seq);
+            sent.delete(seq);
+        }
+        for (const seq of sent.keys()) if (seq <= floor) sent.delete(seq);
+    };
+
+    const poll = async () => {
+        if (closed) return;
+        if (polling) { pollAgain = true; return; }
+        polling = true;
+        try {
+            // Fresh connections start from "now"; reconnects replay everything after their last id
+            if (floor === null) floor = requested !== null ? requested : await Counter.current(SEQUENCE);
+            do {
+                pollAgain = false;
+                const events = await StreamEvent.find({ channel: { $in: channels }, seq: { $gt: floor, $nin: [...sent.keys()] } }).sort({ seq: 1 }).limit(REPLAY_LIMIT);
+                events.forEach(send);
+                if (events.length === REPLAY_LIMIT) pollAgain = true;
+            } while (pollAgain && !closed);
+            settle();
+        } catch (err) { console.error('Event Stream Error:', err); }
+        polling = false;
+    };
+
+    // Local events go through poll() too, so ordering and de-duplication stay in one place
+    const onLocal = () => poll();
+    channels.forEach(channel => local.on(channel, onLocal));
+    const pollTimer = setInterval(poll, POLL_MS);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const lifetime = setTimeout(() => res.end(), MAX_STREAM_MS);
+
+    const cleanup = () => {
+        closed = true;
+        channels.forEach(channel => local.off(channel, onLocal));
+        clearInterval(pollTimer);
+        clearInterval(heartbeat);
+        clearTimeout(lifetime);
+    };
+    req.on('close', cleanup);
+    res.on('finish', cleanup);
+
+    poll();
+}
+
+const userChannel = (userId) => `user:${userId}`;
+
+module.exports = { publish, publishSafe, openEventStream, userChannel };
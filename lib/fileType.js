@@ -0,0 +1,56 @@
+const { httpError } = require('./errors');
+
+// --- FILE TYPE SNIFFING ---
+// Uploads are typed by their first bytes, never by the client's Content-Type or file name: a proof
+// stored as "image/png" is served back with that type, so an HTML page posing as one must not get in.
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/webm'];
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// ISO base media files (MP4, MOV) open with a "ftyp" box naming the brand
+const QUICKTIME_BRANDS = ['qt  '];
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VP', 'dash', 'msnv', '3gp4', '3gp5'];
+
+// Returns the MIME type the content actually is, or null when it is none of the types we accept
+function sniffType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return 'image/gif';
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return 'video/webm';
+    if (ascii(buffer, 4, 8) === 'ftyp') {
+        const brand = ascii(buffer, 8, 12);
+        if (QUICKTIME_BRANDS.includes(brand)) return 'video/quicktime';
+        if (MP4_BRANDS.includes(brand)) return 'video/mp4';
+    }
+    return null;
+}
+
+function uploadedFiles(req) {
+    if (req.file) return [req.file];
+    if (Array.isArray(req.files)) return req.files;
+    return req.files ? Object.values(req.files).flat() : [];
+}
+
+// Middleware, after multer: rejects any uploaded file whose content isn't one of `types` (415) and
+// replaces its mimetype with the sniffed one. `fields` limits the check to those form fields.
+function requireFileTypes(types, { fields, label = 'a supported file' } = {}) {
+    return (req, res, next) => {
+        for (const file of uploadedFiles(req)) {
+            if (fields && !fields.includes(file.fieldname)) continue;
+            const type = sniffType(file.buffer);
+            if (!type || !types.includes(type)) {
+                return next(httpError(415, `${file.originalname || 'The file'} is not ${label}`, {
+                    code: 'UNSUPPORTED_FILE_TYPE', details: { field: file.fieldname, allowed: types }
+                }));
+            }
+            file.mimetype = type;
+        }
+        next();
+    };
+}
+
+module.exports = { IMAGE_TYPES, VIDEO_TYPES, sniffType, requireFileTypes };
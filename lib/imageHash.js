@@ -0,0 +1,29 @@
+const sharp = require('sharp');
+
+// 64-bit difference hash (dHash): shrink to 9x8 greyscale and record whether each pixel is
+// brighter than its right neighbour. Survives re-saving, recompression and resizing, and
+// small crops or overlays only flip a few bits. Returns 16 hex chars, or null for non-images.
+async function perceptualHash(buffer) {
+    let pixels;
+    try {
+        pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    } catch (err) { return null; }
+
+    let bits = '';
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            bits += pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? '1' : '0';
+        }
+    }
+    return BigInt('0b' + bits).toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two hashes (0 = identical, 64 = opposite)
+function hammingDistance(a, b) {
+    let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+    let count = 0;
+    while (diff) { count += Number(diff & 1n); diff >>= 1n; }
+    return count;
+}
+
+module.exports = { perceptualHash, hammingDistance };
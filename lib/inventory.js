@@ -0,0 +1,286 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+
+const Livestock = require('../models/Livestock');
+const { toCsv, parseCsv } = require('./csv');
+const { storeMedia, deleteMediaFiles } = require('./media');
+const { sniffType } = require('./fileType');
+const { parseLivestockInput, validationErrors } = require('./livestockInput');
+
+// --- BULK INVENTORY IMPORT / EXPORT ---
+const MAX_ROWS = 1000;
+const MAX_ARCHIVE_BYTES = 300 * 1024 * 1024; // Uncompressed, guards against zip bombs
+const MAX_MEDIA_BYTES = 50 * 1024 * 1024; // Same cap as gallery uploads
+
+const MEDIA_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif',
+    '.mp4': 'video/mp4', '.mov': 'video/quicktime', '.webm': 'video/webm'
+};
+
+const splitList = (value) => String(value || '').split(/[;,|]/).map(v => v.trim()).filter(Boolean);
+
+// One entry per spreadsheet column, keyed by the lib/livestockInput.js field it feeds. `format` produces
+// the exported cell. Headers match on the label, key or an alias, ignoring case, spaces and punctuation.
+const dateCell = (date) => (date ? date.toISOString().slice(0, 10) : '');
+const latestRecord = (kind) => (doc) => {
+    const records = (doc.healthRecords || []).filter(r => r.kind === kind).sort((a, b) => b.date - a.date);
+    return records[0] ? `${records[0].name} (${dateCell(records[0].date)})` : '';
+};
+
+const COLUMNS = [
+    { key: 'id', label: 'ID', format: doc => doc._id.toString() },
+    { key: 'name', label: 'Name' },
+    { key: 'type', label: 'Type' },
+    { key: 'breed', label: 'Breed' },
+    { key: 'sex', label: 'Sex' },
+    { key: 'tagNumber', label: 'Tag Number', aliases: ['eartag', 'tag', 'tagno'] },
+    { key: 'dateOfBirth', label: 'Date of Birth', aliases: ['dob', 'birthdate'], format: doc => dateCell(doc.dateOfBirth) },
+    { key: 'age', label: 'Age' }, // Import: only used when Date of Birth is empty
+    { key: 'weightKg', label: 'Weight (kg)', aliases: ['weight'] },
+    { key: 'price', label: 'Price' },
+    { key: 'tags', label: 'Tags', format: doc => (doc.tags || []).join(', ') },
+    { key: 'status', label: 'Status' },
+    // Import: file names inside the images zip. Export: left empty, existing media stays as it is.
+    { key: 'images', label: 'Images', format: () => '' },
+    { key: 'lastVaccination', label: 'Last Vaccination', exportOnly: true, format: latestRecord('vaccination') },
+    { key: 'lastDeworming', label: 'Last Deworming', exportOnly: true, format: latestRecord('deworming') },
+    { key: 'mediaCount', label: 'Photos/Videos', exportOnly: true, format: doc => (doc.media || []).length },
+    { key: 'createdAt', label: 'Created', exportOnly: true, format: doc => doc.createdAt }
+];
+
+const normalizeHeader = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const HEADER_LOOKUP = new Map();
+for (const column of COLUMNS.filter(c => !c.exportOnly)) {
+    for (const name of [column.key, column.label, ...(column.aliases || [])]) HEADER_LOOKUP.set(normalizeHeader(name), column);
+}
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+// --- READING ---
+// ExcelJS cell values can be rich text, formulas, hyperlinks or dates
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if ('result' in value) return cellText(value.result);
+        if ('text' in value) return cellText(value.text);
+        return '';
+    }
+    return String(value).trim();
+}
+
+// Returns an array of rows (arrays of strings), header row first
+async function readSheet(file) {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext === '.csv' || file.mimetype === 'text/csv') {
+        try { return parseCsv(file.buffer); }
+        catch (err) { throw badRequest(`Could not read the CSV file: ${err.message}`); }
+    }
+    if (ext === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        const workbook = new ExcelJS.Workbook();
+        try { await workbook.xlsx.load(file.buffer); }
+        catch (err) { throw badRequest('Could not read the XLSX file'); }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) throw badRequest('The workbook has no sheets');
+        const rows = [];
+        sheet.eachRow({ includeEmpty: false }, (row) => {
+            const cells = [];
+            row.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = cellText(cell.value); });
+            rows.push(Array.from(cells, v => v || ''));
+        });
+        return rows;
+    }
+    throw badRequest('Upload a .csv or .xlsx file');
+}
+
+// Zip entries by lower-cased file name (folders inside the zip are ignored)
+function openArchive(buffer) {
+    let zip;
+    try { zip = new AdmZip(buffer); }
+    catch (err) { throw badRequest('Could not read the images zip'); }
+    const entries = new Map();
+    let total = 0;
+    for (const entry of zip.getEntries()) {
+        if (entry.isDirectory || path.basename(entry.entryName).startsWith('.')) continue;
+        total += entry.header.size;
+        if (total > MAX_ARCHIVE_BYTES) throw badRequest('The images zip is too large once extracted');
+        entries.set(path.basename(entry.entryName).toLowerCase(), entry);
+    }
+    return entries;
+}
+
+// --- VALIDATION ---
+// Existing listings are only checked on the fields the row changes (see PUT /api/admin/livestock/:id)
+function schemaErrors(doc) {
+    const errors = validationErrors(doc.validateSync(undefined, { validateModifiedOnly: !doc.isNew })) || {};
+    return Object.entries(errors).map(([field, message]) => ({ field, message }));
+}
+
+// Turns one data row into { id, fields, images, errors }. Empty cells are left out,
+// so on an update they keep their current value.
+function parseRow(cells, columns) {
+    const body = {};
+    const errors = [];
+    let id = null;
+    let images = [];
+    columns.forEach((column, i) => {
+        const raw = (cells[i] || '').trim();
+        if (!column || !raw) return;
+        if (column.key === 'id') {
+            if (!mongoose.Types.ObjectId.isValid(raw)) errors.push({ field: 'id', value: raw, message: 'is not a valid livestock id' });
+            else id = raw;
+            return;
+        }
+        if (column.key === 'images') { images = splitList(raw); return; }
+        body[column.key] = raw;
+    });
+    const { values, errors: fieldErrors } = parseLivestockInput(body);
+    for (const [field, message] of Object.entries(fieldErrors)) {
+        errors.push({ field, value: body[field] !== undefined ? body[field] : body.age, message });
+    }
+    return { id, fields: values, images, errors };
+}
+
+function checkImages(names, archive) {
+    const errors = [];
+    for (const name of names) {
+        const ext = path.extname(name).toLowerCase();
+        if (!MEDIA_TYPES[ext]) { errors.push({ field: 'images', value: name, message: `${name} is not a supported photo or video type` }); continue; }
+        if (!archive) { errors.push({ field: 'images', value: name, message: 'Images are listed but no images zip was uploaded' }); continue; }
+        const entry = archive.get(path.basename(name).toLowerCase());
+        if (!entry) errors.push({ field: 'images', value: name, message: `${name} is not in the images zip` });
+        else if (entry.header.size > MAX_MEDIA_BYTES) errors.push({ field: 'images', value: name, message: `${name} is larger than 50 MB` });
+    }
+    return errors;
+}
+
+async function storeRowMedia(names, archive) {
+    const stored = [];
+    try {
+        for (const name of names) {
+            const entry = archive.get(path.basename(name).toLowerCase());
+            const buffer = entry.getData();
+            // The extension only says what the file claims to be; the bytes decide (see lib/fileType.js)
+            const mimetype = sniffType(buffer);
+            if (!mimetype) { const err = new Error(`${name} is not a supported photo or video`); err.status = 415; throw err; }
+            stored.push(await storeMedia({ buffer, size: buffer.length, originalname: name, mimetype }, 'livestock'));
+        }
+        return stored;
+    } catch (err) {
+        await Promise.all(stored.map(deleteMediaFiles));
+        throw err;
+    }
+}
+
+// Validates every row of `sheet` (and the images it references in `archive`) and, unless `dryRun`,
+// writes them. Rows with an `ID` update that listing; the rest are created. By default nothing is
+// written if any row is invalid; `skipInvalid` imports the valid rows anyway.
+// Returns a report: { dryRun, imported, total, valid, invalid, created, updated, failed, rows, errors }.
+async function importInventory({ sheet, archive, dryRun = false, skipInvalid = false }) {
+    const [header, ...data] = (await readSheet(sheet)).filter(row => row.some(cell => cell && String(cell).trim()));
+    if (!header) throw badRequest('The file is empty');
+    const columns = header.map(text => HEADER_LOOKUP.get(normalizeHeader(text)) || null);
+    if (!columns.some(c => c && c.key === 'name')) throw badRequest('Missing a Name column. Export the inventory to get a template.');
+    if (data.length === 0) throw badRequest('The file has a header but no rows');
+    if (data.length > MAX_ROWS) throw badRequest(`At most ${MAX_ROWS} rows can be imported at once`);
+
+    const entries = archive ? openArchive(archive.buffer) : null;
+    const parsed = data.map((cells, i) => ({ row: i + 2, ...parseRow(cells, columns) })); // +2: 1-based, after the header
+
+    const ids = parsed.map(p => p.id).filter(Boolean);
+    const existing = new Map((await Livestock.find({ _id: { $in: ids } }).select('-image')).map(doc => [doc._id.toString(), doc]));
+    const seenIds = new Set();
+
+    const plan = parsed.map(p => {
+        const errors = [...p.errors, ...checkImages(p.images, entries)];
+        let doc;
+        if (p.id) {
+            if (seenIds.has(p.id)) errors.push({ field: 'id', value: p.id, message: 'appears on more than one row' });
+            seenIds.add(p.id);
+            doc = existing.get(p.id);
+            if (!doc) errors.push({ field: 'id', value: p.id, message: 'No livestock with this id' });
+            else doc.set(p.fields);
+        } else {
+            doc = new Livestock(p.fields);
+        }
+        // A cell that failed to parse was left out, so the schema would report it again as missing
+        if (doc) errors.push(...schemaErrors(doc).filter(e => !errors.some(other => other.field === e.field)));
+        return { row: p.row, action: p.id ? 'update' : 'create', doc, images: p.images, errors };
+    });
+
+    const invalidRows = plan.filter(p => p.errors.length > 0);
+    const report = {
+        dryRun,
+        imported: false,
+        total: plan.length,
+        valid: plan.length - invalidRows.length,
+        invalid: invalidRows.length,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        rows: plan.map(p => ({
+            row: p.row, action: p.action, id: p.action === 'update' && p.doc ? p.doc._id.toString() : undefined,
+            name: p.doc ? p.doc.name : undefined, images: p.images.length, status: p.errors.length ? 'invalid' : 'valid'
+        })),
+        errors: plan.flatMap(p => p.errors.map(e => ({ row: p.row, ...e })))
+    };
+    if (dryRun || (invalidRows.length > 0 && !skipInvalid)) return report;
+
+    // One row at a time: media processing is CPU heavy and a failure should only cost that row
+    report.imported = true;
+    for (const [index, p] of plan.entries()) {
+        if (p.errors.length > 0) continue;
+        const summary = report.rows[index];
+        let media = [];
+        try {
+            media = await storeRowMedia(p.images, entries);
+            if (media.length > 0) p.doc.media.push(...media);
+            await p.doc.save({ validateModifiedOnly: !p.doc.isNew });
+            summary.id = p.doc._id.toString();
+            summary.status = p.action === 'create' ? 'created' : 'updated';
+            report[p.action === 'create' ? 'created' : 'updated']++;
+        } catch (err) {
+            await Promise.all(media.map(deleteMediaFiles));
+            summary.status = 'failed';
+            report.failed++;
+            report.errors.push({ row: p.row, field: err.path || null, message: err.message });
+        }
+    }
+    return report;
+}
+
+// --- EXPORT ---
+const EXPORT_COLUMNS = COLUMNS.map(c => [c.key, c.label]);
+
+function exportRow(doc) {
+    const row = {};
+    for (const column of COLUMNS) row[column.key] = column.format ? column.format(doc) : doc[column.key];
+    return row;
+}
+
+// Returns { buffer, contentType, extension } for `format` 'csv' or 'xlsx'
+async function exportInventory(docs, format) {
+    const rows = docs.map(exportRow);
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Livestock');
+        sheet.columns = COLUMNS.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 4) }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        sheet.addRows(rows);
+        return { buffer: Buffer.from(await workbook.xlsx.writeBuffer()), contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' };
+    }
+    if (format === 'csv') {
+        return { buffer: Buffer.from('\uFEFF' + toCsv(EXPORT_COLUMNS, rows)), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    }
+    throw badRequest('format must be csv or xlsx');
+}
+
+module.exports = { COLUMNS, MAX_ROWS, importInventory, exportInventory };
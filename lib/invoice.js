@@ -0,0 +1,348 @@
+const PDFDocument = require('pdfkit');
+
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { getSettings } = require('./settings');
+
+// --- INVOICES ---
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Indian financial year, April to March: 15 Jan 2026 -> '2025-26'. Taken from the date in IST, like
+// the printed invoice date, whatever time zone the server runs in.
+function financialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + 5.5 * 60 * 60 * 1000);
+    const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function sameState(a, b) {
+    return Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Order prices are what the buyer paid, so GST is carved out of each line rather than added on.
+// Within the seller's state the tax splits into CGST + SGST; across states it is IGST.
+// `charges` are { amount, gstRate, hsn, description, ... }: one per animal plus any delivery charge.
+function taxLines(charges, interState) {
+    const lines = charges.map(({ amount: price, gstRate, ...line }) => {
+        const amount = round2(price || 0);
+        const taxableValue = round2(amount * 100 / (100 + gstRate));
+        const tax = round2(amount - taxableValue);
+        const cgst = round2(tax / 2);
+        const taxes = interState
+            ? [{ name: 'IGST', rate: gstRate, amount: tax }]
+            : [{ name: 'CGST', rate: gstRate / 2, amount: cgst }, { name: 'SGST', rate: gstRate / 2, amount: round2(tax - cgst) }];
+        return { ...line, amount, taxableValue, taxes };
+    });
+
+    // One total per tax and rate
+    const taxTotals = [];
+    for (const { name, rate, amount } of lines.flatMap(line => line.taxes)) {
+        const total = taxTotals.find(t => t.name === name && t.rate === rate);
+        if (total) total.amount = round2(total.amount + amount);
+        else taxTotals.push({ name, rate, amount });
+    }
+    return {
+        lines,
+        taxTotals,
+        taxableTotal: round2(lines.reduce((sum, line) => sum + line.taxableValue, 0)),
+        taxTotal: round2(taxTotals.reduce((sum, t) => sum + t.amount, 0)),
+        grandTotal: round2(lines.reduce((sum, line) => sum + line.amount, 0))
+    };
+}
+
+function invoiceCharges(order, settings) {
+    const charges = order.items.map(item => ({
+        livestockId: String(item._id), description: item.name, breed: item.breed, type: item.type,
+        hsn: settings.hsnCode, gstRate: settings.gstRate, amount: item.price
+    }));
+    const deliveryCharge = order.delivery ? order.delivery.charge : 0;
+    if (deliveryCharge > 0) {
+        charges.push({ description: 'Delivery charges', hsn: settings.deliverySacCode, gstRate: settings.deliveryGstRate, amount: deliveryCharge });
+    }
+    return charges;
+}
+
+function isDuplicateKey(err) { return err && err.code === 11000; }
+
+// Returns the order's invoice, issuing it with the next number in the current financial year if needed.
+// The number is taken by inserting the invoice itself under a unique (financialYear, sequence) index;
+// a concurrent issue that grabs the same number makes the insert fail and we retry with the next one,
+// so no number is ever skipped.
+async function issueInvoice(order) {
+    const existing = await Invoice.findOne({ orderId: order._id });
+    if (existing) return existing;
+
+    const settings = await getSettings('invoice');
+    const user = await User.findById(order.userId).select('email').lean();
+    const address = order.address || {};
+    const interState = Boolean(settings.seller.state) && Boolean(address.state) && !sameState(settings.seller.state, address.state);
+    const issuedAt = new Date();
+    const fy = financialYear(issuedAt);
+
+    const base = {
+        orderId: order._id,
+        userId: order.userId,
+        financialYear: fy,
+        issuedAt,
+        seller: settings.seller,
+        buyer: {
+            name: address.name || order.customer, line1: address.line1, line2: address.line2, city: address.city,
+            state: address.state, pincode: address.pincode, phone: address.phone, email: user ? user.email : undefined
+        },
+        placeOfSupply: address.state || settings.seller.state,
+        interState,
+        ...taxLines(invoiceCharges(order, settings), interState),
+        paymentMethod: order.paymentMethod,
+        paymentReference: order.paymentReference,
+        notes: settings.notes
+    };
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const last = await Invoice.findOne({ financialYear: fy }).sort({ sequence: -1 }).select('sequence').lean();
+        const sequence = (last ? last.sequence : 0) + 1;
+        const number = `${settings.prefix}/${fy}/${String(sequence).padStart(5, '0')}`;
+        try {
+            return await Invoice.create({ ...base, sequence, number });
+        } catch (err) {
+            if (!isDuplicateKey(err)) throw err;
+            // Someone else invoiced this same order in the meantime
+            const raced = await Invoice.findOne({ orderId: order._id });
+            if (raced) return raced;
+        }
+    }
+    throw new Error('Could not allocate an invoice number, please retry');
+}
+
+// Issues the invoice as soon as payment is verified so numbers follow payment order.
+// Failures are only logged; the invoice route issues it on demand later.
+function issueInvoiceSafe(order) {
+    return issueInvoice(order).catch(err => console.error('Invoice Issue Error:', err));
+}
+
+// --- RENDERING ---
+function formatMoney(n) {
+    return `Rs. ${Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+function buyerLines(buyer) {
+    return [
+        buyer.name,
+        buyer.line1,
+        buyer.line2,
+        [buyer.city, buyer.state].filter(Boolean).join(', ') + (buyer.pincode ? ` - ${buyer.pincode}` : ''),
+        buyer.phone ? `Phone: +91 ${buyer.phone}` : null,
+        buyer.email
+    ].filter(Boolean);
+}
+
+function sellerLines(seller) {
+    return [
+        seller.address,
+        [seller.state, seller.stateCode ? `(State code ${seller.stateCode})` : ''].filter(Boolean).join(' '),
+        seller.gstin ? `GSTIN: ${seller.gstin}` : null,
+        seller.pan ? `PAN: ${seller.pan}` : null,
+        [seller.email, seller.phone].filter(Boolean).join(' | ')
+    ].filter(Boolean);
+}
+
+function taxLabel(t) { return `${t.name} @ ${t.rate}%`; }
+
+// Resolves to the PDF as a Buffer
+function renderInvoicePdf(invoice) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.number}`, Author: invoice.seller.name } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const green = '#166534';
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        // Header: seller on the left, invoice details on the right
+        const top = doc.y;
+        doc.fillColor(green).font('Helvetica-Bold').fontSize(18).text(invoice.seller.name.toUpperCase(), left, top, { width: width * 0.6 });
+        doc.fillColor('#333').font('Helvetica').fontSize(9);
+        for (const line of sellerLines(invoice.seller)) doc.text(line, { width: width * 0.6 });
+        const sellerBottom = doc.y;
+
+        doc.fillColor(green).font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', left, top, { width, align: 'right' });
+        doc.fillColor('#333').font('Helvetica').fontSize(9);
+        doc.text(`Invoice No: ${invoice.number}`, { width, align: 'right' });
+        doc.text(`Date: ${formatDate(invoice.issuedAt)}`, { width, align: 'right' });
+        doc.text(`Order: #${String(invoice.orderId).slice(-6).toUpperCase()}`, { width, align: 'right' });
+        doc.y = Math.max(sellerBottom, doc.y) + 10;
+        doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#22c55e').lineWidth(1.5).stroke();
+        doc.moveDown();
+
+        // Buyer and place of supply
+        const billTop = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text('Billed To', left, billTop);
+        doc.font('Helvetica').fontSize(9);
+        for (const line of buyerLines(invoice.buyer)) doc.text(line, { width: width * 0.6 });
+        const billBottom = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text('Place of Supply', left, billTop, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(9).text(invoice.placeOfSupply || '-', { width, align: 'right' });
+        if (invoice.paymentReference) doc.text(`Payment Ref: ${invoice.paymentReference}`, { width, align: 'right' });
+        doc.y = Math.max(billBottom, doc.y) + 15;
+
+        // Line items
+        const taxNames = [...new Set(invoice.taxTotals.map(t => t.name))];
+        const columns = [
+            { label: '#', width: 20 },
+            { label: 'Description', width: 170 },
+            { label: 'HSN', width: 40 },
+            { label: 'Taxable', width: 70, align: 'right' },
+            ...taxNames.map(name => ({ label: name, width: (width - 370) / Math.max(taxNames.length, 1), align: 'right' })),
+            { label: 'Amount', width: 70, align: 'right' }
+        ];
+        const drawRow = (cells, { bold = false, fill } = {}) => {
+            const y = doc.y;
+            const height = Math.max(...cells.map((cell, i) => doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(String(cell), { width: columns[i].width - 6 }))) + 8;
+            if (y + height > doc.page.height - doc.page.margins.bottom) { doc.addPage(); return drawRow(cells, { bold, fill }); }
+            if (fill) doc.rect(left, y, width, height).fill(fill);
+            let x = left;
+            cells.forEach((cell, i) => {
+                doc.fillColor('#333').font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                    .text(String(cell), x + 3, y + 4, { width: columns[i].width - 6, align: columns[i].align || 'left' });
+                x += columns[i].width;
+            });
+            doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#e5e7eb').lineWidth(0.5).stroke();
+            doc.x = left;
+            doc.y = y + height;
+        };
+
+        drawRow(columns.map(c => c.label), { bold: true, fill: '#f0fdf4' });
+        invoice.lines.forEach((line, index) => {
+            const description = [line.description, [line.breed, line.type].filter(Boolean).join(' / ')].filter(Boolean).join('\n');
+            drawRow([
+                index + 1, description, line.hsn || '', formatMoney(line.taxableValue),
+                ...taxNames.map(name => formatMoney((line.taxes.find(t => t.name === name) || {}).amount)),
+                formatMoney(line.amount)
+            ]);
+        });
+
+        // Totals
+        doc.moveDown();
+        const totals = [
+            ['Taxable value', formatMoney(invoice.taxableTotal)],
+            ...invoice.taxTotals.map(t => [taxLabel(t), formatMoney(t.amount)]),
+            ['Grand Total', formatMoney(invoice.grandTotal)]
+        ];
+        totals.forEach(([label, value], i) => {
+            const last = i === totals.length - 1;
+            doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 12 : 9).fillColor(last ? green : '#333');
+            const y = doc.y;
+            doc.text(label, left + width - 260, y, { width: 150, align: 'right' });
+            doc.text(value, left + width - 110, y, { width: 110, align: 'right' });
+        });
+        if (invoice.taxTotal === 0) {
+            doc.moveDown(0.5).font('Helvetica-Oblique').fontSize(8).fillColor('#666')
+                .text('Supply of live animals is nil-rated under GST.', left, doc.y, { width, align: 'right' });
+        }
+
+        // Footer
+        doc.moveDown(3).font('Helvetica').fontSize(9).fillColor('#888');
+        if (invoice.notes) doc.text(invoice.notes, left, doc.y, { width, align: 'center' });
+        doc.text('This is a computer-generated invoice and does not require a signature.', left, doc.y, { width, align: 'center' });
+        doc.end();
+    });
+}
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Printable HTML copy of the same invoice. Every value is escaped: names and addresses are typed by buyers.
+function renderInvoiceHtml(invoice) {
+    const e = escapeHtml;
+    const taxNames = [...new Set(invoice.taxTotals.map(t => t.name))];
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Invoice ${e(invoice.number)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; padding: 40px; color: #333; }
+        .header { display: flex; justify-content: space-between; border-bottom: 2px solid #22c55e; padding-bottom: 20px; }
+        .title { color: #166534; font-size: 28px; font-weight: bold; }
+        .info { margin-top: 30px; display: flex; justify-content: space-between; }
+        table { width: 100%; border-collapse: collapse; margin-top: 40px; }
+        th { background-color: #f0fdf4; text-align: left; padding: 12px; border-bottom: 2px solid #ddd; }
+        td { padding: 12px; border-bottom: 1px solid #eee; }
+        .num { text-align: right; }
+        .totals { margin-top: 30px; text-align: right; }
+        .total { font-size: 20px; font-weight: bold; color: #166534; }
+        .footer { margin-top: 50px; text-align: center; color: #888; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <div class="title">${e(invoice.seller.name.toUpperCase())}</div>
+            ${sellerLines(invoice.seller).map(line => `<div>${e(line)}</div>`).join('')}
+        </div>
+        <div style="text-align: right">
+            <div class="title" style="font-size: 20px">TAX INVOICE</div>
+            <div><strong>Invoice #:</strong> ${e(invoice.number)}</div>
+            <div><strong>Date:</strong> ${e(formatDate(invoice.issuedAt))}</div>
+        </div>
+    </div>
+
+    <div class="info">
+        <div>
+            <strong>Billed To:</strong><br>
+            ${buyerLines(invoice.buyer).map(e).join('<br>')}
+        </div>
+        <div style="text-align: right">
+            <strong>Place of Supply:</strong> ${e(invoice.placeOfSupply || '-')}
+            ${invoice.paymentReference ? `<br><strong>Payment Ref:</strong> ${e(invoice.paymentReference)}` : ''}
+        </div>
+    </div>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Item Description</th>
+                <th>HSN</th>
+                <th class="num">Taxable</th>
+                ${taxNames.map(name => `<th class="num">${e(name)}</th>`).join('')}
+                <th class="num">Amount</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${invoice.lines.map(line => `
+                <tr>
+                    <td>${e(line.description)}<br><small>${e([line.breed, line.type].filter(Boolean).join(' / '))}</small></td>
+                    <td>${e(line.hsn)}</td>
+                    <td class="num">${e(formatMoney(line.taxableValue))}</td>
+                    ${taxNames.map(name => `<td class="num">${e(formatMoney((line.taxes.find(t => t.name === name) || {}).amount))}</td>`).join('')}
+                    <td class="num">${e(formatMoney(line.amount))}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    </table>
+
+    <div class="totals">
+        <div>Taxable value: ${e(formatMoney(invoice.taxableTotal))}</div>
+        ${invoice.taxTotals.map(t => `<div>${e(taxLabel(t))}: ${e(formatMoney(t.amount))}</div>`).join('')}
+        <div class="total">Grand Total: ${e(formatMoney(invoice.grandTotal))}</div>
+    </div>
+
+    <div class="footer">
+        ${e(invoice.notes)}<br>
+        This is a computer-generated invoice and does not require a signature.
+    </div>
+    <script>window.print();</script>
+</body>
+</html>`;
+}
+
+module.exports = { financialYear, issueInvoice, issueInvoiceSafe, renderInvoicePdf, renderInvoiceHtml, escapeHtml };
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+const JobLock = require('../models/JobLock');
+
+// --- SCHEDULED JOBS ---
+// Serverless instances can't keep timers, so jobs are triggered from outside: a cron service calls
+// POST/GET /api/cron, which runs every job that is due. A lock document per job (models/JobLock)
+// makes sure only one instance runs a job at a time, however many triggers arrive at once.
+//
+// Deploying on a serverless host therefore needs a trigger every minute: unpaid reservations expire,
+// reminders go out and ended auctions close only when it fires. Set CRON_SECRET and either
+//   - on a Vercel plan that allows per-minute crons (not Hobby), add to vercel.json:
+//       "crons": [{ "path": "/api/cron", "schedule": "* * * * *" }]
+//   - or have an external scheduler (cron-job.org, a crontab on any box) call it every minute:
+//       curl -fsS -H "Authorization: Bearer $CRON_SECRET" https://<your-app>/api/cron
+// vercel.json deliberately has no cron entry: the once-a-day run Hobby allows would leave ended
+// auctions open for up to a day. Long-running servers need none of this (startInProcessJobs in server.js).
+const jobs = new Map();
+
+// `run()` does the work and resolves to a small JSON summary. `everyMinutes` is the minimum gap between
+// runs; `timeoutMinutes` is how long a run may hold the lock before another instance may take over.
+function registerJob(name, { run, everyMinutes = 1, timeoutMinutes = 5, description = '' }) {
+    jobs.set(name, { name, run, everyMinutes, timeoutMinutes, description });
+}
+
+function getJob(name) {
+    const job = jobs.get(name);
+    if (!job) {
+        const err = new Error(`Unknown job. Available: ${[...jobs.keys()].join(', ')}`);
+        err.status = 404;
+        throw err;
+    }
+    return job;
+}
+
+// Takes the lock if it is free (and, unless `force`, the job is due). Returns the owner token or null.
+async function acquire(job, { force }) {
+    const now = new Date();
+    const filter = { _id: job.name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+    if (!force) filter.$and = [{ $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] }];
+    const owner = crypto.randomUUID();
+    try {
+        await JobLock.findOneAndUpdate(
+            filter,
+            { $set: { lockedUntil: new Date(now.getTime() + job.timeoutMinutes * 60 * 1000), lockedBy: owner, lastStartedAt: now } },
+            { upsert: true }
+        );
+        return owner;
+    } catch (err) {
+        // The upsert collides with the existing document when it is locked or not due yet
+        if (err.code === 11000) return null;
+        throw err;
+    }
+}
+
+// Runs one job under its lock. Resolves to { job, status: 'succeeded' | 'failed' | 'skipped', ... };
+// job errors are caught and recorded, not thrown.
+async function runJob(name, { force = false } = {}) {
+    const job = getJob(name);
+    const owner = await acquire(job, { force });
+    if (!owner) return { job: name, status: 'skipped' };
+
+    const startedAt = new Date();
+    let status = 'succeeded';
+    let result;
+    let error;
+    try { result = await job.run(); }
+    catch (err) {
+        status = 'failed';
+        error = err.message;
+        console.error(`Job ${name} Error:`, err);
+    }
+    const finishedAt = new Date();
+    await JobLock.updateOne({ _id: name, lockedBy: owner }, {
+        $set: {
+            lockedUntil: null, lockedBy: null, lastFinishedAt: finishedAt, lastStatus: status,
+            lastResult: result === undefined ? null : result, lastError: error || null,
+            nextRunAt: new Date(startedAt.getTime() + job.everyMinutes * 60 * 1000)
+        },
+        $inc: { runs: 1, failures: status === 'failed' ? 1 : 0 }
+    });
+    return { job: name, status, result, error, durationMs: finishedAt - startedAt };
+}
+
+// Runs every registered job that is due, one after another
+async function runDueJobs() {
+    const results = [];
+    for (const name of jobs.keys()) results.push(await runJob(name));
+    return results;
+}
+
+// Registered jobs with their schedule and last run, for the admin panel
+async function listJobs() {
+    const locks = await JobLock.find({ _id: { $in: [...jobs.keys()] } }).lean();
+    return [...jobs.values()].map(({ name, everyMinutes, timeoutMinutes, description }) => {
+        const lock = locks.find(l => l._id === name) || {};
+        return {
+            name, description, everyMinutes, timeoutMinutes,
+            running: Boolean(lock.lockedUntil && lock.lockedUntil > new Date()),
+            nextRunAt: lock.nextRunAt || null,
+            lastStartedAt: lock.lastStartedAt || null,
+            lastFinishedAt: lock.lastFinishedAt || null,
+            lastStatus: lock.lastStatus || null,
+            lastResult: lock.lastResult || null,
+            lastError: lock.lastError || null,
+            runs: lock.runs || 0,
+            failures: lock.failures || 0
+        };
+    });
+}
+
+// Constant-time check of the cron trigger's secret (Authorization: Bearer <CRON_SECRET>, as sent by
+// Vercel Cron, or X-Cron-Secret). Without CRON_SECRET configured the endpoint stays closed.
+function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) return false;
+    const header = req.get('Authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (req.get('X-Cron-Secret') || '');
+    const a = crypto.createHash('sha256').update(given).digest();
+    const b = crypto.createHash('sha256').update(secret).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+const jobNames = () => [...jobs.keys()];
+
+module.exports = { registerJob, runJob, runDueJobs, listJobs, jobNames, isCronRequest };
@@ -0,0 +1,138 @@
+const Livestock = require('../models/Livestock');
+
+// --- LIVESTOCK INPUT ---
+// Turns admin form fields, JSON bodies and spreadsheet rows into Livestock fields. Type checks and
+// conversions happen here; ranges, enums and required fields are left to the schema validators.
+
+const SEX_ALIASES = { m: 'Male', male: 'Male', buck: 'Male', ram: 'Male', f: 'Female', female: 'Female', doe: 'Female', ewe: 'Female' };
+
+const present = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// 2024-03-15, 15-03-2024, 15/03/2024 or a Date (from XLSX). Returns undefined if unreadable.
+function parseDate(value) {
+    if (value instanceof Date) return isNaN(value) ? undefined : value;
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return validDate(+match[1], +match[2], +match[3]);
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/); // Day first, as written in India
+    if (match) return validDate(+match[3], +match[2], +match[1]);
+    return undefined;
+}
+
+function validDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : undefined;
+}
+
+function parseNumber(value) {
+    const number = Number(String(value).replace(/[₹,\s]|Rs\.?/gi, ''));
+    return Number.isFinite(number) ? number : undefined;
+}
+
+// Multipart forms send arrays as JSON strings
+function parseJsonArray(value) {
+    if (Array.isArray(value)) return value;
+    try { const parsed = JSON.parse(value); return Array.isArray(parsed) ? parsed : undefined; }
+    catch (err) { return undefined; }
+}
+
+// { kind, name, date, nextDueDate, notes } -> { record } or { error }
+function parseHealthRecord(input) {
+    if (!input || typeof input !== 'object') return { error: 'must be an object' };
+    const record = {
+        kind: String(input.kind || '').trim().toLowerCase(),
+        name: typeof input.name === 'string' ? input.name.trim() : input.name,
+        notes: typeof input.notes === 'string' ? input.notes.trim() : undefined
+    };
+    if (!present(input.date)) return { error: 'date is required' };
+    record.date = parseDate(input.date);
+    if (!record.date) return { error: 'date must be a date like 2024-03-15' };
+    if (present(input.nextDueDate)) {
+        record.nextDueDate = parseDate(input.nextDueDate);
+        if (!record.nextDueDate) return { error: 'nextDueDate must be a date like 2024-06-15' };
+    }
+    return { record };
+}
+
+// Returns { values, errors } where errors maps field -> message. Only fields present in `body` are
+// returned, so the same parser serves creates (schema enforces required fields) and partial updates.
+// `age` ("2 years") is accepted instead of dateOfBirth and turned into an estimated birth date;
+// `weight` ("25 kg") is accepted instead of weightKg.
+function parseLivestockInput(body) {
+    const values = {};
+    const errors = {};
+
+    for (const field of ['name', 'breed']) {
+        if (body[field] !== undefined) values[field] = String(body[field]).trim();
+    }
+    if (body.type !== undefined) {
+        const type = String(body.type).trim();
+        values.type = type.charAt(0).toUpperCase() + type.slice(1).toLowerCase();
+    }
+
+    if (present(body.price)) {
+        values.price = parseNumber(body.price);
+        if (values.price === undefined) errors.price = 'price must be a number';
+    }
+
+    const weight = present(body.weightKg) ? body.weightKg : body.weight;
+    if (present(weight)) {
+        values.weightKg = Livestock.parseWeightKg(typeof weight === 'number' ? weight : String(weight));
+        if (values.weightKg === undefined) errors.weightKg = 'weightKg must be a number of kilograms';
+    }
+
+    if (present(body.dateOfBirth)) {
+        values.dateOfBirth = parseDate(body.dateOfBirth);
+        values.dobEstimated = false;
+        if (!values.dateOfBirth) errors.dateOfBirth = 'dateOfBirth must be a date like 2024-03-15';
+    } else if (present(body.age)) {
+        const months = Livestock.parseAgeMonths(body.age);
+        if (months === undefined) errors.dateOfBirth = 'age must look like "8 months" or "2 years"';
+        else { values.dateOfBirth = Livestock.estimateDateOfBirth(months); values.dobEstimated = true; }
+    }
+
+    if (body.sex !== undefined) {
+        const sex = String(body.sex).trim().toLowerCase();
+        if (!sex) values.sex = undefined;
+        else if (SEX_ALIASES[sex]) values.sex = SEX_ALIASES[sex];
+        else errors.sex = `sex must be one of: ${Livestock.SEXES.join(', ')}`;
+    }
+
+    if (body.tagNumber !== undefined) values.tagNumber = String(body.tagNumber).trim() || undefined;
+
+    if (body.tags !== undefined) {
+        const tags = Array.isArray(body.tags) ? body.tags : String(body.tags).split(/[;,]/);
+        values.tags = [...new Set(tags.map(t => String(t).trim()).filter(Boolean))];
+    }
+
+    if (present(body.status)) {
+        const status = Livestock.LIVESTOCK_STATUSES.find(s => s.toLowerCase() === String(body.status).trim().toLowerCase());
+        if (status) values.status = status;
+        else errors.status = `status must be one of: ${Livestock.LIVESTOCK_STATUSES.join(', ')}`;
+    }
+
+    if (present(body.healthRecords)) {
+        const list = parseJsonArray(body.healthRecords);
+        if (!list) errors.healthRecords = 'healthRecords must be an array';
+        else {
+            values.healthRecords = [];
+            list.forEach((input, i) => {
+                const { record, error } = parseHealthRecord(input);
+                if (error) errors[`healthRecords.${i}`] = `healthRecords[${i}]: ${error}`;
+                else values.healthRecords.push(record);
+            });
+        }
+    }
+
+    return { values, errors };
+}
+
+// Mongoose ValidationError -> { field: message }, or null for any other error
+function validationErrors(err) {
+    if (!err || err.name !== 'ValidationError') return null;
+    const errors = {};
+    for (const [path, e] of Object.entries(err.errors)) errors[path] = e.kind === 'required' ? `${path} is required` : e.message;
+    return errors;
+}
+
+module.exports = { parseLivestockInput, parseHealthRecord, parseDate, validationErrors };
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- MAIL TRANSPORTS ---
+// A transport is any object with `async send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT; register a real provider (SMTP etc.) with registerTransport().
+const transports = {
+    // Prints the message to stdout. Default, so local dev never needs credentials.
+    console: () => ({
+        async send(message) {
+            console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        }
+    }),
+
+    // Writes each message as a JSON file into MAIL_DIR (defaults to the OS temp dir, the only
+    // writable path on serverless hosts).
+    file: () => {
+        const dir = process.env.MAIL_DIR || path.join(require('os').tmpdir(), 'livestockmart-mail');
+        return {
+            async send(message) {
+                await fs.promises.mkdir(dir, { recursive: true });
+                const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`);
+                await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+                console.log(`📧 [mail] Written to ${file}`);
+            }
+        };
+    }
+};
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+let active = null;
+
+function getTransport() {
+    if (active) return active;
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    active = factory();
+    return active;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'LivestockMart <no-reply@livestockmart.com>';
+    return getTransport().send({ from, to, subject, text, html });
+}
+
+module.exports = { sendMail, registerTransport };
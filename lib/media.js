@@ -0,0 +1,108 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const { getStorage, makeKey } = require('./storage');
+
+// Resized copies generated for every gallery image (width in px, height follows aspect ratio)
+const IMAGE_VARIANTS = { thumb: 320, medium: 960 };
+const VARIANT_TYPE = 'image/webp';
+
+async function resize(buffer, width) {
+    const { data, info } = await sharp(buffer)
+        .rotate() // respect EXIF orientation from phone cameras
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+}
+
+// Grabs a still frame for the video poster. Needs an ffmpeg binary (FFMPEG_PATH or on PATH);
+// resolves to null when it is unavailable so uploads still succeed without a poster.
+async function extractVideoPoster(buffer) {
+    const input = path.join(os.tmpdir(), `poster-${crypto.randomUUID()}`);
+    await fs.promises.writeFile(input, buffer);
+    try {
+        for (const seek of ['1', '0']) {
+            const frame = await new Promise((resolve) => {
+                const chunks = [];
+                const proc = spawn(process.env.FFMPEG_PATH || 'ffmpeg', ['-v', 'error', '-ss', seek, '-i', input, '-frames:v', '1', '-f', 'image2', '-vcodec', 'mjpeg', 'pipe:1']);
+                proc.stdout.on('data', (chunk) => chunks.push(chunk));
+                proc.on('error', () => resolve(null));
+                proc.on('close', (code) => resolve(code === 0 && chunks.length > 0 ? Buffer.concat(chunks) : null));
+            });
+            if (frame) return frame; // Clips shorter than a second have no frame at 1s
+        }
+        return null;
+    } finally {
+        fs.promises.unlink(input).catch(() => {});
+    }
+}
+
+// Every storage key a gallery item owns (original, variants, poster)
+function mediaKeys(item) {
+    const keys = [item.key];
+    for (const variant of Object.values(item.variants || {})) if (variant && variant.key) keys.push(variant.key);
+    if (item.poster && item.poster.key) keys.push(item.poster.key);
+    return keys.filter(Boolean);
+}
+
+async function deleteMediaFiles(item) {
+    await Promise.all(mediaKeys(item).map(key => getStorage().delete(key).catch(err => console.error('Storage Delete Error:', err))));
+}
+
+// Stores an uploaded photo or video plus its derived files. Returns a Livestock.media entry.
+// Throws with err.status = 400 for files sharp cannot decode.
+async function storeMedia(file, prefix) {
+    const storage = getStorage();
+    const kind = file.mimetype.startsWith('video/') ? 'video' : 'image';
+    const item = { kind, key: makeKey(prefix, file.mimetype, file.originalname), contentType: file.mimetype, size: file.size || file.buffer.length, variants: {} };
+    const written = [];
+    const put = async (key, data, contentType) => { await storage.put(key, data, { contentType }); written.push(key); };
+
+    try {
+        if (kind === 'image') {
+            let meta;
+            try { meta = await sharp(file.buffer).metadata(); }
+            catch (err) { const e = new Error(`${file.originalname || 'File'} is not a readable image`); e.status = 400; throw e; }
+            item.width = meta.width;
+            item.height = meta.height;
+            for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+                const variant = await resize(file.buffer, width);
+                const key = makeKey(prefix, VARIANT_TYPE);
+                await put(key, variant.data, VARIANT_TYPE);
+                item.variants[name] = { key, contentType: VARIANT_TYPE, width: variant.width };
+            }
+        } else {
+            const frame = await extractVideoPoster(file.buffer);
+            if (frame) {
+                const poster = await resize(frame, IMAGE_VARIANTS.medium);
+                const key = makeKey(prefix, VARIANT_TYPE);
+                await put(key, poster.data, VARIANT_TYPE);
+                item.poster = { key, contentType: VARIANT_TYPE, width: poster.width };
+                item.width = poster.width;
+                item.height = poster.height;
+            }
+        }
+        await put(item.key, file.buffer, file.mimetype);
+        return item;
+    } catch (err) {
+        await Promise.all(written.map(key => storage.delete(key).catch(() => {})));
+        throw err;
+    }
+}
+
+// Replaces a video's poster with an uploaded still image. Returns the new poster entry.
+async function storePoster(file, prefix) {
+    let poster;
+    try { poster = await resize(file.buffer, IMAGE_VARIANTS.medium); }
+    catch (err) { const e = new Error('Poster is not a readable image'); e.status = 400; throw e; }
+    const key = makeKey(prefix, VARIANT_TYPE);
+    await getStorage().put(key, poster.data, { contentType: VARIANT_TYPE });
+    return { key, contentType: VARIANT_TYPE, width: poster.width };
+}
+
+module.exports = { IMAGE_VARIANTS, storeMedia, storePoster, deleteMediaFiles, mediaKeys };
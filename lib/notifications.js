@@ -0,0 +1,17 @@
+const User = require('../models/User');
+const push = require('./push');
+const { publishSafe, userChannel } = require('./events');
+
+// --- USER NOTIFICATIONS ---
+// Adds to User.notifications (shown in the app's bell), pushes it to the user's open streams
+// and sends a Web Push so it reaches them even with the app closed
+async function notifyUser(userId, { id, title, message, icon, color, url = '/' }) {
+    const notification = { id: id || 'n_' + Date.now(), title, message, icon, color, timestamp: Date.now(), seen: false };
+    await User.findByIdAndUpdate(userId, { $push: { notifications: notification } });
+    publishSafe(userChannel(userId), 'notification', notification);
+    await push.sendPushToUser(userId, { title, body: message, url, tag: notification.id })
+        .catch(err => console.error('Push Error:', err));
+    return notification;
+}
+
+module.exports = { notifyUser };
@@ -0,0 +1,37 @@
+// --- PAYMENT GATEWAYS ---
+// A gateway adapter implements:
+//   async createPayment({ amount, currency, reference, customer }) -> { gatewayPaymentId, upiString?, checkoutUrl? }
+//   verifyWebhook(rawBody, headers) -> { id, type: 'payment.succeeded' | 'payment.failed', gatewayPaymentId, amount, reference }
+//     (throws when the signature does not check out)
+// Pick one with PAYMENT_GATEWAY; add real providers with registerGateway().
+const gateways = {
+    mock: require('./mock')
+};
+
+function registerGateway(name, factory) {
+    gateways[name] = factory;
+}
+
+let active = null;
+
+// Whoever holds the webhook secret can mark orders paid, and the mock gateway completes payments
+// on request, so production has to name a real gateway and give it its own secret. Throws otherwise.
+function assertGatewayConfig(env = process.env) {
+    if (env.NODE_ENV !== 'production') return;
+    const name = env.PAYMENT_GATEWAY;
+    if (!name || name === 'mock') throw new Error('PAYMENT_GATEWAY must name a real payment gateway in production');
+    if (!gateways[name]) throw new Error(`Unknown PAYMENT_GATEWAY "${name}"`);
+    if (!env.PAYMENT_WEBHOOK_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET must be set in production');
+}
+
+function getGateway() {
+    if (active) return active;
+    assertGatewayConfig();
+    const name = process.env.PAYMENT_GATEWAY || 'mock';
+    const factory = gateways[name];
+    if (!factory) throw new Error(`Unknown PAYMENT_GATEWAY "${name}"`);
+    active = factory();
+    return active;
+}
+
+module.exports = { getGateway, registerGateway, assertGatewayConfig };
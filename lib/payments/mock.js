@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Local stand-in for a UPI gateway. Payments are only ever completed through simulateWebhook(),
+// which produces exactly the signed request a real provider would POST to /api/payment/webhook.
+// Without PAYMENT_WEBHOOK_SECRET each process signs with a random secret of its own, so nobody
+// outside it can forge a webhook.
+function createMockGateway({ secret = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex'), upiId = process.env.UPI_ID || 'sai.kambala@ybl' } = {}) {
+    const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    return {
+        name: 'mock',
+
+        async createPayment({ amount, reference }) {
+            const gatewayPaymentId = `mock_pay_${crypto.randomBytes(8).toString('hex')}`;
+            const upiString = `upi://pay?pa=${upiId}&pn=LivestockMart&am=${amount}&tr=${reference}&tn=${encodeURIComponent(`Order ${reference}`)}`;
+            return { gatewayPaymentId, upiString };
+        },
+
+        verifyWebhook(rawBody, headers) {
+            const signature = headers['x-mock-signature'];
+            const expected = sign(rawBody || '');
+            if (!signature || signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+                throw new Error('Invalid webhook signature');
+            }
+            const event = JSON.parse(rawBody.toString());
+            return { id: event.id, type: event.type, gatewayPaymentId: event.data.paymentId, amount: event.data.amount, reference: event.data.reference };
+        },
+
+        // Dev/test helper: builds a signed webhook request for a payment
+        simulateWebhook({ gatewayPaymentId, amount, reference, outcome = 'succeeded' }) {
+            const body = JSON.stringify({
+                id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+                type: `payment.${outcome}`,
+                data: { paymentId: gatewayPaymentId, amount, reference }
+            });
+            return { body: Buffer.from(body), headers: { 'x-mock-signature': sign(body) } };
+        }
+    };
+}
+
+module.exports = createMockGateway;
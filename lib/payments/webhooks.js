@@ -0,0 +1,100 @@
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const AdminNotification = require('../../models/AdminNotification');
+const { issueInvoiceSafe } = require('../invoice');
+const { notifyUser } = require('../notifications');
+
+// --- GATEWAY WEBHOOKS ---
+// Events come in through POST /api/payment/webhook once the gateway adapter has checked their signature
+// (see index.js). Gateways retry deliveries, so the same event can arrive more than once.
+const GATEWAY_ACTOR = { role: 'system', name: 'Payment gateway' };
+
+// Applies a verified gateway event. Safe to call repeatedly with the same event. The event id is only
+// recorded once everything the event changes has been saved, so when a delivery fails halfway (and
+// the gateway retries it) the retry picks up where it stopped.
+async function applyPaymentEvent(event) {
+    const payment = await Payment.findOne({ gatewayPaymentId: event.gatewayPaymentId });
+    if (!payment) return { status: 'unknown_payment' };
+    if (payment.processedEventIds.includes(event.id)) return { status: 'duplicate' };
+
+    const result = await applyToPayment(payment, event);
+    await Payment.updateOne({ _id: payment._id }, { $addToSet: { processedEventIds: event.id } });
+    return result;
+}
+
+async function applyToPayment(payment, event) {
+    const order = await Order.findById(payment.orderId, '-paymentProof.data');
+    const ref = payment.orderId.toString().slice(-6);
+
+    if (payment.status === 'succeeded') {
+        // An earlier delivery marked the payment paid but failed before the order was saved
+        if (event.type === 'payment.succeeded' && order && Order.canTransition(order.status, 'Payment Verified')) return markOrderPaid(order, payment, ref);
+        return { status: 'already_paid' };
+    }
+
+    if (event.type === 'payment.failed') {
+        payment.status = 'failed';
+        payment.failureReason = event.reason || 'Declined by gateway';
+        await payment.save();
+        if (order) await notifyUser(order.userId, {
+            id: 'payfail_' + Date.now(), title: 'Payment Failed',
+            message: `Payment for Order #${ref} did not go through. You can try again or upload a payment screenshot.`,
+            icon: 'x-circle', color: 'red'
+        });
+        return { status: 'failed' };
+    }
+
+    if (event.type !== 'payment.succeeded') return { status: 'ignored' };
+
+    if (Number(event.amount) !== payment.amount) {
+        payment.status = 'failed';
+        payment.failureReason = `Amount mismatch: expected ${payment.amount}, got ${event.amount}`;
+        await payment.save();
+        await AdminNotification.create({ message: `Payment for Order #${ref} has the wrong amount (₹${event.amount} vs ₹${payment.amount}). Check manually.`, type: 'error', orderId: payment.orderId });
+        return { status: 'amount_mismatch' };
+    }
+
+    // Conditional so two different "succeeded" events can't both advance the order
+    const paid = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $ne: 'succeeded' } },
+        { status: 'succeeded', paidAt: new Date(), failureReason: '' },
+        { new: true }
+    );
+    if (!paid) return { status: 'already_paid' };
+
+    // Money arrived after the order was cancelled or expired: someone has to refund it
+    if (!order || !Order.canTransition(order.status, 'Payment Verified')) {
+        if (order) {
+            // On top of anything already paid, so it shows up as a refund due
+            order.paidAmount = order.refundSummary().paid + payment.amount;
+            if (!order.paidAt) order.paidAt = paid.paidAt;
+            await order.save();
+        }
+        await AdminNotification.create({ message: `Payment received for Order #${ref} but it is ${order ? order.status : 'missing'}. Refund required.`, type: 'error', orderId: payment.orderId });
+        return { status: 'needs_refund' };
+    }
+
+    return markOrderPaid(order, paid, ref);
+}
+
+async function markOrderPaid(order, payment, ref) {
+    order.$where = { status: order.status }; // A concurrent delivery of the same payment may have got there first
+    order.transitionTo('Payment Verified', { actor: GATEWAY_ACTOR, note: `Paid via ${payment.gateway} (${payment.gatewayPaymentId})` });
+    order.paymentMethod = 'gateway';
+    order.paidAt = payment.paidAt;
+    order.paidAmount = payment.amount; // May exceed the total if items were cancelled after this payment was opened
+    order.rejectionReason = '';
+    try { await order.save(); }
+    catch (err) { if (err.name === 'DocumentNotFoundError') return { status: 'already_paid' }; throw err; }
+    await issueInvoiceSafe(order);
+
+    await AdminNotification.create({ message: `Order #${ref} paid via gateway (₹${payment.amount}).`, type: 'success', orderId: order._id });
+    await notifyUser(order.userId, {
+        id: 'paid_' + Date.now(), title: 'Payment Received',
+        message: `Payment for Order #${ref} confirmed. We are preparing your order.`,
+        icon: 'check-circle', color: 'green'
+    });
+    return { status: 'paid' };
+}
+
+module.exports = { applyPaymentEvent };
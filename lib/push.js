@@ -0,0 +1,35 @@
+const webpush = require('web-push');
+
+const PushSubscription = require('../models/PushSubscription');
+
+// --- WEB PUSH ---
+// Needs VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (generate once with `npx web-push generate-vapid-keys`).
+// Without them pushes are skipped and the in-app notification list still works.
+const publicKey = process.env.VAPID_PUBLIC_KEY;
+const privateKey = process.env.VAPID_PRIVATE_KEY;
+const enabled = Boolean(publicKey && privateKey);
+
+if (enabled) {
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:support@livestockmart.com', publicKey, privateKey);
+}
+
+// Sends `payload` ({ title, body, url, tag, icon }) to every device the user subscribed.
+// Subscriptions the push service reports as gone are deleted.
+async function sendPushToUser(userId, payload) {
+    if (!enabled) return { sent: 0 };
+    const subscriptions = await PushSubscription.find({ userId });
+    const body = JSON.stringify(payload);
+    let sent = 0;
+    await Promise.all(subscriptions.map(async (sub) => {
+        try {
+            await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, body, { TTL: 24 * 60 * 60 });
+            sent++;
+        } catch (err) {
+            if (err.statusCode === 404 || err.statusCode === 410) await PushSubscription.deleteOne({ _id: sub._id });
+            else console.error('Push Error:', err.statusCode || err.message);
+        }
+    }));
+    return { sent };
+}
+
+module.exports = { sendPushToUser, publicKey: enabled ? publicKey : null };
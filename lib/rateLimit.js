@@ -0,0 +1,64 @@
+const RateLimit = require('../models/RateLimit');
+const { httpError } = require('./errors');
+
+// --- RATE LIMITING ---
+// Fixed windows that open on the first hit: `limit` hits per `windowMs` for each key. Counters live
+// in MongoDB (models/RateLimit.js) so the limit holds across serverless instances.
+
+// Counts one hit against `key` and returns { count, resetAt } for the window it landed in
+async function hit(key, windowMs) {
+    const now = new Date();
+    const open = { $gt: ['$expiresAt', now] }; // The TTL monitor may not have removed a finished window yet
+    const doc = await RateLimit.findOneAndUpdate(
+        { _id: key },
+        [{ $set: {
+            count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+            expiresAt: { $cond: [open, '$expiresAt', new Date(now.getTime() + windowMs)] }
+        } }],
+        { upsert: true, new: true, lean: true, setDefaultsOnInsert: false } // The pipeline sets every field itself
+    );
+    return { count: doc.count, resetAt: doc.expiresAt };
+}
+
+// Current count without adding to it
+async function peek(key) {
+    const doc = await RateLimit.findById(key).lean();
+    return doc && doc.expiresAt > new Date() ? { count: doc.count, resetAt: doc.expiresAt } : { count: 0, resetAt: null };
+}
+
+async function reset(key) {
+    await RateLimit.deleteOne({ _id: key });
+}
+
+// Restarts the window of an existing counter from now, e.g. to hold a lockout for its full length
+async function extend(key, windowMs) {
+    await RateLimit.updateOne({ _id: key }, { expiresAt: new Date(Date.now() + windowMs) });
+}
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// 429 with Retry-After. `code` tells clients why (RATE_LIMITED, ACCOUNT_LOCKED).
+function tooManyRequests(res, resetAt, message, code = 'RATE_LIMITED') {
+    const retryAfter = secondsUntil(resetAt);
+    res.set('Retry-After', String(retryAfter));
+    return httpError(429, message, { code, details: { retryAfter } });
+}
+
+// Middleware. `key(req)` picks who is being limited (client IP by default); returning nothing skips
+// the limit for that request.
+//
+//   app.post('/api/auth/login', rateLimit('login-ip', { limit: 20, windowMs: 15 * 60 * 1000 }), ...)
+function rateLimit(name, { limit, windowMs, key = (req) => req.ip, message = 'Too many requests. Please try again later.' }) {
+    return async (req, res, next) => {
+        const id = key(req);
+        if (!id) return next();
+        try {
+            const { count, resetAt } = await hit(`${name}:${id}`, windowMs);
+            res.set({ 'RateLimit-Limit': String(limit), 'RateLimit-Remaining': String(Math.max(0, limit - count)) });
+            if (count > limit) return next(tooManyRequests(res, resetAt, message));
+            next();
+        } catch (err) { next(err); }
+    };
+}
+
+module.exports = { rateLimit, hit, peek, reset, extend, tooManyRequests };
@@ -0,0 +1,212 @@
+const Order = require('../models/Order');
+
+// --- SALES REPORTS ---
+// Every report is a single aggregation over orders placed in [from, to]. Dates are calendar days in IST.
+const TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_RANGE_DAYS = 30;
+
+// Orders that count as a sale (refunded and cancelled ones don't)
+const SOLD_STATUSES = ['Payment Verified', 'Shipped', 'Delivered'];
+
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+
+function badRequest(message) {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function parseDay(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`);
+    return isNaN(date) ? null : date;
+}
+
+function istDay(date) {
+    return new Date(date.getTime() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, both inclusive. Defaults to the last 30 days.
+function parseRange(query) {
+    const to = query.to ? parseDay(String(query.to), true) : parseDay(istDay(new Date()), true);
+    if (!to) throw badRequest('to must be a date in YYYY-MM-DD format');
+    const from = query.from ? parseDay(String(query.from), false) : new Date(to.getTime() + 1 - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (!from) throw badRequest('from must be a date in YYYY-MM-DD format');
+    if (from > to) throw badRequest('from must not be after to');
+    return { from, to, label: `${istDay(from)}_to_${istDay(to)}` };
+}
+
+const inRange = ({ from, to }, extra = {}) => ({ $match: { createdAt: { $gte: from, $lte: to }, ...extra } });
+const round = (expr, places = 2) => ({ $round: [expr, places] });
+const MS_PER_MINUTE = 60 * 1000;
+
+const REPORTS = {
+    // ?interval=day|week|month
+    revenue: {
+        columns: [['period', 'Period'], ['orders', 'Orders'], ['items', 'Animals sold'], ['revenue', 'Revenue (INR)'], ['averageOrderValue', 'Average order (INR)']],
+        pipeline(range, query) {
+            const interval = query.interval || 'day';
+            if (!PERIOD_FORMATS[interval]) throw badRequest('interval must be day, week or month');
+            return [
+                inRange(range, { status: { $in: SOLD_STATUSES } }),
+                { $group: {
+                    _id: { $dateToString: { date: '$createdAt', format: PERIOD_FORMATS[interval], timezone: TIMEZONE } },
+                    orders: { $sum: 1 },
+                    items: { $sum: { $size: '$items' } },
+                    revenue: { $sum: '$total' }
+                } },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, period: '$_id', orders: 1, items: 1, revenue: 1, averageOrderValue: round({ $divide: ['$revenue', '$orders'] }) } }
+            ];
+        }
+    },
+
+    // ?by=type|breed|both
+    sales: {
+        columns: [['type', 'Type'], ['breed', 'Breed'], ['animals', 'Animals sold'], ['revenue', 'Revenue (INR)'], ['averagePrice', 'Average price (INR)'], ['minPrice', 'Lowest (INR)'], ['maxPrice', 'Highest (INR)']],
+        pipeline(range, query) {
+            const by = query.by || 'both';
+            if (!['type', 'breed', 'both'].includes(by)) throw badRequest('by must be type, breed or both');
+            const key = {};
+            if (by !== 'breed') key.type = { $ifNull: ['$items.type', 'Unknown'] };
+            if (by !== 'type') key.breed = { $ifNull: ['$items.breed', 'Unknown'] };
+            return [
+                inRange(range, { status: { $in: SOLD_STATUSES } }),
+                { $unwind: '$items' },
+                { $group: {
+                    _id: key,
+                    animals: { $sum: 1 },
+                    revenue: { $sum: '$items.price' },
+                    averagePrice: { $avg: '$items.price' },
+                    minPrice: { $min: '$items.price' },
+                    maxPrice: { $max: '$items.price' }
+                } },
+                { $sort: { revenue: -1 } },
+                { $project: { _id: 0, type: '$_id.type', breed: '$_id.breed', animals: 1, revenue: 1, averagePrice: round('$averagePrice'), minPrice: 1, maxPrice: 1 } }
+            ];
+        }
+    },
+
+    // Minutes from placing the order to payment verification, split by how it was paid
+    'payment-time': {
+        columns: [['paymentMethod', 'Payment method'], ['orders', 'Orders'], ['averageMinutes', 'Average (min)'], ['medianMinutes', 'Median (min)'], ['minMinutes', 'Fastest (min)'], ['maxMinutes', 'Slowest (min)']],
+        pipeline(range) {
+            return [
+                inRange(range),
+                { $project: {
+                    paymentMethod: { $ifNull: ['$paymentMethod', 'unknown'] },
+                    createdAt: 1,
+                    // First verification in the history; gateway orders from before statusHistory only have paidAt
+                    verifiedAt: { $ifNull: [
+                        { $min: { $map: { input: { $filter: { input: { $ifNull: ['$statusHistory', []] }, cond: { $eq: ['$$this.to', 'Payment Verified'] } } }, in: '$$this.at' } } },
+                        '$paidAt'
+                    ] }
+                } },
+                { $match: { verifiedAt: { $ne: null } } },
+                { $project: { paymentMethod: 1, minutes: { $divide: [{ $subtract: ['$verifiedAt', '$createdAt'] }, MS_PER_MINUTE] } } },
+                { $sort: { minutes: 1 } },
+                { $group: {
+                    _id: '$paymentMethod',
+                    orders: { $sum: 1 },
+                    averageMinutes: { $avg: '$minutes' },
+                    minMinutes: { $min: '$minutes' },
+                    maxMinutes: { $max: '$minutes' },
+                    all: { $push: '$minutes' }
+                } },
+                { $sort: { orders: -1 } },
+                { $project: {
+                    _id: 0, paymentMethod: '$_id', orders: 1,
+                    averageMinutes: round('$averageMinutes', 1),
+                    medianMinutes: round({ $arrayElemAt: ['$all', { $floor: { $divide: [{ $size: '$all' }, 2] } }] }, 1),
+                    minMinutes: round('$minMinutes', 1),
+                    maxMinutes: round('$maxMinutes', 1)
+                } }
+            ];
+        }
+    },
+
+    // How orders ended up: rejected at least once, auto-expired, cancelled by a person, refunded, sold
+    outcomes: {
+        columns: [['orders', 'Orders'], ['sold', 'Sold'], ['rejected', 'Rejected at least once'], ['rejectionRate', 'Rejection rate (%)'], ['autoExpired', 'Auto-expired'], ['autoExpiryRate', 'Auto-expiry rate (%)'], ['cancelled', 'Cancelled by customer/admin'], ['refunded', 'Refunded'], ['open', 'Still open']],
+        pipeline(range) {
+            const history = { $ifNull: ['$statusHistory', []] };
+            const has = (cond) => ({ $cond: [{ $gt: [{ $size: { $filter: { input: history, cond } } }, 0] }, 1, 0] });
+            const isStatus = (statuses) => ({ $cond: [{ $in: ['$status', statuses] }, 1, 0] });
+            // The expiry job cancels without an actor, so those entries are recorded as 'system'
+            const autoExpiredCond = { $and: [{ $eq: ['$$this.to', 'Cancelled'] }, { $eq: ['$$this.actor.role', 'system'] }] };
+            const pct = (field) => ({ $cond: [{ $gt: ['$orders', 0] }, round({ $multiply: [{ $divide: [field, '$orders'] }, 100] }, 1), 0] });
+            return [
+                inRange(range),
+                { $project: {
+                    sold: isStatus(SOLD_STATUSES),
+                    refunded: isStatus(['Refunded']),
+                    open: isStatus(['Pending', 'Processing', 'Payment Rejected']),
+                    cancelled: isStatus(['Cancelled']),
+                    rejected: { $max: [has({ $eq: ['$$this.to', 'Payment Rejected'] }), { $cond: [{ $eq: ['$status', 'Payment Rejected'] }, 1, 0] }] },
+                    autoExpired: has(autoExpiredCond)
+                } },
+                { $group: {
+                    _id: null,
+                    orders: { $sum: 1 },
+                    sold: { $sum: '$sold' },
+                    refunded: { $sum: '$refunded' },
+                    open: { $sum: '$open' },
+                    rejected: { $sum: '$rejected' },
+                    autoExpired: { $sum: '$autoExpired' },
+                    cancelledTotal: { $sum: '$cancelled' }
+                } },
+                { $project: {
+                    _id: 0, orders: 1, sold: 1, refunded: 1, open: 1, rejected: 1, autoExpired: 1,
+                    cancelled: { $subtract: ['$cancelledTotal', '$autoExpired'] },
+                    rejectionRate: pct('$rejected'),
+                    autoExpiryRate: pct('$autoExpired')
+                } }
+            ];
+        },
+        empty: { orders: 0, sold: 0, rejected: 0, rejectionRate: 0, autoExpired: 0, autoExpiryRate: 0, cancelled: 0, refunded: 0, open: 0 }
+    },
+
+    // ?limit=10 (max 100)
+    'top-customers': {
+        columns: [['name', 'Customer'], ['email', 'Email'], ['orders', 'Orders'], ['animals', 'Animals bought'], ['revenue', 'Spent (INR)'], ['lastOrderAt', 'Last order']],
+        pipeline(range, query) {
+            const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100);
+            return [
+                inRange(range, { status: { $in: SOLD_STATUSES } }),
+                { $group: {
+                    _id: '$userId',
+                    customer: { $last: '$customer' },
+                    orders: { $sum: 1 },
+                    animals: { $sum: { $size: '$items' } },
+                    revenue: { $sum: '$total' },
+                    lastOrderAt: { $max: '$createdAt' }
+                } },
+                { $sort: { revenue: -1, orders: -1 } },
+                { $limit: limit },
+                { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+                { $project: {
+                    _id: 0, userId: '$_id',
+                    name: { $ifNull: [{ $arrayElemAt: ['$user.name', 0] }, '$customer'] },
+                    email: { $arrayElemAt: ['$user.email', 0] },
+                    orders: 1, animals: 1, revenue: 1, lastOrderAt: 1
+                } }
+            ];
+        }
+    }
+};
+
+// Returns { report, from, to, columns, rows }. Throws with err.status 400/404 on bad input.
+async function runReport(name, query) {
+    const report = REPORTS[name];
+    if (!report) {
+        const err = new Error(`Unknown report. Available: ${Object.keys(REPORTS).join(', ')}`);
+        err.status = 404;
+        throw err;
+    }
+    const range = parseRange(query);
+    let rows = await Order.aggregate(report.pipeline(range, query));
+    if (rows.length === 0 && report.empty) rows = [report.empty];
+    return { report: name, from: range.from, to: range.to, label: range.label, columns: report.columns, rows };
+}
+
+module.exports = { REPORTS, SOLD_STATUSES, runReport };
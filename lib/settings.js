@@ -0,0 +1,166 @@
+const Setting = require('../models/Setting');
+
+// --- SETTINGS ---
+// Each group declares its defaults and a validator. Stored values only hold what an admin changed,
+// so new defaults show up without a migration.
+const groups = {};
+
+function defineSettings(key, { defaults, validate }) {
+    groups[key] = { defaults, validate: validate || (() => null) };
+}
+
+function isPlainObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function merge(base, patch) {
+    if (!isPlainObject(base) || !isPlainObject(patch)) return patch === undefined ? base : patch;
+    const out = { ...base };
+    for (const [key, value] of Object.entries(patch)) out[key] = merge(base[key], value);
+    return out;
+}
+
+function groupFor(key) {
+    const group = groups[key];
+    if (!group) { const err = new Error(`Unknown settings group: ${key}`); err.status = 404; throw err; }
+    return group;
+}
+
+async function getSettings(key) {
+    const group = groupFor(key);
+    const doc = await Setting.findOne({ key }).lean();
+    return merge(group.defaults, doc ? doc.value : {});
+}
+
+// Merges `patch` into the stored value. Throws with err.status = 400 when the result fails validation.
+async function updateSettings(key, patch, actor) {
+    const group = groupFor(key);
+    if (!isPlainObject(patch)) { const err = new Error('Settings must be an object'); err.status = 400; throw err; }
+    const doc = await Setting.findOne({ key }).lean();
+    const stored = merge(doc ? doc.value : {}, patch);
+    const effective = merge(group.defaults, stored);
+    const problem = group.validate(effective);
+    if (problem) { const err = new Error(problem); err.status = 400; throw err; }
+    await Setting.updateOne(
+        { key },
+        { $set: { value: stored, updatedAt: new Date(), updatedBy: actor ? { id: actor.id, name: actor.name } : undefined } },
+        { upsert: true }
+    );
+    return effective;
+}
+
+defineSettings('invoice', {
+    defaults: {
+        prefix: 'LM',
+        seller: {
+            name: 'Livestock Mart', address: '', gstin: '', pan: '',
+            state: '', stateCode: '', email: 'support@livestockmart.com', phone: ''
+        },
+        hsnCode: '0104', // Live sheep and goats
+        gstRate: 0, // Live animals are currently nil-rated under GST. Listing prices include any GST.
+        deliverySacCode: '9965', // Goods transport services
+        deliveryGstRate: 0, // Set if the delivery charge attracts GST; like prices, the charge includes it
+        notes: 'Thank you for your purchase from Livestock Mart.'
+    },
+    validate(value) {
+        if (!/^[A-Za-z0-9-]{1,10}$/.test(value.prefix)) return 'prefix must be 1-10 letters, digits or dashes';
+        if (typeof value.gstRate !== 'number' || value.gstRate < 0 || value.gstRate > 28) return 'gstRate must be a percentage between 0 and 28';
+        if (typeof value.deliveryGstRate !== 'number' || value.deliveryGstRate < 0 || value.deliveryGstRate > 28) return 'deliveryGstRate must be a percentage between 0 and 28';
+        if (!value.seller || !value.seller.name) return 'seller.name is required';
+        if (value.seller.gstin && !/^[0-9]{2}[A-Z0-9]{13}$/.test(value.seller.gstin)) return 'seller.gstin must be a 15-character GSTIN';
+        return null;
+    }
+});
+
+// How long an unpaid order holds its animals (see the jobs in server.js)
+defineSettings('reservations', {
+    defaults: {
+        unpaidMinutes: 30, // Pending orders without payment or proof are cancelled after this
+        gatewayGraceMinutes: 15, // Starting a gateway payment keeps the order at least this long, so the webhook can arrive
+        reminderMinutes: 10 // Remind the customer this long before expiry; 0 turns reminders off
+    },
+    validate(value) {
+        const minutes = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+        if (!minutes(value.unpaidMinutes, 5, 7 * 24 * 60)) return 'unpaidMinutes must be a whole number from 5 to 10080';
+        if (!minutes(value.gatewayGraceMinutes, 0, 24 * 60)) return 'gatewayGraceMinutes must be a whole number from 0 to 1440';
+        if (!minutes(value.reminderMinutes, 0, value.unpaidMinutes - 1)) return 'reminderMinutes must be less than unpaidMinutes';
+        return null;
+    }
+});
+
+// Sign-in lockout (see /api/auth/login in server.js)
+defineSettings('security', {
+    defaults: {
+        loginMaxFailures: 5, // Wrong passwords for one email before it is locked
+        lockoutMinutes: 15 // Failures are counted over this long, and a lock lasts this long
+    },
+    validate(value) {
+        if (!Number.isInteger(value.loginMaxFailures) || value.loginMaxFailures < 3 || value.loginMaxFailures > 50) return 'loginMaxFailures must be a whole number from 3 to 50';
+        if (!Number.isInteger(value.lockoutMinutes) || value.lockoutMinutes < 1 || value.lockoutMinutes > 24 * 60) return 'lockoutMinutes must be a whole number from 1 to 1440';
+        return null;
+    }
+});
+
+// Delivery charges, slots and handover codes (see the delivery section in server.js). A zone covers the
+// pincodes starting with any of its prefixes, and the longest matching prefix wins, so a nearby town
+// ('5000') can be priced apart from the rest of its district ('500'). Zones stand in for distance
+// bands: list the pincodes near the farm in the cheaper zones.
+defineSettings('delivery', {
+    defaults: {
+        zones: [], // [{ name: 'Local', pincodes: ['5000'], charge: 500 }, { name: 'Telangana', pincodes: ['50'], charge: 2500 }]
+        defaultCharge: 0, // For pincodes no zone covers; null means we don't deliver there
+        freeAbove: 0, // Orders whose animals come to at least this much ship free; 0 turns it off
+        slots: ['06:00-10:00', '10:00-14:00', '14:00-18:00'],
+        otpHours: 72, // How long the handover code sent on dispatch stays valid
+        otpMaxAttempts: 5 // Wrong codes before a new one has to be sent
+    },
+    validate(value) {
+        const amount = (v) => typeof v === 'number' && v >= 0 && v <= 1000000;
+        if (!Array.isArray(value.zones) || value.zones.length > 200) return 'zones must be a list of at most 200 zones';
+        for (const zone of value.zones) {
+            if (!zone || typeof zone.name !== 'string' || !zone.name.trim()) return 'every zone needs a name';
+            if (!Array.isArray(zone.pincodes) || zone.pincodes.length === 0 || !zone.pincodes.every(p => /^[1-9][0-9]{0,5}$/.test(p))) {
+                return `zone "${zone.name}" needs pincodes: 1-6 digit prefixes such as "500" or "500081"`;
+            }
+            if (!amount(zone.charge)) return `zone "${zone.name}" needs a charge from 0 to 1000000`;
+        }
+        if (value.defaultCharge !== null && !amount(value.defaultCharge)) return 'defaultCharge must be an amount from 0 to 1000000, or null';
+        if (!amount(value.freeAbove)) return 'freeAbove must be an amount from 0 to 1000000';
+        if (!Array.isArray(value.slots) || value.slots.length === 0 || !value.slots.every(slot => typeof slot === 'string' && slot.trim() && slot.length <= 50)) {
+            return 'slots must be a list of labels such as "06:00-10:00"';
+        }
+        if (!Number.isInteger(value.otpHours) || value.otpHours < 1 || value.otpHours > 30 * 24) return 'otpHours must be a whole number from 1 to 720';
+        if (!Number.isInteger(value.otpMaxAttempts) || value.otpMaxAttempts < 1 || value.otpMaxAttempts > 20) return 'otpMaxAttempts must be a whole number from 1 to 20';
+        return null;
+    }
+});
+
+// Multi-seller marketplace (see the seller section in server.js)
+defineSettings('marketplace', {
+    defaults: {
+        commissionPercent: 10 // Kept from each seller's animals on delivered orders; delivery charges are ours in full
+    },
+    validate(value) {
+        if (typeof value.commissionPercent !== 'number' || value.commissionPercent < 0 || value.commissionPercent > 50) return 'commissionPercent must be a percentage from 0 to 50';
+        return null;
+    }
+});
+
+// Auction mode for listings (see Livestock.auction and the auction section in server.js)
+defineSettings('auctions', {
+    defaults: {
+        extendMinutes: 5, // Anti-sniping: a bid this close to the end pushes the end back to this far from now
+        maxDays: 14, // Longest an auction may run
+        paymentHours: 24 // How long the winner has to pay before their order lapses and the animal is released
+    },
+    validate(value) {
+        if (!Number.isInteger(value.extendMinutes) || value.extendMinutes < 0 || value.extendMinutes > 60) return 'extendMinutes must be a whole number from 0 to 60';
+        if (!Number.isInteger(value.maxDays) || value.maxDays < 1 || value.maxDays > 60) return 'maxDays must be a whole number from 1 to 60';
+        if (typeof value.paymentHours !== 'number' || value.paymentHours < 1 || value.paymentHours > 168) return 'paymentHours must be between 1 and 168';
+        return null;
+    }
+});
+
+const settingsKeys = () => Object.keys(groups);
+
+module.exports = { defineSettings, getSettings, updateSettings, settingsKeys };
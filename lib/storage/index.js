@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// --- STORAGE DRIVERS ---
+// A driver is any object with `async put(key, buffer, { contentType })`, `async get(key)` (Buffer or
+// null) and `async delete(key)`. Pick one with STORAGE_DRIVER; add remote ones (S3-compatible etc.)
+// with registerDriver().
+const drivers = {
+    local: require('./local')
+};
+
+function registerDriver(name, factory) {
+    drivers[name] = factory;
+}
+
+let active = null;
+
+function getStorage() {
+    if (active) return active;
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+    if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    active = factory();
+    return active;
+}
+
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif', 'video/mp4': '.mp4' };
+
+// Builds a fresh, unguessable key such as "livestock/3f2a...c1.jpg"
+function makeKey(prefix, contentType, originalName) {
+    const ext = EXTENSIONS[contentType] || path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return `${prefix}/${crypto.randomUUID()}${ext}`;
+}
+
+// Writes a multer (memoryStorage) file through the active driver. Returns { key, contentType }.
+async function saveUpload(file, prefix) {
+    const key = makeKey(prefix, file.mimetype, file.originalname);
+    await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+    return { key, contentType: file.mimetype };
+}
+
+module.exports = { getStorage, registerDriver, makeKey, saveUpload };
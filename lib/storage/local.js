@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores objects as plain files under STORAGE_DIR. Note that on serverless hosts only the
+// OS temp dir is writable and it does not survive cold starts; use a remote driver there.
+function createLocalDriver({ root = process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads') } = {}) {
+    const base = path.resolve(root);
+
+    function resolveKey(key) {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return file;
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, data) {
+            const file = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data);
+            return { key };
+        },
+
+        // Resolves to a Buffer, or null when the object does not exist
+        async get(key) {
+            try { return await fs.promises.readFile(resolveKey(key)); }
+            catch (err) { if (err.code === 'ENOENT') return null; throw err; }
+        },
+
+        async delete(key) {
+            try { await fs.promises.unlink(resolveKey(key)); }
+            catch (err) { if (err.code !== 'ENOENT') throw err; }
+        }
+    };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,175 @@
+const { httpError } = require('./errors');
+
+// --- REQUEST VALIDATION ---
+// Routes declare what they accept: validate({ body, params, query }) with a shape built from `v`.
+// Values are checked and coerced (query strings and multipart fields arrive as text), keys the shape
+// doesn't name are dropped, and every problem is reported at once as a 400 VALIDATION_FAILED.
+//
+//   app.put('/api/x/:id', validate({ params: { id: v.objectId() }, body: { qty: v.number({ min: 1 }) } }), ...)
+
+class Rule {
+    constructor(type, check, { emptyIsMissing = true } = {}) {
+        this.type = type;
+        this.check = check; // (value, path) -> coerced value; throws a string describing the problem
+        this.required = true;
+        this.fallback = undefined;
+        this.emptyIsMissing = emptyIsMissing;
+    }
+
+    optional() { return this.with({ required: false }); }
+
+    default(value) { return this.with({ required: false, fallback: value }); }
+
+    with(props) { return Object.assign(Object.create(Rule.prototype), this, props); }
+}
+
+// Multipart forms send arrays and objects as JSON text
+function fromJson(value, opening) {
+    if (typeof value !== 'string' || !value.trim().startsWith(opening)) return value;
+    try { return JSON.parse(value); } catch (err) { throw 'must be valid JSON'; }
+}
+
+function run(rule, value, path, issues, location) {
+    const missing = value === undefined || value === null || (value === '' && rule.emptyIsMissing);
+    if (missing) {
+        if (rule.required) issues.push({ location, path, message: `${path} is required` });
+        return typeof rule.fallback === 'function' ? rule.fallback() : rule.fallback;
+    }
+    try { return rule.check(value, path, issues, location); }
+    catch (problem) {
+        if (typeof problem !== 'string') throw problem;
+        issues.push({ location, path, message: `${path} ${problem}` });
+        return undefined;
+    }
+}
+
+const v = {
+    // { min, max } length, pattern (RegExp) with an optional `message` for it, lowercase.
+    // Trimmed; numbers are accepted as text.
+    string({ min = 0, max = 1000, pattern, message = 'is not in the expected format', lowercase = false, trim = true } = {}) {
+        return new Rule('string', (value) => {
+            if (typeof value === 'number') value = String(value);
+            if (typeof value !== 'string') throw 'must be text';
+            if (trim) value = value.trim();
+            if (lowercase) value = value.toLowerCase();
+            if (value.length < min) throw min === 1 ? 'must not be empty' : `must be at least ${min} characters`;
+            if (value.length > max) throw `must be at most ${max} characters`;
+            if (pattern && !pattern.test(value)) throw message;
+            return value;
+        }, { emptyIsMissing: false });
+    },
+
+    number({ min, max, integer = false } = {}) {
+        return new Rule('number', (value) => {
+            const number = typeof value === 'string' ? Number(value.trim()) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) throw 'must be a number';
+            if (integer && !Number.isInteger(number)) throw 'must be a whole number';
+            if (min !== undefined && number < min) throw `must be at least ${min}`;
+            if (max !== undefined && number > max) throw `must be at most ${max}`;
+            return number;
+        });
+    },
+
+    boolean() {
+        return new Rule('boolean', (value) => {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return true;
+            if (['false', '0', 'no', 'off'].includes(text)) return false;
+            throw 'must be true or false';
+        });
+    },
+
+    // Case-sensitive choice from a fixed list
+    oneOf(values) {
+        return new Rule('oneOf', (value) => {
+            if (!values.includes(value)) throw `must be one of: ${values.join(', ')}`;
+            return value;
+        });
+    },
+
+    objectId() {
+        return new Rule('objectId', (value) => {
+            if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) throw 'must be a valid id';
+            return value;
+        });
+    },
+
+    date() {
+        return new Rule('date', (value) => {
+            const date = value instanceof Date ? value : new Date(value);
+            if (typeof value === 'boolean' || isNaN(date)) throw 'must be a date';
+            return date;
+        });
+    },
+
+    // A JSON array (or its text, from multipart forms). { min, max } items.
+    array(item, { min = 0, max = 100 } = {}) {
+        return new Rule('array', (value, path, issues, location) => {
+            value = fromJson(value, '[');
+            if (!Array.isArray(value)) throw 'must be a list';
+            if (value.length < min) throw `must have at least ${min} item${min === 1 ? '' : 's'}`;
+            if (value.length > max) throw `must have at most ${max} items`;
+            return value.map((element, i) => run(item, element, `${path}[${i}]`, issues, location));
+        });
+    },
+
+    // Like array(), but also takes "a,b;c" text, for query strings and spreadsheet-style form fields
+    list(item, { max = 100 } = {}) {
+        const array = v.array(item, { max });
+        return new Rule('list', (value, path, issues, location) => {
+            if (typeof value === 'string' && !value.trim().startsWith('[')) {
+                value = value.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+            }
+            return array.check(value, path, issues, location);
+        });
+    },
+
+    // Nested object. Unknown keys are dropped unless { unknown: 'allow' }.
+    object(shape, { unknown = 'strip' } = {}) {
+        return new Rule('object', (value, path, issues, location) => {
+            value = fromJson(value, '{');
+            if (!value || typeof value !== 'object' || Array.isArray(value)) throw 'must be an object';
+            return parseShape(shape, value, issues, location, path, unknown);
+        });
+    },
+
+    any() {
+        return new Rule('any', (value) => value, { emptyIsMissing: false });
+    }
+};
+
+function parseShape(shape, input, issues, location, prefix, unknown = 'strip') {
+    const out = unknown === 'allow' ? { ...input } : {};
+    for (const [key, rule] of Object.entries(shape)) {
+        const value = run(rule, input[key], prefix ? `${prefix}.${key}` : key, issues, location);
+        if (value === undefined) delete out[key];
+        else out[key] = value;
+    }
+    return out;
+}
+
+// Middleware. Each part is a plain shape ({ field: rule }) or a v.object(...) rule.
+// Replaces req.body / req.params / req.query with the cleaned values.
+function validate(parts) {
+    return (req, res, next) => {
+        const issues = [];
+        const cleaned = {};
+        for (const [location, schema] of Object.entries(parts)) {
+            const input = req[location] || {};
+            cleaned[location] = schema instanceof Rule
+                ? run(schema, input, location, issues, location)
+                : parseShape(schema, input, issues, location, '');
+        }
+        if (issues.length > 0) {
+            return next(httpError(400, issues.length === 1 ? issues[0].message : 'Invalid request', { code: 'VALIDATION_FAILED', details: issues }));
+        }
+        for (const [location, value] of Object.entries(cleaned)) req[location] = value;
+        next();
+    };
+}
+
+// Routes whose only input is one or more ids in the path: idParam('id', 'mediaId')
+const idParam = (...names) => validate({ params: Object.fromEntries(names.map(name => [name, v.objectId()])) });
+
+module.exports = { v, validate, idParam, Rule };
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const { publishSafe } = require('../lib/events');
+
+// Entries in the admin dashboard's notification list
+const adminNotifSchema = new mongoose.Schema({
+    message: String,
+    type: { type: String, enum: ['info', 'warning', 'success', 'error'], default: 'info' },
+    orderId: mongoose.Schema.Types.ObjectId,
+    read: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Push every new admin notification to open dashboards
+adminNotifSchema.pre('save', function (next) { this.$locals.wasNew = this.isNew; next(); });
+adminNotifSchema.post('save', function (doc) {
+    if (doc.$locals.wasNew) publishSafe('admin', 'notification', doc.toObject());
+});
+
+module.exports = mongoose.models.AdminNotification || mongoose.model('AdminNotification', adminNotifSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Server-side record of emailed tokens (password reset, email verification).
+// The token itself is a signed JWT; this document makes it single-use via `usedAt`.
+const authTokenSchema = new mongoose.Schema({
+    jti: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verify'], required: true },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One accepted bid on an auctioned listing (Livestock.auction). Kept out of the listing so the
+// history can grow without weighing down every catalogue read.
+const bidSchema = new mongoose.Schema({
+    livestockId: { type: mongoose.Schema.Types.ObjectId, ref: 'Livestock', required: true },
+    auctionId: { type: mongoose.Schema.Types.ObjectId }, // Livestock.auction.auctionId: which of the listing's auctions
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true, min: 1 },
+    extendedTo: { type: Date }, // New end time when this bid came in close to the end
+    createdAt: { type: Date, default: Date.now }
+});
+
+bidSchema.index({ livestockId: 1, auctionId: 1, createdAt: -1 });
+bidSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Bid || mongoose.model('Bid', bidSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences handed out by the database, so every server instance draws from the same one:
+// next('stream-events') -> 1, 2, 3...
+const counterSchema = new mongoose.Schema({
+    _id: { type: String }, // Sequence name
+    seq: { type: Number, default: 0 }
+});
+
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true, lean: true });
+    return counter.seq;
+};
+
+counterSchema.statics.current = async function (name) {
+    const counter = await this.findById(name).lean();
+    return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const invoiceLineSchema = new mongoose.Schema({
+    livestockId: String,
+    description: String,
+    breed: String,
+    type: String,
+    hsn: String,
+    amount: Number, // What the buyer paid for this line, GST included
+    taxableValue: Number,
+    taxes: [{ name: String, rate: Number, amount: Number }]
+}, { _id: false });
+
+// An issued tax invoice. Everything printed on it is copied in at issue time so later edits to
+// the order, the buyer's profile or the invoice settings never change a document already sent out.
+// Numbers run 1, 2, 3... per financial year with no gaps: a number only exists once its invoice is saved.
+const invoiceSchema = new mongoose.Schema({
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    financialYear: { type: String, required: true }, // e.g. '2025-26' (April to March)
+    sequence: { type: Number, required: true },
+    number: { type: String, required: true, unique: true }, // e.g. 'LM/2025-26/00042'
+    issuedAt: { type: Date, default: Date.now },
+
+    seller: {
+        name: String, address: String, gstin: String, pan: String,
+        state: String, stateCode: String, email: String, phone: String
+    },
+    buyer: {
+        name: String, line1: String, line2: String, city: String,
+        state: String, pincode: String, phone: String, email: String
+    },
+    placeOfSupply: String,
+    interState: { type: Boolean, default: false }, // IGST instead of CGST + SGST
+    lines: [invoiceLineSchema],
+    taxTotals: [{ name: String, rate: Number, amount: Number }],
+    taxableTotal: Number,
+    taxTotal: Number,
+    grandTotal: Number,
+    paymentMethod: String,
+    paymentReference: String,
+    notes: String
+});
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+
+module.exports = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job (see lib/jobs.js): the lock that keeps it to one run at a time
+// across server instances, when it is next due and how the last run went.
+const jobLockSchema = new mongoose.Schema({
+    _id: { type: String }, // Job name
+    lockedUntil: { type: Date, default: null }, // A crashed run frees the lock once this passes
+    lockedBy: { type: String, default: null },
+    nextRunAt: { type: Date, default: null },
+    lastStartedAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastStatus: { type: String, enum: ['succeeded', 'failed'] },
+    lastResult: { type: mongoose.Schema.Types.Mixed },
+    lastError: { type: String },
+    runs: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 }
+}, { minimize: false });
+
+module.exports = mongoose.models.JobLock || mongoose.model('JobLock', jobLockSchema);
@@ -1,24 +1,232 @@
 const mongoose = require('mongoose');
 
+const mediaFileSchema = new mongoose.Schema({
+    key: String, // Object key in the storage driver (lib/storage)
+    contentType: String,
+    width: Number
+}, { _id: false });
+
+// One gallery entry. Array order is display order.
+const mediaSchema = new mongoose.Schema({
+    kind: { type: String, enum: ['image', 'video'], required: true },
+    key: { type: String, required: true },
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    variants: { thumb: mediaFileSchema, medium: mediaFileSchema }, // Images only
+    poster: mediaFileSchema, // Videos only: still frame shown before playback
+    createdAt: { type: Date, default: Date.now }
+}, { id: false });
+
+const LIVESTOCK_STATUSES = ['Available', 'Reserved', 'Sold', 'Hidden']; // Hidden = kept for records, not listed
+// Statuses a seller may set themselves; Reserved and Sold only come from orders
+const SELLER_STATUSES = ['Available', 'Hidden'];
+// Sellers' listings wait for an admin before they go live. Listings without a moderation status
+// (the marketplace's own stock, and everything from before sellers existed) count as approved.
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+// How a closed auction ended: sold to the highest bidder, highest bid below the reserve, no bids at
+// all, the listing was taken off sale (hidden) before it closed, or the winning account was deleted
+const AUCTION_OUTCOMES = ['sold', 'reserve_not_met', 'no_bids', 'withdrawn', 'winner_unavailable'];
+const SEXES = ['Male', 'Female'];
+const HEALTH_RECORD_KINDS = ['vaccination', 'deworming'];
+const MAX_AGE_YEARS = 25;
+
+const notInFuture = {
+    validator: (value) => !value || value.getTime() <= Date.now() + 24 * 60 * 60 * 1000, // a day of slack for time zones
+    message: '{PATH} cannot be in the future'
+};
+
+// One vaccination or deworming, e.g. { kind: 'vaccination', name: 'PPR', date, nextDueDate }
+const healthRecordSchema = new mongoose.Schema({
+    kind: { type: String, enum: HEALTH_RECORD_KINDS, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 }, // Vaccine or dewormer used
+    date: { type: Date, required: true, validate: notInFuture },
+    nextDueDate: {
+        type: Date,
+        validate: { validator: function (value) { return !value || !this.date || value >= this.date; }, message: 'nextDueDate must be on or after date' }
+    },
+    notes: { type: String, trim: true, maxlength: 500, default: '' },
+    recordedBy: { id: String, name: String },
+    createdAt: { type: Date, default: Date.now }
+}, { id: false });
+
 const livestockSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    type: { type: String, required: true }, // Goat or Sheep
-    breed: { type: String, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    type: { type: String, required: true, trim: true }, // Goat or Sheep
+    breed: { type: String, required: true, trim: true },
+    sex: { type: String, enum: SEXES },
+    tagNumber: { type: String, trim: true, uppercase: true, maxlength: 30, match: [/^[A-Z0-9][A-Z0-9 /-]*$/, 'tagNumber may only contain letters, digits, spaces, / and -'] }, // Ear tag
 
-age: { type: String, required: true },
-    age: { type: String, required: true },
-    
-    // ADDED WEIGHT FIELD HERE
-    weight: { type: String, required: true }, 
+    // Age is derived from dateOfBirth (see the `age` virtuals below) so it never goes stale
+    dateOfBirth: {
+        type: Date,
+        required: true,
+        validate: [notInFuture, {
+            validator: (value) => !value || value.getFullYear() >= new Date().getFullYear() - MAX_AGE_YEARS,
+            message: `dateOfBirth cannot be more than ${MAX_AGE_YEARS} years ago`
+        }]
+    },
+    dobEstimated: { type: Boolean, default: false }, // Back-calculated from an age like "2 years"
+    weightKg: { type: Number, required: true, min: [1, 'weightKg must be at least 1'], max: [300, 'weightKg must be at most 300'] },
 
-    price: { type: Number, required: true },
+    price: { type: Number, required: true, min: [0, 'price cannot be negative'] },
     image: {
-        data: { type: Buffer },
-        contentType: { type: String }
-    }, // Binary image data (optional)
+        key: { type: String }, // Object key in the storage driver (lib/storage)
+        contentType: { type: String },
+        data: { type: Buffer } // Legacy inline bytes; moved out by scripts/migrate-media-to-storage.js
+    }, // Optional, pre-gallery listings only
+
+    media: [mediaSchema],
+    coverMediaId: { type: mongoose.Schema.Types.ObjectId }, // Gallery image used in list views
     tags: [String],
-    status: { type: String, default: 'Available' },
+    status: { type: String, enum: LIVESTOCK_STATUSES, default: 'Available' },
+    healthRecords: [healthRecordSchema],
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Unset for the marketplace's own stock
+    moderation: {
+        status: { type: String, enum: MODERATION_STATUSES },
+        note: { type: String, default: '' }, // Why it was rejected, shown to the seller
+        submittedAt: { type: Date },
+        reviewedAt: { type: Date },
+        reviewedBy: { id: mongoose.Schema.Types.ObjectId, name: String }
+    },
+    // Optional auction mode: `price` becomes the opening bid and the animal goes to the highest bidder
+    // at endsAt, if the bid reached the reserve. Bids live in models/Bid.js.
+    auction: {
+        enabled: { type: Boolean },
+        auctionId: { type: mongoose.Schema.Types.ObjectId }, // New for every auction of the listing; its bids carry it (models/Bid.js)
+        startsAt: { type: Date },
+        endsAt: { type: Date }, // Pushed back by bids in the last extendMinutes (anti-sniping)
+        reservePrice: { type: Number, min: 0, select: false }, // Never shown to bidders; see reserveMet
+        minIncrement: { type: Number, min: 1 },
+        extendMinutes: { type: Number, min: 0 },
+        currentBid: { type: Number },
+        currentBidderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        bidCount: { type: Number },
+        reserveMet: { type: Boolean },
+        closedAt: { type: Date },
+        outcome: { type: String, enum: AUCTION_OUTCOMES },
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' } // The winner's order
+    },
     createdAt: { type: Date, default: Date.now }
+}, { toJSON: { virtuals: true }, toObject: { virtuals: true }, id: false });
+
+// Indexes backing GET /api/livestock filters and sorts
+livestockSchema.index({ status: 1, type: 1, price: 1 });
+livestockSchema.index({ breed: 1 });
+livestockSchema.index({ tags: 1 });
+livestockSchema.index({ price: 1 });
+livestockSchema.index({ weightKg: 1 });
+livestockSchema.index({ dateOfBirth: 1 });
+livestockSchema.index({ tagNumber: 1 }, { sparse: true });
+livestockSchema.index({ createdAt: -1 });
+livestockSchema.index({ sellerId: 1, createdAt: -1 });
+livestockSchema.index({ 'moderation.status': 1, 'moderation.submittedAt': 1 });
+livestockSchema.index({ 'auction.enabled': 1, 'auction.closedAt': 1, 'auction.endsAt': 1 }); // close-auctions job
+livestockSchema.index({ name: 'text', breed: 'text', tags: 'text' }, { weights: { name: 5, breed: 3, tags: 1 }, name: 'livestock_text' });
+
+// "25 kg", "25kg", "25" -> 25
+function parseWeightKg(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value || '').match(/(\d+(?:\.\d+)?)/);
+    return match ? parseFloat(match[1]) : undefined;
+}
+
+// "2 years", "1.5 yrs", "8 months", "6 mo" -> months. A bare number is taken as months.
+function parseAgeMonths(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value || '').toLowerCase();
+    const match = text.match(/(\d+(?:\.\d+)?)/);
+    if (!match) return undefined;
+    const amount = parseFloat(match[1]);
+    if (/y(ea)?r/.test(text)) return Math.round(amount * 12);
+    if (/w(ee)?k/.test(text)) return Math.round(amount / 4.345);
+    return Math.round(amount);
+}
+
+// Date of birth for an animal that was `months` old on `asOf`
+function estimateDateOfBirth(months, asOf = new Date()) {
+    const date = new Date(asOf);
+    date.setMonth(date.getMonth() - months);
+    return date;
+}
+
+function monthsSince(date, now = new Date()) {
+    let months = (now.getFullYear() - date.getFullYear()) * 12 + (now.getMonth() - date.getMonth());
+    if (now.getDate() < date.getDate()) months--;
+    return Math.max(months, 0);
+}
+
+// "8 months", "1 yr 3 mo", "2 yrs"
+function formatAge(months) {
+    if (months < 12) return `${months} month${months === 1 ? '' : 's'}`;
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    return `${years} yr${years === 1 ? '' : 's'}${rest ? ` ${rest} mo` : ''}`;
+}
+
+livestockSchema.virtual('ageMonths').get(function () {
+    return this.dateOfBirth ? monthsSince(this.dateOfBirth) : undefined;
+});
+livestockSchema.virtual('age').get(function () {
+    return this.dateOfBirth ? formatAge(monthsSince(this.dateOfBirth)) : undefined;
+});
+// Older clients read `weight` and append "kg" themselves
+livestockSchema.virtual('weight').get(function () { return this.weightKg; });
+
+// Explicit cover if set, else the first image in the gallery
+livestockSchema.methods.getCover = function () {
+    const images = (this.media || []).filter(m => m.kind === 'image');
+    return (this.coverMediaId && images.find(m => m._id.equals(this.coverMediaId))) || images[0] || null;
+};
+
+// Lowest bid the auction accepts next: the opening price, then the leading bid plus the increment
+function minimumBid(doc) {
+    const auction = doc.auction || {};
+    return auction.currentBid ? auction.currentBid + auction.minIncrement : doc.price;
+}
+
+// scheduled -> live -> ended (waiting for the close-auctions job) -> closed
+function auctionPhase(doc, now = new Date()) {
+    const auction = doc.auction;
+    if (!auction || !auction.enabled) return undefined;
+    if (auction.closedAt) return 'closed';
+    if (auction.startsAt > now) return 'scheduled';
+    return auction.endsAt > now ? 'live' : 'ended';
+}
+
+livestockSchema.virtual('auctionPhase').get(function () { return auctionPhase(this); });
+livestockSchema.virtual('minimumBid').get(function () {
+    return this.auction && this.auction.enabled && !this.auction.closedAt ? minimumBid(this) : undefined;
 });
 
-module.exports = mongoose.model('Livestock', livestockSchema);
+// Matches listings buyers may see: approved, or never moderated
+const LIVE_FILTER = { 'moderation.status': { $nin: ['pending', 'rejected'] } };
+
+// Listings that sell at their fixed price; auctioned ones are only sold through bidding
+const FIXED_PRICE_FILTER = { 'auction.enabled': { $ne: true } };
+
+// Whether a buyer can put this animal in an order now. Works on lean documents.
+function isBuyable(doc) {
+    const moderation = doc.moderation && doc.moderation.status;
+    const auctioned = Boolean(doc.auction && doc.auction.enabled);
+    return doc.status === 'Available' && moderation !== 'pending' && moderation !== 'rejected' && !auctioned;
+}
+
+const Livestock = mongoose.model('Livestock', livestockSchema);
+Livestock.LIVESTOCK_STATUSES = LIVESTOCK_STATUSES;
+Livestock.SELLER_STATUSES = SELLER_STATUSES;
+Livestock.MODERATION_STATUSES = MODERATION_STATUSES;
+Livestock.LIVE_FILTER = LIVE_FILTER;
+Livestock.isBuyable = isBuyable;
+Livestock.AUCTION_OUTCOMES = AUCTION_OUTCOMES;
+Livestock.FIXED_PRICE_FILTER = FIXED_PRICE_FILTER;
+Livestock.minimumBid = minimumBid;
+Livestock.auctionPhase = auctionPhase;
+Livestock.SEXES = SEXES;
+Livestock.HEALTH_RECORD_KINDS = HEALTH_RECORD_KINDS;
+Livestock.parseWeightKg = parseWeightKg;
+Livestock.parseAgeMonths = parseAgeMonths;
+Livestock.estimateDateOfBirth = estimateDateOfBirth;
+
+module.exports = Livestock;
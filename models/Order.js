@@ -1,19 +1,121 @@
 const mongoose = require('mongoose');
 
+// --- ORDER STATE MACHINE ---
+// Happy path: Pending -> Processing -> Payment Verified -> Shipped -> Delivered
+const ORDER_TRANSITIONS = {
+    'Pending': ['Processing', 'Payment Verified', 'Payment Rejected', 'Cancelled'], // -> Verified directly when the gateway confirms
+    'Processing': ['Payment Verified', 'Payment Rejected', 'Cancelled'],
+    'Payment Rejected': ['Processing', 'Cancelled'],
+    'Payment Verified': ['Shipped', 'Cancelled', 'Refunded'], // Cancelled before dispatch; the money goes back through refunds
+    'Shipped': ['Delivered', 'Refunded'],
+    'Delivered': ['Refunded'],
+    'Cancelled': [],
+    'Refunded': []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+// Statuses in which the customer's money has been received
+const PAID_STATUSES = ['Payment Verified', 'Shipped', 'Delivered', 'Refunded'];
+
+// --- REFUNDS ---
+// Refunds are sent by hand (or through the gateway's dashboard) and recorded here by an admin:
+// initiated -> completed | failed
+const REFUND_METHODS = ['upi', 'bank_transfer', 'gateway', 'cash'];
+const REFUND_STATUSES = ['initiated', 'completed', 'failed'];
+// Order.refundStatus, derived on save (see refundSummary):
+//   none: nothing owed or refunded; due: money owed back with no refund under way;
+//   pending: a refund is under way; partial: some money refunded and nothing else owed;
+//   refunded: everything the customer paid has been returned
+const ORDER_REFUND_STATUSES = ['none', 'due', 'pending', 'partial', 'refunded'];
+
+// --- DELIVERY ---
+// 'pickup' orders are collected from the farm by the buyer and carry no delivery charge
+const DELIVERY_METHODS = ['delivery', 'pickup'];
+// What an admin can log on the way; delivery itself is confirmed with the customer's OTP (see server.js)
+const TRACKING_EVENTS = ['scheduled', 'loaded', 'in_transit', 'delayed', 'out_for_delivery', 'attempted', 'delivered', 'note'];
+
+const actorSchema = {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: { type: String, default: 'system' } // customer, admin, staff or system
+};
+
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: actorSchema,
+    note: { type: String, default: '' }
+}, { _id: false });
+
+// Snapshot of the animal at purchase time; _id is the Livestock id. `type` has to be spelled out:
+// a bare `type: String` would make Mongoose read the whole object as a String declaration.
+const orderItemFields = {
+    _id: String,
+    name: String,
+    price: Number,
+    breed: String,
+    type: { type: String },
+    weight: String,
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // Unset for the marketplace's own stock
+};
+
+const refundSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, min: 0.01 },
+    method: { type: String, enum: REFUND_METHODS, required: true },
+    reference: { type: String, default: '' }, // UTR / gateway refund id once the money is sent
+    reason: { type: String, default: '' },
+    status: { type: String, enum: REFUND_STATUSES, default: 'initiated' },
+    note: { type: String, default: '' }, // Why it failed, or anything else the next admin should know
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+    initiatedBy: actorSchema,
+    updatedBy: actorSchema
+});
+
+const trackingEventSchema = new mongoose.Schema({
+    type: { type: String, enum: TRACKING_EVENTS, required: true },
+    message: { type: String, default: '' },
+    location: { type: String, default: '' },
+    at: { type: Date, default: Date.now },
+    actor: actorSchema
+});
+
 const orderSchema = new mongoose.Schema({
     customer: { type: String, required: true },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     date: { type: String, required: true },
-    items: [{
-        _id: String,
-        name: String,
-        price: Number,
-        breed: String,
-        weight: String
+    items: [orderItemFields], // What is being bought; total is their sum plus delivery.charge
+    // Animals dropped from the order after it was placed (see cancelItems). They are back in stock.
+    cancelledItems: [{
+        ...orderItemFields,
+        cancelledAt: { type: Date, default: Date.now },
+        reason: { type: String, default: '' },
+        actor: actorSchema
     }],
     total: { type: Number, required: true },
-    status: { type: String, default: 'Processing' }, // Processing, Shipped, Delivered, Payment Rejected, Cancelled
+    status: { type: String, enum: ORDER_STATUSES, default: 'Pending' },
+    statusHistory: [statusHistorySchema],
     rejectionReason: { type: String, default: '' }, // <--- NEW: Reason for rejection
+    paymentMethod: { type: String, enum: ['gateway', 'proof'] }, // How payment was (or is being) confirmed
+    paymentReference: { type: String }, // UTR the buyer typed in with their proof
+    // Other orders whose proof looks like this one's (perceptual hash distance, lower = closer)
+    proofFlags: [{
+        _id: false,
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+        distance: Number
+    }],
+    suspectedDuplicate: { type: Boolean, default: false, index: true },
+    proofFlagsClearedBy: { id: mongoose.Schema.Types.ObjectId, name: String, role: String },
+    proofFlagsClearedAt: { type: Date },
+    paidAt: { type: Date },
+    // What the customer paid, which stays put when items are cancelled afterwards. While Processing
+    // after an item cancellation it is the amount the uploaded proof was for.
+    paidAmount: { type: Number },
+    refunds: [refundSchema],
+    refundStatus: { type: String, enum: ORDER_REFUND_STATUSES, default: 'none', index: true },
+    // While Pending: when the reservation lapses (see the expire-reservations job in server.js)
+    expiresAt: { type: Date },
+    expiryReminderSentAt: { type: Date },
     address: {
         name: String,
         phone: String,
@@ -23,12 +125,152 @@ const orderSchema = new mongoose.Schema({
         state: String,
         pincode: String
     },
+    // Priced from the address's pincode when the order is placed (the 'delivery' settings group);
+    // the rest is filled in by admins as the animals are dispatched
+    delivery: {
+        method: { type: String, enum: DELIVERY_METHODS, default: 'delivery' },
+        zone: { type: String, default: '' }, // Name of the zone the charge came from
+        charge: { type: Number, default: 0, min: 0 },
+        scheduledDate: { type: Date },
+        slot: { type: String, default: '' }, // e.g. '06:00-10:00'
+        vehicle: { number: String, type: { type: String } }, // Registration number and kind (pickup truck, tempo...)
+        driver: { name: String, phone: String },
+        // Handover code sent to the customer on dispatch; only its hash is kept
+        otpHash: { type: String, select: false },
+        otpExpiresAt: { type: Date },
+        otpAttempts: { type: Number, default: 0 },
+        proof: { key: String, contentType: String }, // Photo taken at handover
+        deliveredAt: { type: Date },
+        confirmedBy: { id: mongoose.Schema.Types.ObjectId, name: String, role: String }
+    },
+    trackingEvents: [trackingEventSchema],
     // Payment Proof Image
     paymentProof: {
-        data: Buffer,
-        contentType: String
+        key: String, // Object key in the storage driver (lib/storage)
+        contentType: String,
+        data: Buffer // Legacy inline bytes; moved out by scripts/migrate-media-to-storage.js
     },
     createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Order', orderSchema);
+orderSchema.index({ status: 1, expiresAt: 1 });
+orderSchema.index({ 'items.sellerId': 1, createdAt: -1 }); // Sellers' order views
+
+// The handover code's hash is never selected by default, but one just issued is still on the document
+orderSchema.set('toJSON', {
+    transform(doc, ret) {
+        if (ret.delivery) delete ret.delivery.otpHash;
+        return ret;
+    }
+});
+
+orderSchema.statics.canTransition = function (from, to) {
+    return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
+// Moves the order to `to` and records who did it. Throws (err.status = 409) on an illegal jump.
+// `actor` is { id, name, role }; omit it for system jobs. Caller is responsible for save().
+orderSchema.methods.transitionTo = function (to, { actor, note } = {}) {
+    if (!ORDER_STATUSES.includes(to)) {
+        const err = new Error(`Unknown order status "${to}"`);
+        err.status = 400;
+        throw err;
+    }
+    if (!this.constructor.canTransition(this.status, to)) {
+        const err = new Error(`Cannot move order from ${this.status} to ${to}`);
+        err.status = 409;
+        throw err;
+    }
+    this.statusHistory.push({ from: this.status, to, actor: actor || { role: 'system' }, note: note || '' });
+    this.status = to;
+    if (to === 'Payment Verified') {
+        if (!this.paidAt) this.paidAt = new Date();
+        if (this.paidAmount == null) this.paidAmount = this.total;
+    }
+    return this;
+};
+
+// Moves the given Livestock ids from items to cancelledItems and lowers the total. Returns the removed
+// items; restocking them is up to the caller. Throws (err.status = 400) for ids not on the order and
+// (409) when nothing would be left: cancel the whole order instead.
+orderSchema.methods.cancelItems = function (ids, { actor, reason } = {}) {
+    const wanted = new Set(ids.map(String));
+    const unknown = [...wanted].filter(id => !this.items.some(item => item._id === id));
+    if (unknown.length > 0) {
+        const err = new Error(`Not on this order: ${unknown.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    if (wanted.size >= this.items.length) {
+        const err = new Error('Cancel the whole order to remove every item');
+        err.status = 409;
+        throw err;
+    }
+    // The proof being checked was for the full amount; keep it so the difference shows up as owed
+    if (this.status === 'Processing' && this.paymentMethod === 'proof' && this.paidAmount == null) this.paidAmount = this.total;
+
+    const removed = this.items.filter(item => wanted.has(item._id));
+    this.items = this.items.filter(item => !wanted.has(item._id));
+    // The delivery charge is fixed when the order is placed and stays as long as anything ships
+    this.total = this.items.reduce((sum, item) => sum + (item.price || 0), 0) + (this.delivery.charge || 0);
+    for (const item of removed) {
+        this.cancelledItems.push({ ...item.toObject(), cancelledAt: new Date(), reason: reason || '', actor: actor || { role: 'system' } });
+    }
+    return removed;
+};
+
+// Amounts in rupees. `owed` is what must go back (everything paid once the order is cancelled or
+// refunded, otherwise whatever was paid beyond the current total); `refundable` caps new refunds.
+orderSchema.methods.refundSummary = function () {
+    const isPaid = Boolean(this.paidAt) || PAID_STATUSES.includes(this.status);
+    const paid = isPaid ? (this.paidAmount != null ? this.paidAmount : this.total) : 0;
+    const keeps = ['Cancelled', 'Refunded'].includes(this.status) ? 0 : this.total;
+    const owed = Math.max(0, paid - keeps);
+    const sum = (status) => this.refunds.filter(refund => refund.status === status).reduce((total, refund) => total + refund.amount, 0);
+    const refunded = sum('completed');
+    const pending = sum('initiated');
+    return {
+        paid, owed, refunded, pending,
+        outstanding: Math.max(0, owed - refunded - pending),
+        refundable: Math.max(0, paid - refunded - pending)
+    };
+};
+
+function deriveRefundStatus({ paid, refunded, pending, outstanding }) {
+    if (refunded > 0 && refunded >= paid) return 'refunded';
+    if (pending > 0) return 'pending';
+    if (outstanding > 0) return 'due';
+    return refunded > 0 ? 'partial' : 'none';
+}
+
+const REFUND_INPUTS = ['status', 'total', 'paidAt', 'paidAmount', 'refunds'];
+
+// Skipped for documents loaded with a projection that leaves out what the summary needs
+orderSchema.pre('save', function (next) {
+    if (REFUND_INPUTS.every(path => this.isSelected(path))) this.refundStatus = deriveRefundStatus(this.refundSummary());
+    next();
+});
+
+// Tell the customer's open app about status changes (see lib/events)
+orderSchema.pre('save', function (next) {
+    this.$locals.statusChanged = this.isNew || this.isModified('status');
+    next();
+});
+
+orderSchema.post('save', function (doc) {
+    if (!doc.$locals.statusChanged) return;
+    doc.$locals.statusChanged = false;
+    const { publishSafe, userChannel } = require('../lib/events'); // Lazy: lib/events loads models
+    publishSafe(userChannel(doc.userId), 'order', { orderId: doc._id, status: doc.status, updatedAt: new Date() });
+});
+
+const Order = mongoose.model('Order', orderSchema);
+Order.ORDER_STATUSES = ORDER_STATUSES;
+Order.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+Order.PAID_STATUSES = PAID_STATUSES;
+Order.REFUND_METHODS = REFUND_METHODS;
+Order.ORDER_REFUND_STATUSES = ORDER_REFUND_STATUSES;
+Order.DELIVERY_METHODS = DELIVERY_METHODS;
+Order.TRACKING_EVENTS = TRACKING_EVENTS;
+
+module.exports = Order;
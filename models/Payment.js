@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay for an order through the payment gateway
+const paymentSchema = new mongoose.Schema({
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    gateway: { type: String, required: true },
+    gatewayPaymentId: { type: String, required: true, unique: true },
+    idempotencyKey: { type: String }, // Client-supplied, so a retried "pay" tap reuses the same payment
+    amount: { type: Number, required: true },
+    currency: { type: String, default: 'INR' },
+    status: { type: String, enum: ['created', 'succeeded', 'failed'], default: 'created' },
+    upiString: { type: String },
+    processedEventIds: [String], // Webhook event ids already applied; gateways retry deliveries
+    failureReason: { type: String, default: '' },
+    paidAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+
+paymentSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+module.exports = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// What the marketplace owes one seller for one delivered order: their animals' prices less the
+// commission in force at delivery. Delivery charges stay with the marketplace.
+// pending -> paid once an admin has sent the money; cancelled when the order is refunded first.
+const PAYOUT_STATUSES = ['pending', 'paid', 'cancelled'];
+
+const payoutSchema = new mongoose.Schema({
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    items: [{ _id: String, name: String, price: Number }], // The seller's animals on the order
+    gross: { type: Number, required: true },
+    commissionPercent: { type: Number, required: true },
+    commission: { type: Number, required: true },
+    net: { type: Number, required: true }, // gross - commission: what is paid out
+    status: { type: String, enum: PAYOUT_STATUSES, default: 'pending' },
+    method: { type: String }, // upi or bank_transfer, copied from the seller's profile when paid
+    reference: { type: String, default: '' }, // UTR of the transfer
+    note: { type: String, default: '' },
+    paidAt: { type: Date },
+    updatedBy: { id: mongoose.Schema.Types.ObjectId, name: String, role: String },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One payout per seller per order, so recording a delivery twice changes nothing
+payoutSchema.index({ orderId: 1, sellerId: 1 }, { unique: true });
+payoutSchema.index({ sellerId: 1, status: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+const Payout = mongoose.models.Payout || mongoose.model('Payout', payoutSchema);
+Payout.PAYOUT_STATUSES = PAYOUT_STATUSES;
+
+module.exports = Payout;
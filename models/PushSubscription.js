@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription (one per device/browser profile)
+const pushSubscriptionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    endpoint: { type: String, required: true, unique: true },
+    keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+    },
+    userAgent: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.models.PushSubscription || mongoose.model('PushSubscription', pushSubscriptionSchema);
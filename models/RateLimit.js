@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// One counter per rate-limit key (see lib/rateLimit.js). Kept in MongoDB rather than in memory
+// because every serverless instance has to see the same counts.
+const rateLimitSchema = new mongoose.Schema({
+    _id: { type: String }, // "<limit name>:<ip, user id or email>"
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true } // End of the current window
+});
+
+// MongoDB removes finished windows in the background; lib/rateLimit.js ignores ones it hasn't got to yet
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimit || mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One document per logged-in device. The refresh token itself is never stored, only its hash.
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null }, // Last rotated-out token, used to detect reuse of a stolen token
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null }
+});
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Session || mongoose.model('Session', sessionSchema);
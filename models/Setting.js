@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Admin-editable configuration, one document per group (e.g. 'invoice'). Read through lib/settings.js,
+// which merges the stored value over the built-in defaults.
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedBy: { id: String, name: String },
+    updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+module.exports = mongoose.models.Setting || mongoose.model('Setting', settingSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Log of pushed events, kept briefly so a reconnecting client can replay what it missed
+// (Last-Event-ID is `seq`) and so every server instance sees every event.
+const streamEventSchema = new mongoose.Schema({
+    seq: { type: Number, required: true }, // From the 'stream-events' counter (models/Counter.js): one order for all instances
+    channel: { type: String, required: true }, // 'admin' or 'user:<userId>'
+    type: { type: String, required: true }, // SSE event name, e.g. 'notification', 'order'
+    data: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+
+streamEventSchema.index({ channel: 1, seq: 1 });
+
+module.exports = mongoose.models.StreamEvent || mongoose.model('StreamEvent', streamEventSchema);
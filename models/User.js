@@ -10,8 +10,11 @@ const cartItemSchema = new mongoose.Schema({
     type: { type: String }, 
     weight: { type: String }, 
     selected: { type: Boolean, default: true },
+    unavailable: { type: Boolean, default: false }, // Set once the animal is Sold/removed; kept so the buyer sees why
+    addedAt: { type: Date, default: Date.now },
 }, { _id: false });
 
+// Addresses get their own ObjectId so clients can edit/delete them by id instead of array position
 const addressSchema = new mongoose.Schema({
     label: { type: String, default: '' },
     name: { type: String },
@@ -21,7 +24,8 @@ const addressSchema = new mongoose.Schema({
     state: { type: String },
     pincode: { type: String },
     phone: { type: String },
-}, { _id: false });
+    isDefault: { type: Boolean, default: false },
+});
 
 const notificationSchema = new mongoose.Schema({
     id: String,
@@ -33,10 +37,49 @@ const notificationSchema = new mongoose.Schema({
     seen: { type: Boolean, default: false } // <--- NEW: Added for badge logic
 }, { _id: false });
 
+// Breeders selling through the marketplace apply from their customer account and an admin reviews them:
+// pending -> approved | rejected; approved sellers can be suspended (and reinstated). Only approved
+// sellers have role 'seller'.
+const SELLER_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+const SELLER_TRANSITIONS = {
+    pending: ['approved', 'rejected'],
+    approved: ['suspended'],
+    suspended: ['approved'],
+    rejected: [] // They can apply again
+};
+const PAYOUT_METHODS = ['upi', 'bank_transfer'];
+
+const sellerProfileSchema = new mongoose.Schema({
+    status: { type: String, enum: SELLER_STATUSES, default: 'pending' },
+    farmName: { type: String, trim: true, maxlength: 100 },
+    phone: { type: String },
+    location: { type: String, trim: true, maxlength: 200 }, // Village / town and district
+    pincode: { type: String },
+    gstin: { type: String, uppercase: true, trim: true },
+    about: { type: String, trim: true, maxlength: 1000, default: '' },
+    // Where payouts are sent
+    payout: {
+        method: { type: String, enum: PAYOUT_METHODS },
+        upiId: String,
+        accountName: String,
+        accountNumber: String,
+        ifsc: { type: String, uppercase: true }
+    },
+    appliedAt: { type: Date, default: Date.now },
+    reviewedAt: { type: Date },
+    reviewedBy: { id: mongoose.Schema.Types.ObjectId, name: String },
+    note: { type: String, default: '' } // Reason for a rejection or suspension, shown to the seller
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
     password: { type: String, required: true },
+    role: { type: String, enum: ['customer', 'admin', 'staff', 'seller'], default: 'customer' },
+    seller: sellerProfileSchema, // Set once the user applies to sell
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
+    passwordChangedAt: { type: Date },
     
     // User State Arrays
     cart: [cartItemSchema], 
@@ -61,4 +104,11 @@ userSchema.methods.comparePassword = function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema);
+userSchema.index({ 'seller.status': 1, 'seller.appliedAt': 1 });
+
+const User = mongoose.model('User', userSchema);
+User.SELLER_STATUSES = SELLER_STATUSES;
+User.SELLER_TRANSITIONS = SELLER_TRANSITIONS;
+User.PAYOUT_METHODS = PAYOUT_METHODS;
+
+module.exports = User;
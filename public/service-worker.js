@@ -0,0 +1,242 @@
+// Bump on every deploy that changes the app shell; activate() drops caches from older versions
+const CACHE_VERSION = 'v3';
+const STATIC_CACHE = `livestock-static-${CACHE_VERSION}`;
+const IMAGE_CACHE = `livestock-images-${CACHE_VERSION}`;
+const API_CACHE = `livestock-api-${CACHE_VERSION}`;
+const CURRENT_CACHES = [STATIC_CACHE, IMAGE_CACHE, API_CACHE];
+
+const OFFLINE_URL = './offline.html';
+const APP_SHELL = [
+  './',
+  './index.html',
+  './manifest.json',
+  OFFLINE_URL
+];
+const MAX_IMAGE_ENTRIES = 150;
+
+// Install Service Worker
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Remove caches left behind by previous versions
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('livestock-') && !CURRENT_CACHES.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// --- STRATEGIES ---
+// The app adds ?_=<timestamp> to dodge HTTP caches; drop it so each URL has one cache entry
+function cacheKey(request) {
+  const url = new URL(request.url);
+  if (!url.searchParams.has('_')) return request;
+  url.searchParams.delete('_');
+  return url.href;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const key = cacheKey(request);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(response => {
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone()).then(() => maxEntries && trimCache(cacheName, maxEntries));
+    }
+    return response;
+  });
+  if (cached) {
+    refresh.catch(() => {}); // Offline: the cached copy is all we have
+    return cached;
+  }
+  return refresh;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(cacheName)).put(request, response.clone());
+  return response;
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+// Pages: always try for the latest HTML, fall back to the cached shell, then the offline page
+async function handleNavigation(request) {
+  try {
+    return await networkFirst(request, STATIC_CACHE);
+  } catch (err) {
+    return (await caches.match('./index.html')) || caches.match(OFFLINE_URL);
+  }
+}
+
+// Live streams, auth and account changes must never be answered from a cache
+const NEVER_CACHE = [/^\/api\/auth\//, /\/stream$/, /^\/api\/payment\//, /^\/api\/push\//];
+const IMAGE_ROUTES = [/^\/api\/livestock\/image\//, /^\/api\/livestock\/[^/]+\/media\//];
+
+// Fetch resources
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method === 'PUT' && url.pathname === '/api/user/state') {
+    event.respondWith(putUserState(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (url.pathname.startsWith('/api/')) {
+    if (NEVER_CACHE.some(pattern => pattern.test(url.pathname))) return;
+    if (IMAGE_ROUTES.some(pattern => pattern.test(url.pathname))) {
+      event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+      return;
+    }
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, STATIC_CACHE));
+  } else {
+    // CDN scripts, fonts and icons: serve instantly, refresh in the background
+    event.respondWith(staleWhileRevalidate(request, STATIC_CACHE));
+  }
+});
+
+// --- BACKGROUND SYNC: cart / wishlist saved while offline ---
+// PUT /api/user/state replaces the whole state, so only the latest body needs replaying.
+const SYNC_TAG = 'sync-user-state';
+const DB_NAME = 'livestock-sync';
+const STORE = 'pending';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function putUserState(request) {
+  const body = await request.clone().text();
+  try {
+    const response = await fetch(request);
+    if (response.ok) await withStore('readwrite', store => store.delete('user-state'));
+    return response;
+  } catch (err) {
+    // The CSRF token is tied to the login session, so the replay can reuse it
+    const csrfToken = request.headers.get('X-CSRF-Token');
+    await withStore('readwrite', store => store.put({ url: request.url, body, csrfToken, savedAt: Date.now() }, 'user-state'));
+    if (self.registration.sync) await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    return new Response(JSON.stringify({ message: 'Saved offline, will sync when back online', queued: true }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+async function replayUserState() {
+  const pending = await withStore('readonly', store => store.get('user-state'));
+  if (!pending) return;
+  const response = await fetch(pending.url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...(pending.csrfToken ? { 'X-CSRF-Token': pending.csrfToken } : {}) },
+    credentials: 'include',
+    body: pending.body
+  });
+  // 4xx (e.g. logged out) won't get better by retrying; anything else makes sync try again
+  if (response.ok || (response.status >= 400 && response.status < 500)) {
+    await withStore('readwrite', store => store.delete('user-state'));
+  } else {
+    throw new Error(`Replay failed with ${response.status}`);
+  }
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayUserState());
+});
+
+// Messages from the page: 'replay' for browsers without Background Sync, 'logout' to drop
+// the previous user's cached API responses and any unsent state
+self.addEventListener('message', event => {
+  if (event.data === 'replay') event.waitUntil(replayUserState().catch(() => {}));
+  if (event.data === 'logout') {
+    event.waitUntil(Promise.all([
+      caches.delete(API_CACHE),
+      withStore('readwrite', store => store.delete('user-state'))
+    ]));
+  }
+});
+
+// Web Push: show the notification even when the app is closed
+self.addEventListener('push', event => {
+  let data = {};
+  try { data = event.data ? event.data.json() : {}; } catch (err) { data = { body: event.data && event.data.text() }; }
+  const title = data.title || 'LivestockMart';
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || '',
+      icon: data.icon || './icon-192.png',
+      badge: './icon-192.png',
+      tag: data.tag,
+      data: { url: data.url || './' }
+    })
+  );
+});
+
+// Focus an open app window if there is one, otherwise open the app
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = new URL(event.notification.data && event.notification.data.url || './', self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      for (const client of windowClients) {
+        if (client.url.startsWith(self.location.origin) && 'focus' in client) {
+          if ('navigate' in client && client.url !== target) client.navigate(target);
+          return client.focus();
+        }
+      }
+      return clients.openWindow(target);
+    })
+  );
+});
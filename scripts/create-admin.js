@@ -0,0 +1,23 @@
+// Usage: node scripts/create-admin.js <email> [role]
+// Promotes an existing account to admin (or staff). Needed once to bootstrap the first admin.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/livestockmart';
+
+async function main() {
+    const [email, role = 'admin'] = process.argv.slice(2);
+    if (!email) throw new Error('Usage: node scripts/create-admin.js <email> [admin|staff]');
+    if (!['admin', 'staff'].includes(role)) throw new Error(`Invalid role: ${role}`);
+
+    await mongoose.connect(MONGODB_URI);
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+    if (!user) throw new Error(`No user registered with ${email}`);
+    console.log(`✅ ${user.email} is now ${user.role}`);
+}
+
+main()
+    .catch((err) => { console.error('❌', err.message); process.exitCode = 1; })
+    .finally(() => mongoose.disconnect());
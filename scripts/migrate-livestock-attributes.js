@@ -0,0 +1,87 @@
+// Usage: node scripts/migrate-livestock-attributes.js [--dry-run]
+// Converts listings created before the structured attributes existed: the free-text `weight`
+// becomes weightKg, `age` / `ageMonths` becomes an estimated dateOfBirth (counted back from when the
+// listing was created) and status is normalised to the enum. The old fields are only removed once
+// they converted; listings that could not be converted are listed so they can be fixed by hand.
+// Safe to re-run. Replaces scripts/backfill-livestock-metrics.js.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Livestock = require('../models/Livestock');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/livestockmart';
+const dryRun = process.argv.includes('--dry-run');
+
+// Returns { $set, $unset, problems } for one raw document
+function convert(doc) {
+    const $set = {};
+    const $unset = {};
+    const problems = [];
+
+    if (typeof doc.weightKg !== 'number') {
+        const weightKg = Livestock.parseWeightKg(doc.weight);
+        if (weightKg > 0) $set.weightKg = weightKg;
+        else problems.push(`weight "${doc.weight || ''}"`);
+    }
+    if ((typeof doc.weightKg === 'number' || $set.weightKg) && doc.weight !== undefined) $unset.weight = '';
+
+    if (!(doc.dateOfBirth instanceof Date)) {
+        const months = typeof doc.ageMonths === 'number' ? doc.ageMonths : Livestock.parseAgeMonths(doc.age);
+        if (months !== undefined) {
+            $set.dateOfBirth = Livestock.estimateDateOfBirth(months, doc.createdAt || doc._id.getTimestamp());
+            $set.dobEstimated = true;
+        } else problems.push(`age "${doc.age || ''}"`);
+    }
+    if (doc.dateOfBirth instanceof Date || $set.dateOfBirth) {
+        if (doc.age !== undefined) $unset.age = '';
+        if (doc.ageMonths !== undefined) $unset.ageMonths = '';
+    }
+
+    if (!Livestock.LIVESTOCK_STATUSES.includes(doc.status)) {
+        const status = Livestock.LIVESTOCK_STATUSES.find(s => s.toLowerCase() === String(doc.status || '').trim().toLowerCase());
+        $set.status = status || 'Available';
+        if (!status && doc.status) problems.push(`status "${doc.status}" (set to Available)`);
+    }
+
+    return { $set, $unset, problems };
+}
+
+async function main() {
+    await mongoose.connect(MONGODB_URI);
+
+    // Raw documents: the old fields are no longer in the schema
+    const cursor = Livestock.collection.find({
+        $or: [
+            { weightKg: { $not: { $type: 'number' } } },
+            { dateOfBirth: { $not: { $type: 'date' } } },
+            { weight: { $exists: true } }, { age: { $exists: true } }, { ageMonths: { $exists: true } },
+            { status: { $nin: Livestock.LIVESTOCK_STATUSES } }
+        ]
+    }, { projection: { name: 1, weight: 1, weightKg: 1, age: 1, ageMonths: 1, dateOfBirth: 1, status: 1, createdAt: 1 } });
+
+    let updated = 0;
+    const unconverted = [];
+    for await (const doc of cursor) {
+        const { $set, $unset, problems } = convert(doc);
+        if (problems.length > 0) unconverted.push(`${doc._id} ${doc.name || ''}: ${problems.join(', ')}`);
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+        if (Object.keys(update).length === 0) continue;
+        if (!dryRun) await Livestock.collection.updateOne({ _id: doc._id }, update);
+        updated++;
+    }
+
+    // Drops the old ageMonths index and builds the dateOfBirth / tagNumber ones
+    if (!dryRun) await Livestock.syncIndexes();
+
+    console.log(`${dryRun ? '🔎 Would update' : '✅ Updated'} ${updated} listing(s)`);
+    if (unconverted.length > 0) {
+        console.log(`⚠️  ${unconverted.length} listing(s) need attention (old fields kept):`);
+        unconverted.forEach(line => console.log(`   ${line}`));
+    }
+}
+
+main()
+    .catch((err) => { console.error('❌', err.message); process.exitCode = 1; })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,46 @@
+// Usage: node scripts/migrate-media-to-storage.js [--dry-run]
+// Moves Livestock.image and Order.paymentProof bytes out of MongoDB into the configured
+// storage driver (STORAGE_DRIVER, see lib/storage), leaving only the key on the document.
+// Safe to re-run: documents that already have a key are skipped.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Livestock = require('../models/Livestock');
+const Order = require('../models/Order');
+const { getStorage, makeKey } = require('../lib/storage');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/livestockmart';
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate(Model, field, prefix) {
+    const storage = getStorage();
+    const cursor = Model.find({ [`${field}.data`]: { $exists: true }, [`${field}.key`]: { $exists: false } }, field).cursor();
+    let moved = 0;
+    let bytes = 0;
+    for await (const doc of cursor) {
+        const media = doc[field];
+        if (!media || !media.data || media.data.length === 0) continue;
+        const contentType = media.contentType || 'application/octet-stream';
+        const key = makeKey(prefix, contentType);
+        if (!dryRun) {
+            await storage.put(key, media.data, { contentType });
+            await Model.collection.updateOne(
+                { _id: doc._id },
+                { $set: { [`${field}.key`]: key, [`${field}.contentType`]: contentType }, $unset: { [`${field}.data`]: '' } }
+            );
+        }
+        moved++;
+        bytes += media.data.length;
+    }
+    console.log(`${dryRun ? '🔎 Would move' : '✅ Moved'} ${moved} ${Model.modelName}.${field} file(s), ${(bytes / 1024 / 1024).toFixed(1)} MB`);
+}
+
+async function main() {
+    await mongoose.connect(MONGODB_URI);
+    await migrate(Livestock, 'image', 'livestock');
+    await migrate(Order, 'paymentProof', 'proofs');
+}
+
+main()
+    .catch((err) => { console.error('❌', err.message); process.exitCode = 1; })
+    .finally(() => mongoose.disconnect());
@@ -12,363 +12,2915 @@ require('dotenv').config();
 const Livestock = require('./models/Livestock');
 const Order = require('./models/Order');
 const User = require('./models/User');
+const Session = require('./models/Session');
+const Payment = require('./models/Payment');
+const AuthToken = require('./models/AuthToken');
+const { sendMail } = require('./lib/mailer');
+const { getStorage, saveUpload } = require('./lib/storage');
+const { storeMedia, storePoster, deleteMediaFiles } = require('./lib/media');
+const { getGateway, assertGatewayConfig } = require('./lib/payments');
+const { applyPaymentEvent } = require('./lib/payments/webhooks');
+const { perceptualHash, hammingDistance } = require('./lib/imageHash');
+const { openEventStream, userChannel } = require('./lib/events');
+const { notifyUser } = require('./lib/notifications');
+const { quoteDelivery } = require('./lib/delivery');
+const { flagCartItems } = require('./lib/cart');
+const { closeAuction } = require('./lib/auctions');
+const { getSettings, updateSettings, settingsKeys } = require('./lib/settings');
+const { issueInvoice, issueInvoiceSafe, renderInvoicePdf, renderInvoiceHtml } = require('./lib/invoice');
+const { REPORTS, runReport } = require('./lib/reports');
+const { toCsv } = require('./lib/csv');
+const { importInventory, exportInventory } = require('./lib/inventory');
+const { registerJob, runJob, runDueJobs, listJobs, jobNames, isCronRequest } = require('./lib/jobs');
+const { parseLivestockInput, parseHealthRecord } = require('./lib/livestockInput');
+const { httpError, fieldErrors, requestId, notFoundHandler, errorHandler } = require('./lib/errors');
+const { v, validate, idParam } = require('./lib/validate');
+const { rateLimit, hit: hitLimit, peek: peekLimit, reset: resetLimit, extend: extendLimit, tooManyRequests } = require('./lib/rateLimit');
+const { IMAGE_TYPES, VIDEO_TYPES, requireFileTypes } = require('./lib/fileType');
+const push = require('./lib/push');
+const PushSubscription = require('./models/PushSubscription');
+const Invoice = require('./models/Invoice');
+const Payout = require('./models/Payout');
+const Bid = require('./models/Bid');
+const AdminNotification = require('./models/AdminNotification');
 
 // --- INTERNAL MODELS ---
-// 1. ProofHash: To prevent duplicate image uploads
+// 1. ProofHash: To prevent duplicate image uploads (one per order, removed when the order is cancelled)
 const proofHashSchema = new mongoose.Schema({
-    hash: { type: String, required: true, unique: true },
+    hash: { type: String, required: true, unique: true }, // MD5 of the exact bytes
+    phash: { type: String, default: null }, // Perceptual hash, catches re-saved/cropped copies
+    utr: { type: String, unique: true, sparse: true }, // UPI transaction reference entered by the buyer
     orderId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'Order' },
     createdAt: { type: Date, default: Date.now }
 });
 const ProofHash = mongoose.models.ProofHash || mongoose.model('ProofHash', proofHashSchema);
+// -----------------------
+
+const app = express();
+app.set('trust proxy', 1); // Vercel sits in front of us; needed for the real client IP
+const PORT = process.env.PORT || 3000;
+const DEV_JWT_SECRET = 'change-this-secret-key-123';
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/livestockmart';
+const APP_URL = process.env.APP_URL || `http://localhost:${PORT}`;
+
+// Anyone who knows the secret can mint admin tokens, so production never runs on the placeholder
+if (process.env.NODE_ENV === 'production' && (JWT_SECRET === DEV_JWT_SECRET || JWT_SECRET.length < 32)) {
+    throw new Error('JWT_SECRET must be set to a random value of at least 32 characters in production');
+}
+if (JWT_SECRET === DEV_JWT_SECRET) console.warn('⚠️  JWT_SECRET is not set; using the development placeholder');
+// Same for payments: a forged webhook would mark orders paid (see lib/payments)
+assertGatewayConfig();
+// Serverless deployments rely on an outside trigger for the scheduled jobs (see lib/jobs.js)
+if (process.env.VERCEL && !process.env.CRON_SECRET) console.warn('⚠️  CRON_SECRET is not set; scheduled jobs such as reservation expiry and auction closing will not run');
+
+// Browser origins allowed to call the API with cookies: APP_URL plus CORS_ORIGINS (comma-separated)
+const ALLOWED_ORIGINS = new Set([APP_URL, ...(process.env.CORS_ORIGINS || '').split(',')]
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean));
+
+// --- SERVERLESS MONGODB CONNECTION ---
+let cached = global.mongoose;
+if (!cached) { cached = global.mongoose = { conn: null, promise: null }; }
+
+async function connectDB() {
+    if (cached.conn) return cached.conn;
+    if (!cached.promise) {
+        const opts = { bufferCommands: false, serverSelectionTimeoutMS: 5000, socketTimeoutMS: 45000 };
+        cached.promise = mongoose.connect(MONGODB_URI, opts).then((mongoose) => {
+            console.log('✅ New MongoDB Connection Established');
+            return mongoose;
+        });
+    }
+    try { cached.conn = await cached.promise; } catch (e) { cached.promise = null; throw e; }
+    return cached.conn;
+}
+
+app.use(requestId);
+
+app.use(async (req, res, next) => {
+    try { await connectDB(); next(); } 
+    catch (error) {
+        console.error("❌ DB Error:", error);
+        next(httpError(503, 'Database connection failed', { code: 'DATABASE_UNAVAILABLE' }));
+    }
+});
+// -------------------------------------
+
+// Photos and payment proofs. The declared type only filters early; requireFileTypes() checks the bytes.
+const upload = multer({ 
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (/^image\//.test(file.mimetype)) return cb(null, true);
+        cb(new Error(`${file.originalname} is not an image`));
+    }
+});
+const imagesOnly = requireFileTypes(IMAGE_TYPES, { label: 'a JPEG, PNG, GIF or WebP image' });
+
+// Gallery uploads: photos and short videos, several at once
+const mediaUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024, files: 10 },
+    fileFilter: (req, file, cb) => {
+        if (/^(image|video)\//.test(file.mimetype)) return cb(null, true);
+        cb(new Error(`${file.originalname} is not an image or video`));
+    }
+});
+const imagesOrVideos = requireFileTypes([...IMAGE_TYPES, ...VIDEO_TYPES], { label: 'a supported photo (JPEG, PNG, GIF, WebP) or video (MP4, MOV, WebM)' });
+
+// Bulk inventory import: a CSV/XLSX sheet plus an optional zip of the photos it references
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 200 * 1024 * 1024, files: 2 }
+});
+
+// Rejected files (wrong type from a fileFilter) become a 400; multer's own limit errors are mapped by lib/errors
+function handleUpload(middleware) {
+    return (req, res, next) => middleware(req, res, (err) => {
+        if (err && !err.status && err.name !== 'MulterError') { err.status = 400; err.code = 'UPLOAD_REJECTED'; }
+        next(err);
+    });
+}
+
+app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || ALLOWED_ORIGINS.has(origin)),
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining']
+}));
+
+// --- CSRF ---
+// The auth cookies are attached to any request the browser makes, so state-changing requests must also
+// show they come from our own pages: the Origin (browsers send it on POST/PUT/DELETE) must be this host
+// or an allowed one, and signed-in requests carry X-CSRF-Token (see authMiddleware).
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+app.use((req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    const origin = req.get('Origin');
+    if (!origin || origin === `${req.protocol}://${req.get('host')}` || ALLOWED_ORIGINS.has(origin)) return next();
+    next(httpError(403, 'Requests from this site are not allowed', { code: 'ORIGIN_NOT_ALLOWED' }));
+});
+// Keep the raw bytes around: payment webhooks are signed over the exact body
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(cookieParser());
+app.use(express.static('public', {
+    // The service worker must be re-checked on every load or clients get stuck on an old version
+    setHeaders: (res, filePath) => { if (filePath.endsWith('service-worker.js')) res.set('Cache-Control', 'no-cache'); }
+}));
+
+app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'UP', uptime: process.uptime(), database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected' });
+});
+
+// --- HELPER FUNCTIONS ---
+const ACCESS_TOKEN_TTL_MS = 30 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REFRESH_GRACE_MS = 30 * 1000;
+const cookieDefaults = { httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production' };
+
+function createToken(user, sessionId) {
+    return jwt.sign({ id: user._id, email: user.email, name: user.name, role: user.role || 'customer', sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
+}
+
+function setAuthCookie(res, token) {
+    res.cookie('token', token, { ...cookieDefaults, maxAge: ACCESS_TOKEN_TTL_MS });
+}
+
+// Refresh cookie is scoped to /api/auth so it is only sent to refresh/logout/session routes
+function setRefreshCookie(res, value) {
+    res.cookie('refreshToken', value, { ...cookieDefaults, path: '/api/auth', maxAge: REFRESH_TOKEN_TTL_MS });
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh cookie format: "<sessionId>.<random secret>"
+function parseRefreshCookie(req) {
+    const raw = req.cookies && req.cookies.refreshToken;
+    if (!raw || typeof raw !== 'string') return null;
+    const [sessionId, secret] = raw.split('.');
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId, secret };
+}
+
+// Creates a device session and sets both the access and refresh cookies
+async function startSession(req, res, user) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await Session.create({
+        userId: user._id,
+        tokenHash: hashToken(secret),
+        userAgent: (req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    setAuthCookie(res, createToken(user, session._id));
+    setRefreshCookie(res, `${session._id}.${secret}`);
+    return session;
+}
+
+// Bound to the session, so it can't be reused by another login and needs no storage. Handed to our pages
+// in auth responses; a page on another site can't read those responses, so it can't send the header.
+function csrfTokenFor(sessionId) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`csrf:${sessionId}`).digest('hex');
+}
+
+function hasValidCsrfToken(req, sessionId) {
+    const sent = req.get('X-CSRF-Token');
+    if (!sent || !sessionId) return false;
+    const expected = Buffer.from(csrfTokenFor(sessionId));
+    const given = Buffer.from(sent);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function authMiddleware(req, res, next) {
+    const token = req.cookies && req.cookies.token;
+    if (!token) return next(httpError(401, 'Not authenticated'));
+    let decoded;
+    try { decoded = jwt.verify(token, JWT_SECRET); } catch (err) { return next(httpError(401, 'Invalid or expired token')); }
+    try {
+        // Revoked sessions lose access immediately, not only once the access token expires
+        const active = decoded.sid && await Session.exists({ _id: decoded.sid, revokedAt: null });
+        if (!active) return next(httpError(401, 'Session revoked'));
+    } catch (err) { return next(err); }
+    if (!SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req, decoded.sid)) {
+        return next(httpError(403, 'Missing or invalid CSRF token. Reload the page and try again.', { code: 'CSRF_INVALID' }));
+    }
+    req.user = { id: decoded.id, email: decoded.email, name: decoded.name, role: decoded.role || 'customer', sessionId: decoded.sid };
+    next();
+}
+
+// --- EMAILED TOKENS (password reset / email verification) ---
+const EMAIL_TOKEN_TTL = { password_reset: 60 * 60 * 1000, email_verify: 24 * 60 * 60 * 1000 };
+const MIN_PASSWORD_LENGTH = 6;
+
+async function issueEmailToken(user, purpose) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const ttl = EMAIL_TOKEN_TTL[purpose];
+    await AuthToken.create({ jti, userId: user._id, purpose, expiresAt: new Date(Date.now() + ttl) });
+    return jwt.sign({ sub: user._id.toString(), purpose, jti }, JWT_SECRET, { expiresIn: ttl / 1000 });
+}
+
+// Verifies the signature and marks the token used in one atomic step. Returns the userId or null.
+async function consumeEmailToken(token, purpose) {
+    let decoded;
+    try { decoded = jwt.verify(token, JWT_SECRET); } catch (err) { return null; }
+    if (decoded.purpose !== purpose || !decoded.jti) return null;
+    const record = await AuthToken.findOneAndUpdate(
+        { jti: decoded.jti, purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return record ? record.userId : null;
+}
+
+async function sendVerificationEmail(user) {
+    const token = await issueEmailToken(user, 'email_verify');
+    const link = `${APP_URL}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your LivestockMart email',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+    });
+}
+
+async function sendLockoutEmail(user, minutes) {
+    await sendMail({
+        to: user.email,
+        subject: 'Sign-in to your LivestockMart account was paused',
+        text: `Hi ${user.name},\n\nThere were several failed attempts to sign in to your account, so sign-in is paused for ${minutes} minutes.\n\nIf this wasn't you, consider resetting your password:\n${APP_URL}/reset-password.html`
+    });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await issueEmailToken(user, 'password_reset');
+    const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your LivestockMart password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+    });
+}
+
+// Admin dashboard access: admins and staff. Use requireRole() on top for admin-only actions.
+const ADMIN_ROLES = ['admin', 'staff'];
+
+// The role is read from the account, not the token: a demoted admin loses access on their next request
+function adminMiddleware(req, res, next) {
+    authMiddleware(req, res, async (err) => {
+        if (err) return next(err);
+        try {
+            const user = await User.findById(req.user.id, 'role').lean();
+            if (!user || !ADMIN_ROLES.includes(user.role)) return next(httpError(403, 'Admin access required'));
+            req.user.role = user.role;
+            next();
+        } catch (dbErr) { next(dbErr); }
+    });
+}
+
+// Customer-facing wording for status changes made from the admin panel
+const ORDER_STATUS_MESSAGES = {
+    'Payment Verified': { title: 'Payment Verified', text: ref => `Payment for Order #${ref} has been verified.`, icon: 'check-circle', color: 'green' },
+    'Shipped': { title: 'Order Shipped', text: ref => `Order #${ref} is on its way.`, icon: 'truck', color: 'blue' },
+    'Delivered': { title: 'Order Delivered', text: ref => `Order #${ref} has been delivered.`, icon: 'package-check', color: 'gray' },
+    'Cancelled': { title: 'Order Cancelled', text: ref => `Order #${ref} was cancelled.`, icon: 'x-circle', color: 'red' },
+    'Refunded': { title: 'Order Refunded', text: ref => `Order #${ref} has been refunded.`, icon: 'rotate-ccw', color: 'blue' }
+};
+
+async function notifyOrderStatus(order, note) {
+    const wording = ORDER_STATUS_MESSAGES[order.status];
+    if (!wording) return;
+    let text = wording.text(order._id.toString().slice(-6));
+    if (note) text += ` ${note}`;
+    const { outstanding } = order.refundSummary();
+    if (outstanding > 0) text += ` A refund of ₹${outstanding} will be processed.`;
+    await notifyUser(order.userId, {
+        id: `status_${order._id}_${Date.now()}`,
+        title: wording.title,
+        message: text,
+        icon: wording.icon,
+        color: wording.color
+    });
+}
+
+// Who performed an order transition, for Order.statusHistory
+function actorFromRequest(req) {
+    return { id: req.user.id, name: req.user.name, role: req.user.role };
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) return next(httpError(403, 'Insufficient permissions'));
+        next();
+    };
+}
+
+// Streams an image/proof back from storage. Falls back to the legacy in-document Buffer for
+// records not yet moved by scripts/migrate-media-to-storage.js. Returns false when there is nothing.
+// Stored objects never change under a key, so the key doubles as the ETag and a matching
+// If-None-Match is answered with 304 without touching storage.
+async function sendStoredMedia(req, res, media, { cacheControl = 'private, no-cache' } = {}) {
+    if (!media || (!media.key && !media.data)) return false;
+    res.set('Cache-Control', cacheControl);
+    if (media.key) {
+        res.set('ETag', `"${crypto.createHash('sha1').update(media.key).digest('hex')}"`);
+        if (req.fresh) { res.status(304).end(); return true; }
+    }
+    const data = media.key ? await getStorage().get(media.key) : media.data;
+    if (!data) return false;
+    res.set('Content-Type', media.contentType || 'application/octet-stream');
+    res.send(data);
+    return true;
+}
+
+const IMMUTABLE_CACHE = 'public, max-age=31536000, immutable';
+const COVER_CACHE = 'public, max-age=300, stale-while-revalidate=86400';
+
+// Picks the stored file for ?variant=thumb|medium|poster (original when omitted)
+function mediaVariant(item, variant) {
+    if (!variant || variant === 'original') return item;
+    if (variant === 'poster') return item.poster || null;
+    return (item.variants && item.variants[variant]) || null;
+}
+
+async function deleteStoredMedia(media) {
+    if (!media || !media.key) return;
+    try { await getStorage().delete(media.key); } catch (err) { console.error('Storage Delete Error:', err); }
+}
+
+function getFileHash(buffer) {
+    return crypto.createHash('md5').update(buffer).digest('hex');
+}
+
+// --- 🔒 DUPLICATE PROOF DETECTION ---
+// Max differing bits (of 64) for two proofs to count as "the same screenshot"
+const PROOF_SIMILARITY_THRESHOLD = parseInt(process.env.PROOF_SIMILARITY_THRESHOLD, 10) || 10;
+
+// UPI UTR/RRN numbers are 12 digits; other apps use alphanumeric ids up to ~22 chars.
+// Returns the normalised value, null when absent, or false when malformed.
+function normalizeUtr(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const utr = String(value).replace(/[\s-]/g, '').toUpperCase();
+    return /^[A-Z0-9]{10,22}$/.test(utr) ? utr : false;
+}
+
+// Compares a proof against every other order's proof: byte-identical copies and reused UTRs
+// (callers reject those) and perceptually similar images (flagged for an admin to review).
+async function inspectProof(buffer, { orderId, utr } = {}) {
+    const others = orderId ? { orderId: { $ne: orderId } } : {};
+    const hash = getFileHash(buffer);
+    const phash = await perceptualHash(buffer);
+
+    const exact = await ProofHash.findOne({ hash, ...others });
+    const utrMatch = utr ? await ProofHash.findOne({ utr, ...others }) : null;
+    const similar = [];
+    if (phash) {
+        const candidates = await ProofHash.find({ phash: { $ne: null }, ...others }, 'phash orderId');
+        for (const candidate of candidates) {
+            const distance = hammingDistance(phash, candidate.phash);
+            if (distance <= PROOF_SIMILARITY_THRESHOLD) similar.push({ orderId: candidate.orderId, distance });
+        }
+    }
+    return { hash, phash, exact, utrMatch, similar };
+}
+
+// Tells admins about a proof we refused, so blocked attempts don't vanish silently
+async function reportBlockedProof(match, reason, req) {
+    await AdminNotification.create({
+        message: `Blocked ${reason} from ${req.user.name}: already used on Order #${match.orderId.toString().slice(-6)}.`,
+        type: 'warning',
+        orderId: match.orderId
+    });
+}
+
+// Saves the order's proof fingerprint and (re)computes its duplicate flags. Caller saves the order.
+async function recordProof(order, inspection, utr) {
+    const update = { $set: { hash: inspection.hash, phash: inspection.phash, orderId: order._id } };
+    if (utr) update.$set.utr = utr; else update.$unset = { utr: '' };
+    await ProofHash.findOneAndUpdate({ orderId: order._id }, update, { upsert: true });
+
+    order.paymentReference = utr || undefined;
+    order.proofFlags = inspection.similar.map(match => ({ orderId: match.orderId, distance: match.distance }));
+    order.suspectedDuplicate = order.proofFlags.length > 0;
+    if (order.suspectedDuplicate) {
+        const refs = inspection.similar.map(match => '#' + match.orderId.toString().slice(-6)).join(', ');
+        await AdminNotification.create({
+            message: `Order #${order._id.toString().slice(-6)}: payment proof looks like the one on ${refs}. Please review.`,
+            type: 'warning',
+            orderId: order._id
+        });
+    }
+}
+
+// --- STOCK RESERVATION ---
+// Conditionally marks each item Sold only if it is still Available. Returns the reserved
+// documents plus a list of items that could not be reserved (missing or already sold).
+async function reserveLivestock(ids) {
+    const reserved = [];
+    const failedIds = [];
+    for (const id of ids) {
+        const doc = await Livestock.findOneAndUpdate(
+            { _id: id, status: 'Available', ...Livestock.LIVE_FILTER, ...Livestock.FIXED_PRICE_FILTER },
+            { $set: { status: 'Sold' } },
+            { new: true, projection: '-image' }
+        );
+        if (doc) reserved.push(doc); else failedIds.push(id);
+    }
+    await flagCartItems(reserved.map(doc => doc._id), true);
+
+    let unavailable = [];
+    if (failedIds.length > 0) {
+        const found = await Livestock.find({ _id: { $in: failedIds } }, 'name status');
+        unavailable = failedIds.map(id => {
+            const doc = found.find(d => d._id.toString() === id);
+            return { _id: id, name: doc ? doc.name : null, status: doc ? doc.status : 'Removed' };
+        });
+    }
+    return { reserved, unavailable };
+}
+
+async function releaseLivestock(ids) {
+    if (ids.length === 0) return;
+    await Livestock.updateMany({ _id: { $in: ids } }, { $set: { status: 'Available' } });
+    await flagCartItems(ids, false);
+}
+
+// Paid orders get a numbered tax invoice
+const INVOICEABLE_STATUSES = ['Payment Verified', 'Shipped', 'Delivered'];
+
+// Status changes, cancelled items, refund steps and delivery tracking, oldest first. Each entry has a `type`.
+const TIMELINE_FIELDS = 'status statusHistory cancelledItems refunds trackingEvents createdAt';
+
+function orderTimeline(order, { includeActor }) {
+    // Orders placed before statusHistory existed only know their current status
+    const history = order.statusHistory && order.statusHistory.length > 0
+        ? order.statusHistory.map(entry => entry.toObject())
+        : [{ from: null, to: order.status, at: order.createdAt, actor: { role: 'system' }, note: '' }];
+    const events = [
+        ...history.map(entry => ({ type: 'status', ...entry })),
+        ...(order.cancelledItems || []).map(item => ({
+            type: 'item_cancelled', at: item.cancelledAt, itemId: item._id, name: item.name, price: item.price, actor: item.actor, note: item.reason
+        })),
+        ...(order.refunds || []).map(refund => ({
+            type: 'refund', at: refund.updatedAt, refundId: refund._id, amount: refund.amount, method: refund.method,
+            status: refund.status, reference: refund.reference, actor: refund.updatedBy, note: refund.note || refund.reason
+        })),
+        ...(order.trackingEvents || []).map(event => ({
+            type: 'tracking', at: event.at, event: event.type, label: TRACKING_EVENT_LABELS[event.type],
+            location: event.location, actor: event.actor, note: event.message
+        }))
+    ].sort((a, b) => a.at - b.at);
+    // Customers see which side acted, not which staff member
+    return includeActor ? events : events.map(({ actor, ...entry }) => ({ ...entry, actor: { role: actor && actor.role } }));
+}
+
+// --- CANCELLATIONS & REFUNDS ---
+// Customers can change their mind until the payment is verified; after that it goes through an admin,
+// who then records the refund.
+const CUSTOMER_CANCEL_STATUSES = ['Pending', 'Processing'];
+const ADMIN_ITEM_CANCEL_STATUSES = ['Pending', 'Processing', 'Payment Verified'];
+
+// Cancels the whole order and puts its animals back on the market
+async function cancelOrder(order, { actor, note }) {
+    order.transitionTo('Cancelled', { actor, note });
+    await order.save();
+    await releaseLivestock(order.items.map(item => item._id));
+    // Remove hash so proof can be reused if order is cancelled
+    await ProofHash.findOneAndDelete({ orderId: order._id });
+}
+
+// Drops some animals from the order (see Order#cancelItems) and restocks them. Naming every remaining
+// animal cancels the whole order instead. Returns { removed, orderCancelled }.
+async function cancelOrderItems(order, itemIds, { actor, reason }) {
+    const ids = new Set(itemIds);
+    if (order.items.length > 0 && order.items.every(item => ids.has(item._id))) {
+        const removed = [...order.items];
+        await cancelOrder(order, { actor, note: reason });
+        return { removed, orderCancelled: true };
+    }
+    // The tax invoice lists every animal and the total paid and is never reissued, so an invoiced order
+    // can only be cancelled as a whole (and refunded)
+    if (await Invoice.exists({ orderId: order._id })) {
+        throw httpError(409, 'This order has already been invoiced, so items can no longer be removed. Cancel the whole order and refund it instead.', { code: 'ORDER_INVOICED' });
+    }
+    const removed = order.cancelItems([...ids], { actor, reason });
+    await order.save();
+    await releaseLivestock(removed.map(item => item._id));
+    return { removed, orderCancelled: false };
+}
+
+const cancelItemsBody = { items: v.array(v.objectId(), { min: 1, max: 50 }), reason: v.string({ max: 500 }).optional() };
+const itemNames = (items) => items.map(item => item.name || 'an animal').join(', ');
+
+// --- 🚚 DELIVERY ---
+// Charges come from the 'delivery' settings group. When an order ships the customer is sent a one-time
+// handover code; the driver enters it together with a photo of the animals being handed over, and only
+// that moves the order to Delivered.
+const DELIVERY_PLANNING_STATUSES = ['Pending', 'Processing', 'Payment Verified', 'Shipped'];
+const TRACKING_STATUSES = ['Payment Verified', 'Shipped'];
+const TRACKING_EVENT_LABELS = {
+    scheduled: 'Delivery scheduled', loaded: 'Loaded for dispatch', in_transit: 'In transit', delayed: 'Delayed',
+    out_for_delivery: 'Out for delivery', attempted: 'Delivery attempted', delivered: 'Delivered', note: 'Update'
+};
+
+function hashDeliveryOtp(order, otp) {
+    return crypto.createHash('sha256').update(`${order._id}:${otp}`).digest('hex');
+}
+
+// Replaces the order's handover code and returns the new one. Caller saves, then sends it.
+async function issueDeliveryOtp(order) {
+    const { otpHours } = await getSettings('delivery');
+    const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    order.delivery.otpHash = hashDeliveryOtp(order, otp);
+    order.delivery.otpExpiresAt = new Date(Date.now() + otpHours * 60 * MS_PER_MINUTE);
+    order.delivery.otpAttempts = 0;
+    return otp;
+}
+
+async function sendDeliveryOtp(order, otp) {
+    const what = order.delivery.method === 'pickup' ? 'when you collect your animals' : 'when your animals arrive';
+    await notifyUser(order.userId, {
+        id: `otp_${order._id}_${Date.now()}`,
+        title: 'Delivery Code',
+        message: `Your handover code for Order #${order._id.toString().slice(-6)} is ${otp}. Share it with our driver only ${what}.`,
+        icon: 'key-round',
+        color: 'blue'
+    });
+}
+
+function formatDeliveryDate(date) {
+    return new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'Asia/Kolkata' });
+}
+
+// "Sat, 12 Oct, 06:00-10:00 in KA01AB1234 with Ravi (9876543210)", from whatever has been filled in
+function describeDelivery(delivery) {
+    const when = [delivery.scheduledDate && formatDeliveryDate(delivery.scheduledDate), delivery.slot].filter(Boolean).join(', ');
+    const vehicle = delivery.vehicle && [delivery.vehicle.type, delivery.vehicle.number].filter(Boolean).join(' ');
+    const driver = delivery.driver && delivery.driver.name
+        ? delivery.driver.name + (delivery.driver.phone ? ` (${delivery.driver.phone})` : '')
+        : '';
+    return [when, vehicle && `in ${vehicle}`, driver && `with ${driver}`].filter(Boolean).join(' ');
+}
+
+async function notifyTracking(order, event) {
+    const ref = order._id.toString().slice(-6);
+    const detail = [event.message, event.location && `(${event.location})`].filter(Boolean).join(' ');
+    await notifyUser(order.userId, {
+        id: `track_${order._id}_${Date.now()}`,
+        title: `Order #${ref}: ${TRACKING_EVENT_LABELS[event.type]}`,
+        message: detail || `${TRACKING_EVENT_LABELS[event.type]}.`,
+        icon: event.type === 'delayed' || event.type === 'attempted' ? 'alert-triangle' : 'truck',
+        color: event.type === 'delayed' || event.type === 'attempted' ? 'orange' : 'blue'
+    });
+}
+
+const phoneField = () => v.string({ pattern: /^[0-9]{10}$/, message: 'must be 10 digits' });
+
+const deliveryScheduleBody = {
+    method: v.oneOf(Order.DELIVERY_METHODS).optional(),
+    scheduledDate: v.date().optional(),
+    slot: v.string({ max: 50 }).optional(),
+    vehicle: v.object({ number: v.string({ max: 20 }).optional(), type: v.string({ max: 50 }).optional() }).optional(),
+    driver: v.object({ name: v.string({ max: 100 }).optional(), phone: phoneField().optional() }).optional(),
+    note: v.string({ max: 500 }).optional()
+};
+
+const trackingEventBody = {
+    type: v.oneOf(Order.TRACKING_EVENTS.filter(type => type !== 'delivered')), // Delivered comes from the OTP confirmation
+    message: v.string({ max: 500 }).optional(),
+    location: v.string({ max: 200 }).optional()
+};
+
+// --- 🧑‍🌾 SELLERS ---
+// Breeders list their own animals once an admin approves them (User.seller). Their listings wait for
+// moderation before going live, and each delivered order earns them a payout less the marketplace
+// commission (the 'marketplace' settings group).
+
+// Approved sellers only. The role in the access token can be up to half an hour old, so the seller's
+// standing is read from the database and a suspension takes effect on their next request.
+function sellerMiddleware(req, res, next) {
+    authMiddleware(req, res, async (err) => {
+        if (err) return next(err);
+        try {
+            const user = await User.findById(req.user.id, 'role seller.status').lean();
+            if (!user || user.role !== 'seller' || !user.seller || user.seller.status !== 'approved') {
+                return next(httpError(403, 'Seller access required', { code: 'SELLER_REQUIRED' }));
+            }
+            req.user.role = 'seller';
+            next();
+        } catch (dbErr) { next(dbErr); }
+    });
+}
+
+// Livestock management routes are mounted twice: under /api/admin/livestock for admins (every listing)
+// and /api/seller/livestock for approved sellers (their own). catalogAccess sets req.catalog:
+// `scope` narrows Livestock queries to what the caller may touch, `sellerId` is set for sellers.
+const SELLER_CATALOG = '/api/seller/livestock';
+
+function catalogPaths(suffix = '') {
+    return [`/api/admin/livestock${suffix}`, `${SELLER_CATALOG}${suffix}`];
+}
+
+function catalogAccess(req, res, next) {
+    if (req.path.startsWith(SELLER_CATALOG)) {
+        return sellerMiddleware(req, res, (err) => {
+            if (err) return next(err);
+            req.catalog = { scope: { sellerId: req.user.id }, sellerId: req.user.id };
+            next();
+        });
+    }
+    adminMiddleware(req, res, (err) => {
+        if (err) return next(err);
+        requireRole('admin')(req, res, (roleErr) => {
+            if (roleErr) return next(roleErr);
+            req.catalog = { scope: {}, sellerId: null };
+            next();
+        });
+    });
+}
+
+// Sellers can hide and relist their animals; Reserved and Sold only ever come from orders
+function checkSellerStatus(req, values, errors) {
+    if (req.catalog.sellerId && values.status && !Livestock.SELLER_STATUSES.includes(values.status)) {
+        errors.status = `status must be one of: ${Livestock.SELLER_STATUSES.join(', ')}`;
+    }
+}
+
+// Puts a seller's new or edited listing in the moderation queue. Caller saves.
+function queueForReview(livestock) {
+    livestock.moderation = { status: 'pending', note: '', submittedAt: new Date() };
+}
+
+async function announceForReview(livestock, req) {
+    await AdminNotification.create({ message: `Listing "${livestock.name}" from seller ${req.user.name} is waiting for review.`, type: 'info' });
+}
+
+// Records what each seller on a delivered order is owed (see models/Payout.js). Safe to call twice.
+async function recordPayouts(order) {
+    const bySeller = new Map();
+    for (const item of order.items) {
+        if (!item.sellerId) continue;
+        const key = item.sellerId.toString();
+        if (!bySeller.has(key)) bySeller.set(key, []);
+        bySeller.get(key).push({ _id: item._id, name: item.name, price: item.price || 0 });
+    }
+    if (bySeller.size === 0) return;
+
+    const { commissionPercent } = await getSettings('marketplace');
+    const ref = order._id.toString().slice(-6);
+    for (const [sellerId, items] of bySeller) {
+        const gross = toPaise(items.reduce((sum, item) => sum + item.price, 0));
+        const commission = toPaise(gross * commissionPercent / 100);
+        const net = toPaise(gross - commission);
+        const result = await Payout.updateOne(
+            { orderId: order._id, sellerId },
+            { $setOnInsert: { items, gross, commissionPercent, commission, net } },
+            { upsert: true }
+        );
+        if (result.upsertedCount === 0) continue;
+        await notifyUser(sellerId, {
+            id: `payout_${order._id}_${sellerId}`,
+            title: 'Sale Delivered',
+            message: `Order #${ref} was delivered. ₹${net} will be paid out to you (₹${gross} less ₹${commission} commission).`,
+            icon: 'wallet',
+            color: 'green'
+        });
+    }
+}
+
+// A refunded order pays nobody; payouts already sent are left for an admin to settle with the seller
+async function cancelPayouts(order) {
+    await Payout.updateMany({ orderId: order._id, status: 'pending' }, { $set: { status: 'cancelled', note: 'Order refunded' } });
+}
+
+// --- ⏳ RESERVATION EXPIRY JOBS ---
+// Triggered through /api/cron (see lib/jobs); windows come from the 'reservations' settings group.
+const MS_PER_MINUTE = 60 * 1000;
+
+// When a new Pending order placed now should lapse
+async function reservationDeadline() {
+    const { unpaidMinutes } = await getSettings('reservations');
+    return new Date(Date.now() + unpaidMinutes * MS_PER_MINUTE);
+}
+
+// Orders from before expiresAt existed lapse `unpaidMinutes` after they were placed
+async function lapsedOrderFilter(cutoff) {
+    const { unpaidMinutes } = await getSettings('reservations');
+    return {
+        status: 'Pending',
+        $or: [
+            { expiresAt: { $lte: cutoff } },
+            { expiresAt: null, createdAt: { $lte: new Date(cutoff.getTime() - unpaidMinutes * MS_PER_MINUTE) } }
+        ]
+    };
+}
+
+registerJob('expire-reservations', {
+    description: 'Cancels unpaid Pending orders whose reservation has lapsed and puts their animals back on sale',
+    everyMinutes: 1,
+    async run() {
+        const expiredOrders = await Order.find(await lapsedOrderFilter(new Date()), '-paymentProof.data');
+        let expired = 0;
+        for (const order of expiredOrders) {
+            // Only if it is still Pending: the customer may have paid since it was loaded
+            order.$where = { status: 'Pending' };
+            order.transitionTo('Cancelled', { note: 'Auto-expired: unpaid when the reservation lapsed' });
+            try { await order.save(); }
+            catch (err) { if (err.name === 'DocumentNotFoundError') continue; throw err; }
+            expired++;
+
+            await releaseLivestock(order.items.map(item => item._id));
+            const ref = order._id.toString().slice(-6);
+            await AdminNotification.create({ message: `System: Order #${ref} auto-expired (unpaid).`, type: 'warning', orderId: order._id });
+            await notifyUser(order.userId, {
+                id: 'exp_' + order._id,
+                title: 'Order Expired',
+                message: `Order #${ref} was cancelled because payment was not received in time.`,
+                icon: 'clock',
+                color: 'red'
+            });
+        }
+        if (expired > 0) console.log(`⏳ Auto-expired ${expired} unpaid order(s)`);
+        return { expired };
+    }
+});
+
+registerJob('reservation-reminders', {
+    description: 'Reminds customers to pay shortly before their reservation lapses',
+    everyMinutes: 1,
+    async run() {
+        const { reminderMinutes, unpaidMinutes } = await getSettings('reservations');
+        if (reminderMinutes === 0) return { reminded: 0 };
+        const soon = await lapsedOrderFilter(new Date(Date.now() + reminderMinutes * MS_PER_MINUTE));
+        const orders = await Order.find({ ...soon, expiryReminderSentAt: null }, 'userId expiresAt createdAt');
+        let reminded = 0;
+        for (const order of orders) {
+            // Claim the reminder first so an overlapping run can never send it twice
+            const claimed = await Order.updateOne({ _id: order._id, status: 'Pending', expiryReminderSentAt: null }, { $set: { expiryReminderSentAt: new Date() } });
+            if (claimed.modifiedCount === 0) continue;
+            const expiresAt = order.expiresAt || new Date(order.createdAt.getTime() + unpaidMinutes * MS_PER_MINUTE);
+            const minutesLeft = Math.max(Math.ceil((expiresAt - Date.now()) / MS_PER_MINUTE), 1);
+            await notifyUser(order.userId, {
+                id: 'remind_' + order._id,
+                title: 'Complete Your Payment',
+                message: `Order #${order._id.toString().slice(-6)} is reserved for ${minutesLeft} more minute${minutesLeft === 1 ? '' : 's'}. Pay or upload your proof to keep it.`,
+                icon: 'clock',
+                color: 'yellow'
+            });
+            reminded++;
+        }
+        return { reminded };
+    }
+});
+
+// Long-running servers (node server.js) trigger the jobs themselves; set JOBS_IN_PROCESS=false when
+// an external cron calls /api/cron instead. The locks keep several instances from overlapping.
+function startInProcessJobs() {
+    if (process.env.JOBS_IN_PROCESS === 'false') return;
+    const timer = setInterval(() => runDueJobs().catch(err => console.error('Job Runner Error:', err)), MS_PER_MINUTE);
+    timer.unref();
+}
+
+// --- 🔨 AUCTIONS ---
+// A listing in auction mode (Livestock.auction) takes bids between startsAt and endsAt instead of selling
+// at its price. The close-auctions job settles it (lib/auctions.js): the highest bidder gets a Pending order
+// at their bid if it reached the reserve. Defaults and the winner's time to pay come from the 'auctions'
+// settings group.
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+// A running auction with bids: its terms and the opening price are locked and the listing can't be deleted
+const OPEN_BIDS_FILTER = { 'auction.enabled': true, 'auction.closedAt': null, 'auction.bidCount': { $gt: 0 } };
+
+function hasOpenBids(doc) {
+    const auction = doc.auction;
+    return Boolean(auction && auction.enabled && !auction.closedAt && auction.bidCount > 0);
+}
+
+// What bidders see of an auction. The reserve itself stays hidden; only whether it has been met.
+function auctionSummary(doc) {
+    const auction = doc.auction;
+    const phase = Livestock.auctionPhase(doc);
+    return {
+        phase, startsAt: auction.startsAt, endsAt: auction.endsAt, openingBid: doc.price,
+        minIncrement: auction.minIncrement, currentBid: auction.currentBid || null, bidCount: auction.bidCount || 0,
+        reserveMet: Boolean(auction.reserveMet), minimumBid: phase === 'closed' ? null : Livestock.minimumBid(doc),
+        outcome: auction.outcome || null
+    };
+}
+
+// Bids on the listing's current auction, newest first. Bidders are numbered in the order they joined so
+// the public history shows the back-and-forth without naming anyone; `named` adds names for the listing's
+// admins and seller.
+async function bidHistory(livestock, { named = false } = {}) {
+    const { auction } = livestock;
+    // Auctions started before bids carried an auctionId are told apart by their start time
+    const filter = auction.auctionId ? { auctionId: auction.auctionId } : { createdAt: { $gte: auction.startsAt } };
+    const query = Bid.find({ livestockId: livestock._id, ...filter }).sort({ createdAt: -1 }).limit(500).lean();
+    if (named) query.populate('userId', 'name');
+    const bids = await query;
+    const bidderKey = (bid) => String(bid.userId && bid.userId._id ? bid.userId._id : bid.userId); // Populated or not
+    const numbers = new Map();
+    for (const bid of [...bids].reverse()) {
+        if (!numbers.has(bidderKey(bid))) numbers.set(bidderKey(bid), numbers.size + 1);
+    }
+    return bids.map(bid => {
+        const entry = { _id: bid._id, amount: bid.amount, at: bid.createdAt, bidder: `Bidder ${numbers.get(bidderKey(bid))}`, extendedTo: bid.extendedTo };
+        return named ? { ...entry, userId: bidderKey(bid), name: bid.userId ? bid.userId.name : null } : entry;
+    });
+}
+
+registerJob('close-auctions', {
+    description: 'Closes auctions whose end time has passed and creates a Pending order for each winning bidder',
+    everyMinutes: 1,
+    async run() {
+        const due = await Livestock.find(
+            { 'auction.enabled': true, 'auction.closedAt': null, 'auction.endsAt': { $lte: new Date() } },
+            'name price breed type weightKg status sellerId auction'
+        ).limit(100);
+        const closed = {};
+        for (const livestock of due) {
+            const result = await closeAuction(livestock);
+            if (result) closed[result.outcome] = (closed[result.outcome] || 0) + 1;
+        }
+        return { closed };
+    }
+});
+
+// --- RATE LIMITS & SIGN-IN LOCKOUT ---
+// Per IP for anonymous routes, per account once signed in
+const perAccount = (req) => req.user && req.user.id;
+const limits = {
+    login: rateLimit('login-ip', { limit: 30, windowMs: 15 * MS_PER_MINUTE, message: 'Too many sign-in attempts from this network. Please try again later.' }),
+    register: rateLimit('register-ip', { limit: 10, windowMs: 60 * MS_PER_MINUTE }),
+    refresh: rateLimit('refresh-ip', { limit: 120, windowMs: 15 * MS_PER_MINUTE }),
+    emailLinks: rateLimit('email-link-ip', { limit: 10, windowMs: 60 * MS_PER_MINUTE }),
+    emailLinksPerAddress: rateLimit('email-link', { limit: 3, windowMs: 60 * MS_PER_MINUTE, key: (req) => req.body.email }),
+    tokens: rateLimit('token-ip', { limit: 20, windowMs: 15 * MS_PER_MINUTE }),
+    verification: rateLimit('verification-user', { limit: 3, windowMs: 60 * MS_PER_MINUTE, key: perAccount }),
+    orders: rateLimit('orders-user', { limit: 20, windowMs: 60 * MS_PER_MINUTE, key: perAccount }),
+    proofs: rateLimit('proofs-user', { limit: 20, windowMs: 60 * MS_PER_MINUTE, key: perAccount }),
+    payments: rateLimit('payments-user', { limit: 30, windowMs: 60 * MS_PER_MINUTE, key: perAccount }),
+    bids: rateLimit('bids-user', { limit: 30, windowMs: 5 * MS_PER_MINUTE, key: perAccount })
+};
+
+// Failed passwords are counted per email whether or not an account exists, so a lock gives away nothing
+// about which emails are registered. The per-IP login limit covers guessing across many emails.
+const loginFailureKey = (email) => `login-failures:${email}`;
+
+function accountLocked(res, resetAt) {
+    return tooManyRequests(res, resetAt, 'Too many failed sign-in attempts. Try again later or reset your password.', 'ACCOUNT_LOCKED');
+}
+
+// Returns the user when the password matches. Throws 400 for wrong credentials and 429 ACCOUNT_LOCKED
+// once security.loginMaxFailures is reached; while locked the password is not even checked.
+async function authenticate(res, email, password) {
+    const { loginMaxFailures, lockoutMinutes } = await getSettings('security');
+    const key = loginFailureKey(email);
+    const failures = await peekLimit(key);
+    if (failures.count >= loginMaxFailures) throw accountLocked(res, failures.resetAt);
+
+    const user = await User.findOne({ email });
+    if (user && await user.comparePassword(password)) {
+        if (failures.count > 0) await resetLimit(key);
+        return user;
+    }
+
+    const lockoutMs = lockoutMinutes * MS_PER_MINUTE;
+    const { count } = await hitLimit(key, lockoutMs);
+    if (count < loginMaxFailures) throw httpError(400, 'Invalid credentials');
+    await extendLimit(key, lockoutMs); // The lock runs its full length from the last failure
+    if (user && count === loginMaxFailures) sendLockoutEmail(user, lockoutMinutes).catch(err => console.error('Lockout Mail Error:', err));
+    throw accountLocked(res, new Date(Date.now() + lockoutMs));
+}
+
+// --- AUTH ROUTES ---
+// Responses that start or renew a session include the CSRF token for X-CSRF-Token
+const emailField = () => v.string({ min: 3, max: 254, lowercase: true, pattern: /^[^\s@]+@[^\s@]+$/ });
+const passwordField = () => v.string({ min: MIN_PASSWORD_LENGTH, max: 200, trim: false });
+
+app.post('/api/auth/register', limits.register, validate({ body: { name: v.string({ min: 1, max: 100 }), email: emailField(), password: passwordField() } }), async (req, res, next) => {
+    try {
+        const { name, email, password } = req.body;
+        const existingUser = await User.findOne({ email });
+        if (existingUser) return next(httpError(409, 'Email already exists'));
+        const newUser = new User({ name, email, password });
+        await newUser.save();
+        const session = await startSession(req, res, newUser);
+        sendVerificationEmail(newUser).catch(err => console.error('Verification Mail Error:', err));
+        res.status(201).json({ user: { id: newUser._id, name: newUser.name, email: newUser.email }, csrfToken: csrfTokenFor(session._id) });
+    } catch (err) { next(err); }
+});
+
+const loginBody = { email: v.string({ min: 1, max: 254, lowercase: true }), password: v.string({ min: 1, max: 200, trim: false }) };
+
+app.post('/api/auth/login', limits.login, validate({ body: loginBody }), async (req, res, next) => {
+    try {
+        const user = await authenticate(res, req.body.email, req.body.password);
+        const session = await startSession(req, res, user);
+        res.json({ user: { id: user._id, name: user.name, email: user.email }, csrfToken: csrfTokenFor(session._id) });
+    } catch (err) { next(err); }
+});
+
+app.get('/api/auth/me', authMiddleware, (req, res) => res.json({ user: req.user, csrfToken: csrfTokenFor(req.user.sessionId) }));
+
+app.get('/api/auth/csrf', authMiddleware, (req, res) => res.json({ csrfToken: csrfTokenFor(req.user.sessionId) }));
+
+// Rotates the refresh token and issues a fresh access token
+app.post('/api/auth/refresh', limits.refresh, async (req, res, next) => {
+    try {
+        const parsed = parseRefreshCookie(req);
+        if (!parsed) return next(httpError(401, 'Not authenticated'));
+        const session = await Session.findById(parsed.sessionId);
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            clearAuthCookies(res);
+            return next(httpError(401, 'Session expired'));
+        }
+
+        const presentedHash = hashToken(parsed.secret);
+        const isCurrent = presentedHash === session.tokenHash;
+        // Two tabs refreshing at once: the loser presents the token that was rotated a moment ago
+        const isConcurrentRetry = presentedHash === session.previousTokenHash && Date.now() - session.lastUsedAt < REFRESH_GRACE_MS;
+        if (!isCurrent && !isConcurrentRetry) {
+            // An already-rotated token came back: assume it was stolen and kill the session
+            if (presentedHash === session.previousTokenHash) {
+                session.revokedAt = new Date();
+                await session.save();
+            }
+            clearAuthCookies(res);
+            return next(httpError(401, 'Invalid refresh token'));
+        }
+
+        const user = await User.findById(session.userId);
+        if (!user) {
+            clearAuthCookies(res);
+            return next(httpError(401, 'User not found'));
+        }
+
+        // The winning request already set the new refresh cookie; only hand out an access token
+        if (!isCurrent) {
+            setAuthCookie(res, createToken(user, session._id));
+            return res.json({ user: { id: user._id, name: user.name, email: user.email, role: user.role }, csrfToken: csrfTokenFor(session._id) });
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        session.previousTokenHash = session.tokenHash;
+        session.tokenHash = hashToken(secret);
+        session.lastUsedAt = new Date();
+        session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+        await session.save();
+
+        setAuthCookie(res, createToken(user, session._id));
+        setRefreshCookie(res, `${session._id}.${secret}`);
+        res.json({ user: { id: user._id, name: user.name, email: user.email, role: user.role }, csrfToken: csrfTokenFor(session._id) });
+    } catch (err) { next(err); }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const parsed = parseRefreshCookie(req);
+        if (parsed) await Session.updateOne({ _id: parsed.sessionId, revokedAt: null }, { revokedAt: new Date() });
+    } catch (err) { console.error('Logout Error:', err); }
+    clearAuthCookies(res);
+    res.json({ message: 'Logged out' });
+});
+
+// --- PASSWORD RESET & EMAIL VERIFICATION ---
+app.post('/api/auth/forgot-password', limits.emailLinks, validate({ body: { email: v.string({ min: 1, max: 254, lowercase: true }) } }), limits.emailLinksPerAddress, async (req, res, next) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) await sendPasswordResetEmail(user);
+        // Same answer whether or not the account exists, so this can't be used to probe emails
+        res.json({ message: 'If that email is registered, a reset link has been sent.' });
+    } catch (err) { next(err); }
+});
+
+app.post('/api/auth/reset-password', limits.tokens, validate({ body: { token: v.string({ min: 1, max: 2000 }), password: passwordField() } }), async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const userId = await consumeEmailToken(token, 'password_reset');
+        if (!userId) return next(httpError(400, 'Reset link is invalid or has expired'));
+        const user = await User.findById(userId);
+        if (!user) return next(httpError(400, 'Reset link is invalid or has expired'));
+
+        user.password = password;
+        user.passwordChangedAt = new Date();
+        // Receiving the reset email proves ownership of the address
+        if (!user.emailVerified) { user.emailVerified = true; user.emailVerifiedAt = new Date(); }
+        await user.save();
+
+        // Log out every device and kill any other outstanding reset links
+        await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+        await AuthToken.updateMany({ userId: user._id, purpose: 'password_reset', usedAt: null }, { usedAt: new Date() });
+        clearAuthCookies(res);
+
+        res.json({ message: 'Password updated. Please log in with your new password.' });
+    } catch (err) { next(err); }
+});
+
+async function verifyEmailToken(token) {
+    const userId = token && await consumeEmailToken(token, 'email_verify');
+    if (!userId) return false;
+    await User.findByIdAndUpdate(userId, { emailVerified: true, emailVerifiedAt: new Date() });
+    return true;
+}
+
+// Link target from the verification email
+app.get('/api/auth/verify-email', async (req, res) => {
+    try {
+        const ok = typeof req.query.token === 'string' && await verifyEmailToken(req.query.token);
+        res.redirect(`/?emailVerified=${ok ? 1 : 0}`);
+    } catch (err) { res.redirect('/?emailVerified=0'); }
+});
+
+app.post('/api/auth/verify-email', limits.tokens, validate({ body: { token: v.string({ min: 1, max: 2000 }) } }), async (req, res, next) => {
+    try {
+        const ok = await verifyEmailToken(req.body.token);
+        if (!ok) return next(httpError(400, 'Verification link is invalid or has expired'));
+        res.json({ message: 'Email verified' });
+    } catch (err) { next(err); }
+});
+
+app.post('/api/auth/resend-verification', authMiddleware, limits.verification, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return next(httpError(404, 'User not found'));
+        if (user.emailVerified) return next(httpError(400, 'Email already verified'));
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (err) { next(err); }
+});
+
+// --- SESSIONS ---
+app.get('/api/auth/sessions', authMiddleware, async (req, res, next) => {
+    try {
+        const sessions = await Session.find(
+            { userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } },
+            'userAgent ip createdAt lastUsedAt expiresAt'
+        ).sort({ lastUsedAt: -1 });
+        res.json({ sessions: sessions.map(s => ({ ...s.toObject(), current: s._id.toString() === req.user.sessionId })) });
+    } catch (err) { next(err); }
+});
+
+app.delete('/api/auth/sessions/:id', authMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const result = await Session.updateOne({ _id: req.params.id, userId: req.user.id, revokedAt: null }, { revokedAt: new Date() });
+        if (result.matchedCount === 0) return next(httpError(404, 'Session not found'));
+        if (req.params.id === req.user.sessionId) clearAuthCookies(res);
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (err) { next(err); }
+});
+
+// Logs out every device, optionally keeping the one making the request (?keepCurrent=true)
+app.delete('/api/auth/sessions', authMiddleware, validate({ query: { keepCurrent: v.boolean().default(false) } }), async (req, res, next) => {
+    try {
+        const { keepCurrent } = req.query;
+        const filter = { userId: req.user.id, revokedAt: null };
+        if (keepCurrent) filter._id = { $ne: req.user.sessionId };
+        const result = await Session.updateMany(filter, { revokedAt: new Date() });
+        if (!keepCurrent) clearAuthCookies(res);
+        res.json({ success: true, revoked: result.modifiedCount });
+    } catch (err) { next(err); }
+});
+
+// --- USER STATE ---
+const CART_FIELDS = 'name price breed type weightKg status moderation.status auction.enabled';
+const ADDRESS_FIELDS = ['label', 'name', 'line1', 'line2', 'city', 'state', 'pincode', 'phone'];
+
+function cartItemFrom(doc, extra = {}) {
+    return {
+        _id: doc._id.toString(), name: doc.name, price: doc.price, breed: doc.breed, type: doc.type,
+        weight: doc.weightKg !== undefined ? String(doc.weightKg) : undefined,
+        selected: true, unavailable: !Livestock.isBuyable(doc), addedAt: new Date(), ...extra
+    };
+}
+
+function cartSummary(cart) {
+    const payable = cart.filter(item => item.selected !== false && !item.unavailable);
+    return { cart, total: payable.reduce((sum, item) => sum + (item.price || 0), 0), count: cart.length, unavailableCount: cart.filter(item => item.unavailable).length };
+}
+
+// Re-prices the stored cart from Livestock and flags items that were sold, hidden or deleted since they were added.
+// Only changed items are written back (positionally) so a concurrent add/remove from another tab is not lost.
+async function refreshCart(userId) {
+    const user = await User.findById(userId).select('cart').lean();
+    if (!user) return null;
+    const cart = user.cart || [];
+    const ids = cart.map(item => item._id).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const docs = await Livestock.find({ _id: { $in: ids } }).select(CART_FIELDS).lean();
+    const byId = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    const writes = [];
+    const refreshed = cart.map(item => {
+        const doc = byId.get(String(item._id));
+        const next = doc
+            ? cartItemFrom(doc, { selected: item.selected !== false, addedAt: item.addedAt })
+            : { ...item, unavailable: true };
+        const changed = ['name', 'price', 'breed', 'type', 'weight', 'unavailable'].some(key => next[key] !== item[key]);
+        if (changed) {
+            const $set = {};
+            for (const key of ['name', 'price', 'breed', 'type', 'weight', 'unavailable']) $set[`cart.$.${key}`] = next[key];
+            writes.push({ updateOne: { filter: { _id: userId, 'cart._id': item._id }, update: { $set } } });
+        }
+        return next;
+    });
+    if (writes.length > 0) await User.bulkWrite(writes);
+    return refreshed;
+}
+
+// Exactly one default address; the first one wins when none is marked
+function normalizeAddresses(addresses) {
+    const list = addresses.map(a => ({ ...a, _id: a._id || new mongoose.Types.ObjectId() }));
+    const defaultIndex = Math.max(0, list.findIndex(a => a.isDefault));
+    return list.map((a, index) => ({ ...a, isDefault: index === defaultIndex }));
+}
+
+// Addresses saved before they had ids are given stable ones the first time they are read
+async function loadAddresses(userId) {
+    const user = await User.findById(userId).select('addresses').lean();
+    if (!user) return null;
+    const addresses = user.addresses || [];
+    if (addresses.every(a => a._id) && (addresses.length === 0 || addresses.filter(a => a.isDefault).length === 1)) return addresses;
+    const normalized = normalizeAddresses(addresses);
+    // Only write if nobody else has fixed them up in the meantime
+    const result = await User.updateOne({ _id: userId, addresses }, { $set: { addresses: normalized } });
+    if (result.modifiedCount === 0) return (await User.findById(userId).select('addresses').lean()).addresses || [];
+    return normalized;
+}
+
+// Single update so there is never a moment with zero or two defaults
+function setDefaultAddress(userId, addressId) {
+    return User.updateOne(
+        { _id: userId, 'addresses._id': addressId },
+        { $set: { 'addresses.$[other].isDefault': false, 'addresses.$[target].isDefault': true } },
+        { arrayFilters: [{ 'other._id': { $ne: new mongoose.Types.ObjectId(addressId) } }, { 'target._id': new mongoose.Types.ObjectId(addressId) }] }
+    );
+}
+
+// Types only; parseAddress() applies the required fields and formats
+const addressBody = {
+    ...Object.fromEntries([...ADDRESS_FIELDS, 'line'].map(field => [field, v.string({ max: 200 }).optional()])),
+    isDefault: v.boolean().optional()
+};
+
+// Returns { address } or { error } for a create/update body; `partial` allows omitting fields on update
+function parseAddress(body, { partial = false } = {}) {
+    const address = {};
+    for (const field of ADDRESS_FIELDS) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') return { error: `${field} must be a string` };
+        address[field] = (body[field] || '').trim();
+    }
+    if (!address.line1 && typeof body.line === 'string') address.line1 = body.line.trim(); // Older clients send `line`
+    if (!partial) {
+        const missing = ['name', 'phone', 'line1', 'city', 'state', 'pincode'].filter(field => !address[field]);
+        if (missing.length > 0) return { error: `Missing address fields: ${missing.join(', ')}` };
+    }
+    for (const field of ['name', 'phone', 'line1', 'city', 'state', 'pincode']) {
+        if (field in address && !address[field]) return { error: `${field} cannot be empty` };
+    }
+    if (address.phone !== undefined && !/^[0-9]{10}$/.test(address.phone)) return { error: 'Phone number must be 10 digits' };
+    if (address.pincode !== undefined && !/^[0-9]{6}$/.test(address.pincode)) return { error: 'Pincode must be 6 digits' };
+    if (body.isDefault !== undefined) address.isDefault = body.isDefault === true;
+    return { address };
+}
+
+app.get('/api/user/state', authMiddleware, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('wishlist notifications').lean();
+        if (!user) return next(httpError(404, 'User not found'));
+        const [cart, addresses] = await Promise.all([refreshCart(req.user.id), loadAddresses(req.user.id)]);
+        res.json({ cart, wishlist: user.wishlist || [], addresses, notifications: user.notifications || [] });
+    } catch (err) { next(err); }
+});
+
+// Whole-state sync, kept for notifications and for offline changes replayed by the service worker.
+// Only the fields sent are written, and cart prices/addresses are rebuilt server-side rather than trusted.
+const userStateBody = {
+    cart: v.array(v.object({ _id: v.objectId(), selected: v.boolean().optional() }), { max: 200 }).optional(),
+    wishlist: v.array(v.objectId(), { max: 500 }).optional(),
+    addresses: v.array(v.object({ ...addressBody, _id: v.objectId().optional() }), { max: 20 }).optional(),
+    notifications: v.array(v.object({
+        id: v.string({ max: 100 }), title: v.string({ max: 200 }).optional(), message: v.string({ max: 1000 }).optional(),
+        icon: v.string({ max: 50 }).optional(), color: v.string({ max: 50 }).optional(),
+        timestamp: v.number().optional(), seen: v.boolean().optional()
+    }), { max: 1000 }).optional()
+};
+
+app.put('/api/user/state', authMiddleware, validate({ body: userStateBody }), async (req, res, next) => {
+    try {
+        const { cart, wishlist, addresses, notifications } = req.body;
+        const $set = {};
+        if (cart) {
+            const docs = await Livestock.find({ _id: { $in: cart.map(item => item._id) } }).select(CART_FIELDS).lean();
+            $set.cart = docs.map(doc => {
+                const sent = cart.find(item => item._id === doc._id.toString());
+                return cartItemFrom(doc, { selected: sent.selected !== false });
+            });
+        }
+        if (wishlist) {
+            $set.wishlist = (await Livestock.find({ _id: { $in: [...new Set(wishlist)] } }).select('_id').lean()).map(doc => doc._id.toString());
+        }
+        if (addresses) {
+            const parsed = addresses.map(a => ({ ...parseAddress(a), _id: a._id }));
+            const invalid = parsed.find(p => p.error);
+            if (invalid) return next(httpError(400, invalid.error, { code: 'VALIDATION_FAILED' }));
+            $set.addresses = normalizeAddresses(parsed.map(p => ({ ...p.address, _id: p._id })));
+        }
+        if (notifications) $set.notifications = notifications;
+        if (Object.keys($set).length > 0) await User.updateOne({ _id: req.user.id }, { $set });
+        res.json({ message: 'State synchronized', success: true });
+    } catch (err) { next(err); }
+});
+
+// --- CART ---
+app.get('/api/user/cart', authMiddleware, async (req, res, next) => {
+    try {
+        const cart = await refreshCart(req.user.id);
+        if (!cart) return next(httpError(404, 'User not found'));
+        res.json(cartSummary(cart));
+    } catch (err) { next(err); }
+});
+
+// Body: { livestockId }. Price and details always come from Livestock.
+app.post('/api/user/cart', authMiddleware, validate({ body: { livestockId: v.objectId() } }), async (req, res, next) => {
+    try {
+        const { livestockId } = req.body;
+        const doc = await Livestock.findById(livestockId).select(CART_FIELDS).lean();
+        if (!doc) return next(httpError(404, 'Livestock not found'));
+        if (!Livestock.isBuyable(doc)) {
+            return next(httpError(409, `${doc.name} is no longer available`, { code: 'LIVESTOCK_UNAVAILABLE', details: { status: doc.status } }));
+        }
+
+        // Conditional push, so double-clicks and other tabs can't add the same animal twice
+        const result = await User.updateOne(
+            { _id: req.user.id, 'cart._id': { $ne: livestockId } },
+            { $push: { cart: cartItemFrom(doc) } }
+        );
+        const cart = await refreshCart(req.user.id);
+        res.status(result.modifiedCount > 0 ? 201 : 200).json({ ...cartSummary(cart), added: result.modifiedCount > 0 });
+    } catch (err) { next(err); }
+});
+
+// Body: { ids } — selects exactly these items for checkout and deselects the rest
+app.put('/api/user/cart/selection', authMiddleware, validate({ body: { ids: v.array(v.objectId(), { max: 200 }) } }), async (req, res, next) => {
+    try {
+        const { ids } = req.body;
+        await User.updateOne(
+            { _id: req.user.id },
+            { $set: { 'cart.$[keep].selected': true, 'cart.$[drop].selected': false } },
+            { arrayFilters: [{ 'keep._id': { $in: ids } }, { 'drop._id': { $nin: ids } }] }
+        );
+        res.json(cartSummary(await refreshCart(req.user.id)));
+    } catch (err) { next(err); }
+});
+
+// Body: { selected }
+app.put('/api/user/cart/:livestockId', authMiddleware, validate({ params: { livestockId: v.objectId() }, body: { selected: v.boolean() } }), async (req, res, next) => {
+    try {
+        const result = await User.updateOne(
+            { _id: req.user.id, 'cart._id': req.params.livestockId },
+            { $set: { 'cart.$.selected': req.body.selected } }
+        );
+        if (result.matchedCount === 0) return next(httpError(404, 'Item is not in your cart'));
+        res.json(cartSummary(await refreshCart(req.user.id)));
+    } catch (err) { next(err); }
+});
+
+app.delete('/api/user/cart/:livestockId', authMiddleware, idParam('livestockId'), async (req, res, next) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { $pull: { cart: { _id: req.params.livestockId } } });
+        res.json(cartSummary(await refreshCart(req.user.id)));
+    } catch (err) { next(err); }
+});
+
+// ?unavailable=true only drops the sold/removed items
+app.delete('/api/user/cart', authMiddleware, validate({ query: { unavailable: v.boolean().default(false) } }), async (req, res, next) => {
+    try {
+        const update = req.query.unavailable ? { $pull: { cart: { unavailable: true } } } : { $set: { cart: [] } };
+        await User.updateOne({ _id: req.user.id }, update);
+        res.json(cartSummary(await refreshCart(req.user.id)));
+    } catch (err) { next(err); }
+});
+
+// --- WISHLIST ---
+app.post('/api/user/wishlist/:livestockId/toggle', authMiddleware, idParam('livestockId'), async (req, res, next) => {
+    try {
+        const { livestockId } = req.params;
+
+        // Try to remove first; if nothing was there, add it (only if the listing still exists)
+        const removed = await User.updateOne({ _id: req.user.id, wishlist: livestockId }, { $pull: { wishlist: livestockId } });
+        let inWishlist = false;
+        if (removed.modifiedCount === 0) {
+            if (!(await Livestock.exists({ _id: livestockId }))) return next(httpError(404, 'Livestock not found'));
+            await User.updateOne({ _id: req.user.id }, { $addToSet: { wishlist: livestockId } });
+            inWishlist = true;
+        }
+        const user = await User.findById(req.user.id).select('wishlist').lean();
+        res.json({ inWishlist, wishlist: user.wishlist || [] });
+    } catch (err) { next(err); }
+});
+
+// --- ADDRESSES ---
+app.get('/api/user/addresses', authMiddleware, async (req, res, next) => {
+    try {
+        const addresses = await loadAddresses(req.user.id);
+        if (!addresses) return next(httpError(404, 'User not found'));
+        res.json(addresses);
+    } catch (err) { next(err); }
+});
+
+app.post('/api/user/addresses', authMiddleware, validate({ body: addressBody }), async (req, res, next) => {
+    try {
+        const { address, error } = parseAddress(req.body);
+        if (error) return next(httpError(400, error, { code: 'VALIDATION_FAILED' }));
+        const existing = await loadAddresses(req.user.id);
+        if (!existing) return next(httpError(404, 'User not found'));
+
+        const entry = { ...address, _id: new mongoose.Types.ObjectId(), isDefault: existing.length === 0 || address.isDefault === true };
+        if (!entry.label) entry.label = existing.length === 0 ? 'Default' : `Address ${existing.length + 1}`;
+        if (entry.isDefault && existing.length > 0) {
+            await User.updateOne({ _id: req.user.id }, { $set: { 'addresses.$[].isDefault': false } });
+        }
+        await User.updateOne({ _id: req.user.id }, { $push: { addresses: entry } });
+        res.status(201).json({ address: entry, addresses: await loadAddresses(req.user.id) });
+    } catch (err) { next(err); }
+});
+
+app.put('/api/user/addresses/:addressId', authMiddleware, validate({ params: { addressId: v.objectId() }, body: addressBody }), async (req, res, next) => {
+    try {
+        const { address, error } = parseAddress(req.body, { partial: true });
+        if (error) return next(httpError(400, error, { code: 'VALIDATION_FAILED' }));
+        await loadAddresses(req.user.id);
+
+        const { isDefault, ...fields } = address;
+        const $set = {};
+        for (const [key, value] of Object.entries(fields)) $set[`addresses.$.${key}`] = value;
+        if (Object.keys($set).length > 0) {
+            const result = await User.updateOne({ _id: req.user.id, 'addresses._id': req.params.addressId }, { $set });
+            if (result.matchedCount === 0) return next(httpError(404, 'Address not found'));
+        }
+        if (isDefault === true) {
+            const result = await setDefaultAddress(req.user.id, req.params.addressId);
+            if (result.matchedCount === 0) return next(httpError(404, 'Address not found'));
+        }
+        const addresses = await loadAddresses(req.user.id);
+        const updated = addresses.find(a => a._id.toString() === req.params.addressId);
+        if (!updated) return next(httpError(404, 'Address not found'));
+        res.json({ address: updated, addresses });
+    } catch (err) { next(err); }
+});
+
+app.put('/api/user/addresses/:addressId/default', authMiddleware, idParam('addressId'), async (req, res, next) => {
+    try {
+        await loadAddresses(req.user.id);
+        const result = await setDefaultAddress(req.user.id, req.params.addressId);
+        if (result.matchedCount === 0) return next(httpError(404, 'Address not found'));
+        res.json({ addresses: await loadAddresses(req.user.id) });
+    } catch (err) { next(err); }
+});
+
+app.delete('/api/user/addresses/:addressId', authMiddleware, idParam('addressId'), async (req, res, next) => {
+    try {
+        await loadAddresses(req.user.id);
+        const result = await User.updateOne({ _id: req.user.id }, { $pull: { addresses: { _id: req.params.addressId } } });
+        if (result.modifiedCount === 0) return next(httpError(404, 'Address not found'));
+        // loadAddresses promotes the first remaining address if the default was deleted
+        res.json({ addresses: await loadAddresses(req.user.id) });
+    } catch (err) { next(err); }
+});
+
+// --- USER NOTIFICATIONS ---
+// Live feed of this user's notifications and order status changes (SSE)
+app.get('/api/user/notifications/stream', authMiddleware, (req, res) => openEventStream(req, res, [userChannel(req.user.id)]));
+
+app.put('/api/user/notifications/read-all', authMiddleware, async (req, res, next) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { $set: { 'notifications.$[n].seen': true } }, { arrayFilters: [{ 'n.seen': false }] });
+        res.json({ success: true });
+    } catch (err) { next(err); }
+});
+
+// Body: { read: false } marks it unread again; defaults to read
+app.put('/api/user/notifications/:id/read', authMiddleware, validate({ params: { id: v.string({ min: 1, max: 100 }) }, body: { read: v.boolean().default(true) } }), async (req, res, next) => {
+    try {
+        const result = await User.updateOne(
+            { _id: req.user.id, 'notifications.id': req.params.id },
+            { $set: { 'notifications.$.seen': req.body.read } }
+        );
+        if (result.matchedCount === 0) return next(httpError(404, 'Notification not found'));
+        res.json({ success: true });
+    } catch (err) { next(err); }
+});
+
+// --- WEB PUSH SUBSCRIPTIONS ---
+app.get('/api/push/vapid-public-key', (req, res, next) => {
+    if (!push.publicKey) return next(httpError(404, 'Push notifications are not configured'));
+    res.json({ publicKey: push.publicKey });
+});
+
+// Body: the browser's PushSubscription.toJSON()
+const pushEndpoint = () => v.string({ max: 1000, pattern: /^https:\/\//, message: 'must be an https URL' });
+
+app.post('/api/push/subscribe', authMiddleware, validate({
+    body: { endpoint: pushEndpoint(), keys: v.object({ p256dh: v.string({ min: 1, max: 200 }), auth: v.string({ min: 1, max: 100 }) }) }
+}), async (req, res, next) => {
+    try {
+        const { endpoint, keys } = req.body;
+        // Same browser, possibly a different account now: the endpoint belongs to whoever subscribed last
+        await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            { userId: req.user.id, endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: (req.get('user-agent') || '').slice(0, 300) },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+        res.status(201).json({ success: true });
+    } catch (err) { next(err); }
+});
+
+app.delete('/api/push/subscribe', authMiddleware, validate({ body: { endpoint: pushEndpoint() } }), async (req, res, next) => {
+    try {
+        const { endpoint } = req.body;
+        await PushSubscription.deleteOne({ endpoint, userId: req.user.id });
+        res.json({ success: true });
+    } catch (err) { next(err); }
+});
+
+// --- LIVESTOCK ---
+const LIVESTOCK_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    price_asc: { price: 1, createdAt: -1 },
+    price_desc: { price: -1, createdAt: -1 },
+    weight_asc: { weightKg: 1, createdAt: -1 },
+    weight_desc: { weightKg: -1, createdAt: -1 },
+    age_asc: { dateOfBirth: -1, createdAt: -1 }, // Youngest first
+    age_desc: { dateOfBirth: 1, createdAt: -1 },
+    name: { name: 1 }
+};
+const LIVESTOCK_PAGE_SIZE = 20;
+const LIVESTOCK_MAX_PAGE_SIZE = 100;
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Goat,Sheep" -> case-insensitive exact matches
+function listParam(value) {
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+const livestockListQuery = {
+    q: v.string({ max: 200 }).optional(),
+    ...Object.fromEntries(['type', 'breed', 'status', 'tags'].map(key => [key, v.string({ max: 500 }).optional()])),
+    ...Object.fromEntries(['minPrice', 'maxPrice', 'minWeight', 'maxWeight', 'minAge', 'maxAge'].map(key => [key, v.number({ min: 0 }).optional()])),
+    sort: v.oneOf(['relevance', ...Object.keys(LIVESTOCK_SORTS)]).optional(),
+    mode: v.oneOf(['fixed', 'auction']).optional(), // Fixed-price listings or auctions only
+    page: v.number({ min: 1, integer: true }).optional(),
+    limit: v.number({ min: 1, integer: true }).optional()
+};
+
+// Turns the validated GET /api/livestock query into a Mongo filter + sort. Returns { error } on bad input.
+function buildLivestockQuery(query) {
+    const filter = {};
+    const anyOf = (values) => ({ $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) });
+
+    if (query.type) filter.type = anyOf(listParam(query.type));
+    if (query.breed) filter.breed = anyOf(listParam(query.breed));
+    // Hidden listings never show up publicly, even when asked for by status, and neither do sellers'
+    // listings that are waiting for (or failed) moderation
+    filter.status = query.status ? { ...anyOf(listParam(query.status)), $ne: 'Hidden' } : { $ne: 'Hidden' };
+    Object.assign(filter, Livestock.LIVE_FILTER);
+    if (query.mode === 'fixed') Object.assign(filter, Livestock.FIXED_PRICE_FILTER);
+    if (query.mode === 'auction') filter['auction.enabled'] = true;
+    if (query.tags) filter.tags = { $all: listParam(query.tags).map(t => new RegExp(`^${escapeRegex(t)}$`, 'i')) };
+
+    const ranges = [['price', 'minPrice', 'maxPrice'], ['weightKg', 'minWeight', 'maxWeight'], ['ageMonths', 'minAge', 'maxAge']];
+    for (const [field, minKey, maxKey] of ranges) {
+        for (const [key, op] of [[minKey, '$gte'], [maxKey, '$lte']]) {
+            const value = query[key];
+            if (value === undefined) continue;
+            if (field === 'ageMonths') {
+                // Age is derived from dateOfBirth: at least N months old = born on or before N months ago,
+                // at most N months old = born after N + 1 months ago
+                filter.dateOfBirth = op === '$gte'
+                    ? { ...filter.dateOfBirth, $lte: Livestock.estimateDateOfBirth(value) }
+                    : { ...filter.dateOfBirth, $gt: Livestock.estimateDateOfBirth(value + 1) };
+            } else filter[field] = { ...filter[field], [op]: value };
+        }
+    }
+
+    const search = query.q || '';
+    if (search) filter.$text = { $search: search };
+
+    let sort;
+    if (!query.sort) sort = search ? { score: { $meta: 'textScore' } } : LIVESTOCK_SORTS.newest;
+    else if (query.sort === 'relevance') {
+        if (!search) return { error: 'sort=relevance requires q' };
+        sort = { score: { $meta: 'textScore' } };
+    } else sort = LIVESTOCK_SORTS[query.sort];
+
+    return { filter, sort, search };
+}
+
+// Supports ?q, type, breed, status, tags, mode (fixed | auction), minPrice/maxPrice, minWeight/maxWeight (kg),
+// minAge/maxAge (months), sort, page, limit. Without page/limit the old bare array is returned.
+app.get('/api/livestock', validate({ query: livestockListQuery }), async (req, res, next) => {
+    try {
+        const { filter, sort, search, error } = buildLivestockQuery(req.query);
+        if (error) return next(httpError(400, error, { code: 'VALIDATION_FAILED' }));
+
+        const projection = search ? { image: 0, score: { $meta: 'textScore' } } : { image: 0 };
+        const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+        if (!paginate) {
+            const livestock = await Livestock.find(filter, projection).sort(sort);
+            return res.json(livestock);
+        }
+
+        const page = req.query.page || 1;
+        const limit = Math.min(req.query.limit || LIVESTOCK_PAGE_SIZE, LIVESTOCK_MAX_PAGE_SIZE);
+        const [items, total] = await Promise.all([
+            Livestock.find(filter, projection).sort(sort).skip((page - 1) * limit).limit(limit),
+            Livestock.countDocuments(filter)
+        ]);
+        res.json({ items, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (err) { next(err); }
+});
+
+const mediaVariantQuery = { variant: v.oneOf(['original', 'thumb', 'medium', 'poster']).optional() };
+
+app.get('/api/livestock/image/:id', validate({ params: { id: v.objectId() }, query: mediaVariantQuery }), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findById(req.params.id, 'image media coverMediaId');
+        if (!livestock) return next(httpError(404, 'Image not found'));
+        // Cover can change, so this URL is only cached briefly; gallery URLs below are immutable
+        const cover = livestock.getCover();
+        const media = cover ? mediaVariant(cover, req.query.variant || 'medium') : livestock.image;
+        if (!(await sendStoredMedia(req, res, media, { cacheControl: COVER_CACHE }))) return next(httpError(404, 'Image not found'));
+    } catch (err) { next(err); }
+});
+
+// --- MEDIA GALLERY ---
+function galleryEntry(livestockId, item, coverId) {
+    const base = `/api/livestock/${livestockId}/media/${item._id}`;
+    const urls = { original: base };
+    if (item.kind === 'image') for (const name of Object.keys(item.variants || {})) if (item.variants[name]) urls[name] = `${base}?variant=${name}`;
+    if (item.poster) urls.poster = `${base}?variant=poster`;
+    return { _id: item._id, kind: item.kind, contentType: item.contentType, width: item.width, height: item.height, isCover: !!coverId && item._id.equals(coverId), urls };
+}
+
+app.get('/api/livestock/:id/media', idParam('id'), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findById(req.params.id, 'media coverMediaId');
+        if (!livestock) return next(httpError(404, 'Livestock not found'));
+        const cover = livestock.getCover();
+        res.json({ media: livestock.media.map(item => galleryEntry(livestock._id, item, cover && cover._id)) });
+    } catch (err) { next(err); }
+});
+
+app.get('/api/livestock/:id/media/:mediaId', validate({ params: { id: v.objectId(), mediaId: v.objectId() }, query: mediaVariantQuery }), async (req, res, next) => {
+    try {
+        const { id, mediaId } = req.params;
+        const livestock = await Livestock.findOne({ _id: id, 'media._id': mediaId }, { 'media.$': 1 });
+        const item = livestock && livestock.media[0];
+        const file = item && mediaVariant(item, req.query.variant);
+        if (!(await sendStoredMedia(req, res, file, { cacheControl: IMMUTABLE_CACHE }))) return next(httpError(404, 'Media not found'));
+    } catch (err) { next(err); }
+});
+
+// --- AUCTIONS ---
+app.get('/api/livestock/:id/bids', idParam('id'), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findOne({ _id: req.params.id, status: { $ne: 'Hidden' }, ...Livestock.LIVE_FILTER }, 'price auction');
+        if (!livestock || !livestock.auction || !livestock.auction.enabled) return next(httpError(404, 'Auction not found'));
+        res.json({ auction: auctionSummary(livestock), bids: await bidHistory(livestock) });
+    } catch (err) { next(err); }
+});
+
+// Body: { amount } in whole rupees, at least the auction's minimumBid. A bid in the last extendMinutes
+// moves the end back by that much, so nobody can win by bidding in the final seconds. Bidders need a
+// saved address: the winning bid becomes an order delivered there.
+app.post('/api/livestock/:id/bids', authMiddleware, requireRole('customer', 'seller'), limits.bids, validate({
+    params: { id: v.objectId() }, body: { amount: v.number({ min: 1, integer: true }) }
+}), async (req, res, next) => {
+    try {
+        const { amount } = req.body;
+        const livestock = await Livestock.findOne({ _id: req.params.id, status: 'Available', ...Livestock.LIVE_FILTER }, 'name price sellerId auction');
+        if (!livestock || !livestock.auction || !livestock.auction.enabled) return next(httpError(404, 'Auction not found'));
+        const { auction } = livestock;
+        const phase = Livestock.auctionPhase(livestock);
+        if (phase !== 'live') {
+            return next(httpError(409, phase === 'scheduled' ? 'This auction has not started yet' : 'This auction has ended', { code: 'AUCTION_NOT_LIVE', details: { phase } }));
+        }
+        if (livestock.sellerId && livestock.sellerId.toString() === req.user.id) return next(httpError(403, "You can't bid on your own listing"));
+        if (auction.currentBidderId && auction.currentBidderId.toString() === req.user.id) return next(httpError(409, 'You already have the highest bid'));
+        const minimum = Livestock.minimumBid(livestock);
+        if (amount < minimum) return next(httpError(400, `Bids must be at least ₹${minimum}`, { code: 'BID_TOO_LOW', details: { minimumBid: minimum } }));
+        const bidder = await User.findById(req.user.id, 'name addresses._id').lean();
+        if (!bidder || !bidder.addresses || bidder.addresses.length === 0) {
+            return next(httpError(400, 'Add a delivery address before bidding', { code: 'ADDRESS_REQUIRED' }));
+        }
+
+        const now = new Date();
+        const extendMs = auction.extendMinutes * MS_PER_MINUTE;
+        const extendedTo = extendMs > 0 && auction.endsAt - now < extendMs ? new Date(now.getTime() + extendMs) : undefined;
+        const reserveMet = auction.reservePrice ? amount >= auction.reservePrice : true;
+        // Only lands if nobody else bid (or the auction closed) since the listing was read
+        const placed = await Livestock.updateOne(
+            { _id: livestock._id, status: 'Available', 'auction.closedAt': null, 'auction.endsAt': auction.endsAt, 'auction.currentBid': auction.currentBid || null },
+            { $set: { 'auction.currentBid': amount, 'auction.currentBidderId': req.user.id, 'auction.reserveMet': reserveMet, ...(extendedTo && { 'auction.endsAt': extendedTo }) }, $inc: { 'auction.bidCount': 1 } }
+        );
+        if (placed.modifiedCount === 0) {
+            return next(httpError(409, 'Another bid came in just before yours. Check the new price and bid again.', { code: 'BID_OUTPACED' }));
+        }
+        const bid = await Bid.create({ livestockId: livestock._id, auctionId: auction.auctionId, userId: req.user.id, amount, extendedTo });
+
+        const previous = auction.currentBidderId;
+        livestock.set({ 'auction.currentBid': amount, 'auction.currentBidderId': req.user.id, 'auction.reserveMet': reserveMet, 'auction.bidCount': (auction.bidCount || 0) + 1 });
+        if (extendedTo) livestock.set('auction.endsAt', extendedTo);
+        if (previous) {
+            await notifyUser(previous, {
+                id: `outbid_${livestock._id}_${bid._id}`,
+                title: 'You Have Been Outbid',
+                message: `Someone bid ₹${amount} on "${livestock.name}". Bid ₹${Livestock.minimumBid(livestock)} or more to get back in front.`,
+                icon: 'trending-up',
+                color: 'yellow'
+            });
+        }
+        res.status(201).json({ bid: { _id: bid._id, amount, at: bid.createdAt, extendedTo }, auction: auctionSummary(livestock) });
+    } catch (err) { next(err); }
+});
+
+// Body: { startsAt?, endsAt, minIncrement, reservePrice?, extendMinutes? }. The listing's price is the
+// opening bid. Starts an auction, or a new one once the last has closed; the terms are fixed from the
+// first bid. startsAt defaults to now and extendMinutes to the 'auctions' setting.
+const auctionBody = {
+    startsAt: v.date().optional(),
+    endsAt: v.date(),
+    minIncrement: v.number({ min: 1, integer: true }),
+    reservePrice: v.number({ min: 0 }).optional(),
+    extendMinutes: v.number({ min: 0, max: 60, integer: true }).optional()
+};
+
+app.put(catalogPaths('/:id/auction'), catalogAccess, validate({ params: { id: v.objectId() }, body: auctionBody }), async (req, res, next) => {
+    try {
+        const { endsAt, minIncrement, reservePrice = 0 } = req.body;
+        const now = new Date();
+        const startsAt = req.body.startsAt || now;
+        const settings = await getSettings('auctions');
+        const extendMinutes = req.body.extendMinutes !== undefined ? req.body.extendMinutes : settings.extendMinutes;
+
+        const livestock = await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, '-image +auction.reservePrice');
+        if (!livestock) return next(httpError(404, 'Livestock not found'));
+        const errors = {};
+        if (endsAt <= now) errors.endsAt = 'endsAt must be in the future';
+        else if (endsAt <= startsAt) errors.endsAt = 'endsAt must be after startsAt';
+        else if (endsAt - startsAt > settings.maxDays * 24 * MS_PER_HOUR) errors.endsAt = `an auction can run for at most ${settings.maxDays} days`;
+        if (reservePrice && reservePrice < livestock.price) errors.reservePrice = `reservePrice must be at least the opening price (₹${livestock.price})`;
+        if (Object.keys(errors).length > 0) return next(fieldErrors(errors));
+        if (livestock.status !== 'Available') return next(httpError(409, `${livestock.name} is ${livestock.status} and can't be auctioned`));
+        if (hasOpenBids(livestock)) return next(httpError(409, "The auction already has bids, so its terms can't change", { code: 'AUCTION_HAS_BIDS' }));
+
+        livestock.auction = { enabled: true, auctionId: new mongoose.Types.ObjectId(), startsAt, endsAt, reservePrice, minIncrement, extendMinutes, bidCount: 0, reserveMet: !reservePrice };
+        // Fails with a 409 if a bid landed since the listing was read
+        livestock.$where = { $nor: [OPEN_BIDS_FILTER] };
+        await livestock.save({ validateModifiedOnly: true });
+        await flagCartItems([livestock._id], true);
+        res.json(livestock);
+    } catch (err) { next(err); }
+});
+
+// Back to selling at the fixed price. Not once bids are in: hide the listing to withdraw it instead.
+app.delete(catalogPaths('/:id/auction'), catalogAccess, idParam('id'), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findOneAndUpdate(
+            { _id: req.params.id, ...req.catalog.scope, 'auction.enabled': true, $nor: [OPEN_BIDS_FILTER] },
+            { $unset: { auction: '' } },
+            { new: true, projection: '-image' }
+        );
+        if (!livestock) {
+            const existing = await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, 'auction').lean();
+            if (!existing) return next(httpError(404, 'Livestock not found'));
+            if (hasOpenBids(existing)) return next(httpError(409, 'The auction has bids. Hide the listing to withdraw it instead.', { code: 'AUCTION_HAS_BIDS' }));
+            return next(httpError(409, 'This listing is not being auctioned'));
+        }
+        await flagCartItems([livestock._id], !Livestock.isBuyable(livestock));
+        res.json(livestock);
+    } catch (err) { next(err); }
+});
+
+// Bid history with bidders' names, for the listing's admins and seller
+app.get(catalogPaths('/:id/bids'), catalogAccess, idParam('id'), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, 'price auction');
+        if (!livestock || !livestock.auction || !livestock.auction.enabled) return next(httpError(404, 'Auction not found'));
+        res.json({
+            auction: { ...auctionSummary(livestock), reservePrice: livestock.auction.reservePrice || 0, orderId: livestock.auction.orderId || null },
+            bids: await bidHistory(livestock, { named: true })
+        });
+    } catch (err) { next(err); }
+});
+
+// --- SELLER ROUTES ---
+const payoutAccountBody = v.object({
+    method: v.oneOf(User.PAYOUT_METHODS),
+    upiId: v.string({ max: 100, pattern: /^[\w.-]{2,}@[A-Za-z]{2,}$/, message: 'must be a UPI id like name@bank' }).optional(),
+    accountName: v.string({ min: 2, max: 100 }).optional(),
+    accountNumber: v.string({ pattern: /^[0-9]{9,18}$/, message: 'must be 9 to 18 digits' }).optional(),
+    ifsc: v.string({ pattern: /^[A-Za-z]{4}0[A-Za-z0-9]{6}$/, message: 'must be an 11-character IFSC code' }).optional()
+});
+
+const sellerProfileBody = {
+    farmName: v.string({ min: 2, max: 100 }),
+    phone: phoneField(),
+    location: v.string({ min: 2, max: 200 }),
+    pincode: v.string({ pattern: /^[0-9]{6}$/, message: 'must be 6 digits' }),
+    gstin: v.string({ pattern: /^[0-9]{2}[A-Za-z0-9]{13}$/, message: 'must be a 15-character GSTIN' }).optional(),
+    about: v.string({ max: 1000 }).optional(),
+    payout: payoutAccountBody
+};
+
+// Keeps only the details the payout method needs. Returns { payout } or { errors } for fieldErrors().
+function parsePayoutAccount(input) {
+    const fields = input.method === 'upi' ? ['upiId'] : ['accountName', 'accountNumber', 'ifsc'];
+    const missing = fields.filter(field => !input[field]);
+    if (missing.length > 0) {
+        return { errors: Object.fromEntries(missing.map(field => [`payout.${field}`, `payout.${field} is required for ${input.method === 'upi' ? 'UPI' : 'bank'} payouts`])) };
+    }
+    return { payout: { method: input.method, ...Object.fromEntries(fields.map(field => [field, input[field]])) } };
+}
+
+// A customer asks to sell. Body: farmName, phone, location, pincode, gstin?, about?, payout
+// ({ method: 'upi', upiId } or { method: 'bank_transfer', accountName, accountNumber, ifsc }).
+// Rejected applicants may apply again.
+app.post('/api/seller/apply', authMiddleware, validate({ body: sellerProfileBody }), async (req, res, next) => {
+    try {
+        const { payout, errors } = parsePayoutAccount(req.body.payout);
+        if (errors) return next(fieldErrors(errors));
+
+        const seller = { ...req.body, payout, status: 'pending', appliedAt: new Date(), note: '' };
+        const user = await User.findOneAndUpdate(
+            { _id: req.user.id, role: 'customer', $or: [{ seller: null }, { 'seller.status': 'rejected' }] },
+            { $set: { seller } },
+            { new: true, runValidators: true, projection: 'name seller' }
+        );
+        if (!user) {
+            const current = await User.findById(req.user.id, 'role seller.status').lean();
+            if (!current) return next(httpError(404, 'User not found'));
+            if (current.role !== 'customer' && current.role !== 'seller') return next(httpError(409, 'Admin and staff accounts cannot sell'));
+            return next(httpError(409, `Your seller application is already ${current.seller.status}`, { code: 'ALREADY_APPLIED', details: { status: current.seller.status } }));
+        }
+
+        await AdminNotification.create({ message: `${user.name} applied to sell as ${seller.farmName} (${seller.location}).`, type: 'info' });
+        res.status(201).json({ seller: user.seller });
+    } catch (err) { next(err); }
+});
+
+// The signed-in user's application or seller profile (null if they never applied)
+app.get('/api/seller/profile', authMiddleware, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id, 'seller').lean();
+        if (!user) return next(httpError(404, 'User not found'));
+        const { commissionPercent } = await getSettings('marketplace');
+        res.json({ seller: user.seller || null, commissionPercent });
+    } catch (err) { next(err); }
+});
+
+// Same fields as the application, all optional. A new payout account replaces the old one entirely.
+app.put('/api/seller/profile', sellerMiddleware, validate({
+    body: Object.fromEntries(Object.entries(sellerProfileBody).map(([key, rule]) => [key, rule.optional()]))
+}), async (req, res, next) => {
+    try {
+        const { payout: payoutInput, ...fields } = req.body;
+        const $set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`seller.${key}`, value]));
+        if (payoutInput) {
+            const { payout, errors } = parsePayoutAccount(payoutInput);
+            if (errors) return next(fieldErrors(errors));
+            $set['seller.payout'] = payout;
+        }
+        if (Object.keys($set).length === 0) return next(httpError(400, 'Nothing to update', { code: 'VALIDATION_FAILED' }));
+        const user = await User.findByIdAndUpdate(req.user.id, { $set }, { new: true, runValidators: true, projection: 'seller' });
+        res.json({ seller: user.seller });
+    } catch (err) { next(err); }
+});
+
+// The seller's own listings, including ones waiting for (or turned down in) moderation
+app.get(SELLER_CATALOG, sellerMiddleware, async (req, res, next) => {
+    try {
+        const livestock = await Livestock.find({ sellerId: req.user.id }, '-image +auction.reservePrice').sort({ createdAt: -1 });
+        res.json({ livestock });
+    } catch (err) { next(err); }
+});
+
+// Orders with the seller's animals in them, showing only their items. Buyers' contact details stay with
+// the marketplace, which handles delivery. ?status=Shipped,Delivered filters.
+const SELLER_ORDER_FIELDS = 'status date createdAt customer items cancelledItems delivery.method delivery.scheduledDate delivery.slot delivery.deliveredAt address.city address.state';
+
+app.get('/api/seller/orders', sellerMiddleware, validate({
+    query: { status: v.list(v.oneOf(Order.ORDER_STATUSES), { max: Order.ORDER_STATUSES.length }).optional() }
+}), async (req, res, next) => {
+    try {
+        const filter = { $or: [{ 'items.sellerId': req.user.id }, { 'cancelledItems.sellerId': req.user.id }] };
+        if (req.query.status) filter.status = { $in: req.query.status };
+        const orders = await Order.find(filter, SELLER_ORDER_FIELDS).sort({ createdAt: -1 }).limit(500).lean();
+        const mine = (item) => Boolean(item.sellerId) && item.sellerId.toString() === req.user.id;
+        res.json({
+            orders: orders.map(order => {
+                const items = order.items.filter(mine);
+                return { ...order, items, cancelledItems: (order.cancelledItems || []).filter(mine), subtotal: items.reduce((sum, item) => sum + (item.price || 0), 0) };
+            })
+        });
+    } catch (err) { next(err); }
+});
+
+// Per-status totals ({ pending: { count, gross, commission, net }, paid: ... }) plus the payouts themselves
+app.get('/api/seller/payouts', sellerMiddleware, validate({ query: { status: v.oneOf(Payout.PAYOUT_STATUSES).optional() } }), async (req, res, next) => {
+    try {
+        const sellerId = new mongoose.Types.ObjectId(req.user.id);
+        const filter = req.query.status ? { sellerId, status: req.query.status } : { sellerId };
+        const [payouts, totals] = await Promise.all([
+            Payout.find(filter).sort({ createdAt: -1 }).limit(500),
+            Payout.aggregate([
+                { $match: { sellerId } },
+                { $group: { _id: '$status', count: { $sum: 1 }, gross: { $sum: '$gross' }, commission: { $sum: '$commission' }, net: { $sum: '$net' } } }
+            ])
+        ]);
+        res.json({ payouts, totals: Object.fromEntries(totals.map(({ _id, ...sums }) => [_id, sums])) });
+    } catch (err) { next(err); }
+});
+
+// --- ADMIN ROUTES ---
+app.post('/api/admin/login', limits.login, validate({ body: loginBody }), async (req, res, next) => {
+    try {
+        const user = await authenticate(res, req.body.email, req.body.password);
+        if (!ADMIN_ROLES.includes(user.role)) return next(httpError(403, 'Admin access required'));
+        const session = await startSession(req, res, user);
+        res.json({ user: { id: user._id, name: user.name, email: user.email, role: user.role }, csrfToken: csrfTokenFor(session._id) });
+    } catch (err) { next(err); }
+});
+
+app.get('/api/admin/me', adminMiddleware, (req, res) => res.json({ user: req.user, csrfToken: csrfTokenFor(req.user.sessionId) }));
+
+app.get('/api/admin/livestock', adminMiddleware, async (req, res, next) => {
+    try { const livestock = await Livestock.find({}, '-image +auction.reservePrice').sort({ createdAt: -1 }); res.json({ livestock }); } catch (err) { next(err); }
+});
+
+// Multipart text fields; lib/livestockInput.js turns them into typed Livestock values
+const healthRecordBody = {
+    kind: v.string({ max: 30, lowercase: true }),
+    name: v.string({ min: 1, max: 100 }),
+    date: v.string({ max: 30 }),
+    nextDueDate: v.string({ max: 30 }).optional(),
+    notes: v.string({ max: 500 }).optional()
+};
+const livestockBody = {
+    ...Object.fromEntries(['name', 'type', 'breed', 'price', 'weightKg', 'weight', 'dateOfBirth', 'age', 'sex', 'tagNumber', 'status']
+        .map(key => [key, v.string({ max: 100 }).optional()])),
+    tags: v.list(v.string({ min: 1, max: 50 }), { max: 30 }).optional(),
+    healthRecords: v.array(v.object(healthRecordBody), { max: 100 }).optional()
+};
+
+// Body (multipart): name, type, breed, price, weightKg (or weight), dateOfBirth (or age), sex, tagNumber,
+// tags, status, healthRecords (JSON array) and an optional `image`. See lib/livestockInput.js.
+// A seller's listing is theirs and waits for moderation.
+app.post(catalogPaths(), catalogAccess, handleUpload(upload.single('image')), imagesOnly, validate({ body: livestockBody }), async (req, res, next) => {
+    try {
+        const { values, errors } = parseLivestockInput(req.body);
+        checkSellerStatus(req, values, errors);
+        if (Object.keys(errors).length > 0) return next(fieldErrors(errors));
+
+        const newItem = new Livestock(values);
+        if (req.catalog.sellerId) {
+            newItem.sellerId = req.catalog.sellerId;
+            queueForReview(newItem);
+        }
+        const invalid = newItem.validateSync();
+        if (invalid) return next(invalid);
+
+        // The uploaded photo becomes the first gallery entry (and so the cover)
+        if (req.file) newItem.media.push(await storeMedia(req.file, 'livestock'));
+        try { await newItem.save(); }
+        catch (err) { await Promise.all(newItem.media.map(deleteMediaFiles)); throw err; }
+        if (req.catalog.sellerId) await announceForReview(newItem, req);
+        res.status(201).json(newItem);
+    } catch (err) { next(err); }
+});
+
+// multipart: `file` (.csv or .xlsx, one animal per row) and optional `images` (.zip with the files named
+// in the Images column). ?dryRun=true only validates. Any invalid row blocks the import unless ?skipInvalid=true.
+const importFlags = { dryRun: v.boolean().default(false), skipInvalid: v.boolean().default(false) };
+
+app.post('/api/admin/livestock/import', adminMiddleware, requireRole('admin'),
+    handleUpload(importUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }])),
+    validate({ query: importFlags, body: importFlags }),
+    async (req, res, next) => {
+        try {
+            const sheet = req.files && req.files.file && req.files.file[0];
+            if (!sheet) return next(httpError(400, 'Attach the spreadsheet as `file`'));
+            const archive = req.files.images && req.files.images[0];
+            const flag = (name) => req.query[name] || req.body[name];
+
+            const report = await importInventory({ sheet, archive, dryRun: flag('dryRun'), skipInvalid: flag('skipInvalid') });
+            if (report.imported && report.created + report.updated > 0) {
+                await AdminNotification.create({ message: `Inventory import by ${req.user.name}: ${report.created} added, ${report.updated} updated.`, type: 'info' });
+            }
+            // 422 when invalid rows stopped the import, so clients can tell it apart from a dry run
+            res.status(!report.dryRun && !report.imported ? 422 : 200).json(report);
+        } catch (err) { next(err); }
+    }
+);
+
+// ?format=csv|xlsx (default csv), optional ?status= and ?type= filters. The file doubles as an import template.
+app.get('/api/admin/livestock/export', adminMiddleware, validate({
+    query: { format: v.oneOf(['csv', 'xlsx']).default('csv'), status: v.oneOf(Livestock.LIVESTOCK_STATUSES).optional(), type: v.string({ max: 50 }).optional() }
+}), async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.type) filter.type = req.query.type;
+        const docs = await Livestock.find(filter, '-image').sort({ createdAt: -1 });
+        const file = await exportInventory(docs, req.query.format);
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="livestock-inventory-${new Date().toISOString().slice(0, 10)}.${file.extension}"`
+        });
+        res.send(file.buffer);
+    } catch (err) { next(err); }
+});
+
+// Same fields as create, all optional. Only the fields sent are validated, so listings that predate
+// dateOfBirth/weightKg can still be edited before scripts/migrate-livestock-attributes.js has run.
+// A seller's edit (other than hiding or relisting) sends the listing back for moderation.
+app.put(catalogPaths('/:id'), catalogAccess, handleUpload(upload.single('image')), imagesOnly, validate({ params: { id: v.objectId() }, body: livestockBody }), async (req, res, next) => {
+    try {
+        // Gallery is managed through the /media routes only; unknown fields are dropped by the schema
+        const { values, errors } = parseLivestockInput(req.body);
+        checkSellerStatus(req, values, errors);
+        if (Object.keys(errors).length > 0) return next(fieldErrors(errors));
+
+        const livestock = await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, '-image');
+        if (!livestock) return next(httpError(404, 'Livestock not found'));
+        if (req.catalog.sellerId && !Livestock.SELLER_STATUSES.includes(livestock.status)) {
+            return next(httpError(409, `${livestock.name} is ${livestock.status} and can't be edited`));
+        }
+        // The price is the opening bid, which bidders have already gone past
+        if (hasOpenBids(livestock) && values.price !== undefined && values.price !== livestock.price) {
+            return next(httpError(409, "The price can't change while the auction has bids", { code: 'AUCTION_HAS_BIDS' }));
+        }
+        livestock.set(values);
+        const needsReview = req.catalog.sellerId && (req.file || Object.keys(values).some(key => key !== 'status'));
+        if (needsReview) queueForReview(livestock);
+        const invalid = livestock.validateSync(undefined, { validateModifiedOnly: true });
+        if (invalid) return next(invalid);
+
+        let added;
+        if (req.file) {
+            // A new photo here goes to the front of the gallery and becomes the cover
+            added = { _id: new mongoose.Types.ObjectId(), ...(await storeMedia(req.file, 'livestock')) };
+            livestock.media.unshift(added);
+            livestock.coverMediaId = added._id;
+        }
+        try { await livestock.save({ validateModifiedOnly: true }); }
+        catch (err) { if (added) await deleteMediaFiles(added); throw err; }
+        if (needsReview) await announceForReview(livestock, req);
+        res.json(livestock);
+    } catch (err) { next(err); }
+});
+
+// --- HEALTH RECORDS ---
+// Body: { kind: 'vaccination' | 'deworming', name, date, nextDueDate?, notes? }
+app.post(catalogPaths('/:id/health'), catalogAccess, validate({ params: { id: v.objectId() }, body: healthRecordBody }), async (req, res, next) => {
+    try {
+        const { record, error } = parseHealthRecord(req.body);
+        if (error) return next(httpError(400, error, { code: 'VALIDATION_FAILED' }));
+
+        const livestock = await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, '-image');
+        if (!livestock) return next(httpError(404, 'Livestock not found'));
+        livestock.healthRecords.push({ ...record, recordedBy: { id: req.user.id, name: req.user.name } });
+        const invalid = livestock.validateSync(undefined, { validateModifiedOnly: true });
+        if (invalid) return next(invalid);
+        await livestock.save({ validateModifiedOnly: true });
+        res.status(201).json({ healthRecords: livestock.healthRecords });
+    } catch (err) { next(err); }
+});
+
+app.delete(catalogPaths('/:id/health/:recordId'), catalogAccess, idParam('id', 'recordId'), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.findOneAndUpdate(
+            { _id: req.params.id, 'healthRecords._id': req.params.recordId, ...req.catalog.scope },
+            { $pull: { healthRecords: { _id: req.params.recordId } } },
+            { new: true, projection: 'healthRecords' }
+        );
+        if (!livestock) return next(httpError(404, 'Health record not found'));
+        res.json({ healthRecords: livestock.healthRecords });
+    } catch (err) { next(err); }
+});
+
+// Sellers can't delete an animal that is in an order, and nobody can delete one with bids on it
+app.delete(catalogPaths('/:id'), catalogAccess, idParam('id'), async (req, res, next) => {
+    try {
+        const filter = { _id: req.params.id, ...req.catalog.scope, $nor: [OPEN_BIDS_FILTER] };
+        if (req.catalog.sellerId) filter.status = { $in: Livestock.SELLER_STATUSES };
+        const livestock = await Livestock.findOneAndDelete(filter);
+        const kept = !livestock && await Livestock.findOne({ _id: req.params.id, ...req.catalog.scope }, 'status auction').lean();
+        if (kept && hasOpenBids(kept)) {
+            return next(httpError(409, "This animal has bids in a running auction and can't be deleted. Hide it to withdraw it instead.", { code: 'AUCTION_HAS_BIDS' }));
+        }
+        if (kept && req.catalog.sellerId) return next(httpError(409, "This animal is in an order and can't be deleted"));
+        if (livestock) {
+            await deleteStoredMedia(livestock.image);
+            await Promise.all(livestock.media.map(deleteMediaFiles));
+        }
+        res.status(204).send();
+    } catch (err) { next(err); }
+});
+
+// --- ADMIN MEDIA GALLERY ---
+// Throws a 404 when the listing is gone (or isn't the seller's)
+async function findLivestockForMedia(id, scope = {}) {
+    const livestock = await Livestock.findOne({ _id: id, ...scope }, 'name media coverMediaId moderation');
+    if (!livestock) throw httpError(404, 'Livestock not found');
+    return livestock;
+}
+
+function findMediaItem(livestock, mediaId) {
+    const item = livestock.media.id(mediaId);
+    if (!item) throw httpError(404, 'Media not found');
+    return item;
+}
+
+function galleryResponse(livestock) {
+    const cover = livestock.getCover();
+    return { media: livestock.media.map(item => galleryEntry(livestock._id, item, cover && cover._id)) };
+}
+
+// New photos from a seller go past moderation again
+app.post(catalogPaths('/:id/media'), catalogAccess, handleUpload(mediaUpload.array('files', 10)), imagesOrVideos, idParam('id'), async (req, res, next) => {
+    const stored = [];
+    try {
+        const livestock = await findLivestockForMedia(req.params.id, req.catalog.scope);
+        if (!req.files || req.files.length === 0) return next(httpError(400, 'No files uploaded'));
+
+        for (const file of req.files) stored.push(await storeMedia(file, 'livestock'));
+        livestock.media.push(...stored);
+        if (req.catalog.sellerId) queueForReview(livestock);
+        await livestock.save();
+        if (req.catalog.sellerId) await announceForReview(livestock, req);
+        res.status(201).json(galleryResponse(livestock));
+    } catch (err) {
+        await Promise.all(stored.map(deleteMediaFiles));
+        next(err);
+    }
+});
+
+// Body: { order: [mediaId, ...] } listing every gallery item in the new display order
+app.put(catalogPaths('/:id/media/order'), catalogAccess, validate({
+    params: { id: v.objectId() }, body: { order: v.array(v.objectId(), { max: 200 }) }
+}), async (req, res, next) => {
+    try {
+        const livestock = await findLivestockForMedia(req.params.id, req.catalog.scope);
+        const { order } = req.body;
+        const current = livestock.media.map(item => item._id.toString());
+        if (order.length !== current.length || new Set(order).size !== order.length || !order.every(id => current.includes(id))) {
+            return next(httpError(400, 'order must list every media id exactly once'));
+        }
+        livestock.media = order.map(id => livestock.media.id(id));
+        await livestock.save();
+        res.json(galleryResponse(livestock));
+    } catch (err) { next(err); }
+});
+
+app.put(catalogPaths('/:id/media/:mediaId/cover'), catalogAccess, idParam('id', 'mediaId'), async (req, res, next) => {
+    try {
+        const livestock = await findLivestockForMedia(req.params.id, req.catalog.scope);
+        const item = findMediaItem(livestock, req.params.mediaId);
+        if (item.kind !== 'image') return next(httpError(400, 'Only images can be the cover'));
+        livestock.coverMediaId = item._id;
+        await livestock.save();
+        res.json(galleryResponse(livestock));
+    } catch (err) { next(err); }
+});
+
+// Custom poster frame for a video, for when the automatic one is missing or unflattering
+app.put(catalogPaths('/:id/media/:mediaId/poster'), catalogAccess, handleUpload(upload.single('poster')), imagesOnly, idParam('id', 'mediaId'), async (req, res, next) => {
+    try {
+        const livestock = await findLivestockForMedia(req.params.id, req.catalog.scope);
+        const item = findMediaItem(livestock, req.params.mediaId);
+        if (item.kind !== 'video') return next(httpError(400, 'Only videos have a poster'));
+        if (!req.file) return next(httpError(400, 'No file uploaded'));
+
+        const previous = item.poster;
+        item.poster = await storePoster(req.file, 'livestock');
+        await livestock.save();
+        if (previous) await deleteStoredMedia(previous);
+        res.json(galleryResponse(livestock));
+    } catch (err) { next(err); }
+});
+
+app.delete(catalogPaths('/:id/media/:mediaId'), catalogAccess, idParam('id', 'mediaId'), async (req, res, next) => {
+    try {
+        const livestock = await findLivestockForMedia(req.params.id, req.catalog.scope);
+        const item = findMediaItem(livestock, req.params.mediaId);
+        livestock.media.pull(item._id);
+        if (livestock.coverMediaId && livestock.coverMediaId.equals(item._id)) livestock.coverMediaId = undefined;
+        await livestock.save();
+        await deleteMediaFiles(item);
+        res.json(galleryResponse(livestock));
+    } catch (err) { next(err); }
+});
 
-// 2. AdminNotification: To notify admin dashboard
-const adminNotifSchema = new mongoose.Schema({
-    message: String,
-    type: { type: String, enum: ['info', 'warning', 'success', 'error'], default: 'info' },
-    orderId: mongoose.Schema.Types.ObjectId,
-    read: { type: Boolean, default: false },
-    createdAt: { type: Date, default: Date.now }
+app.get('/api/admin/orders', adminMiddleware, async (req, res, next) => {
+    try {
+        // Expire lapsed reservations first so admins see up-to-date states (skipped if it is already running)
+        await runJob('expire-reservations');
+        // Exclude image data for performance
+        const orders = await Order.find({}, '-paymentProof.data').sort({ createdAt: -1 });
+        res.json({ orders });
+    } catch (err) { next(err); }
 });
-const AdminNotification = mongoose.models.AdminNotification || mongoose.model('AdminNotification', adminNotifSchema);
-// -----------------------
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-key-123';
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/livestockmart';
+app.get('/api/admin/orders/proof/:id', adminMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id, 'paymentProof');
+        if (!(await sendStoredMedia(req, res, order && order.paymentProof))) return next(httpError(404, 'No proof found'));
+    } catch (err) { next(err); }
+});
 
-// --- SERVERLESS MONGODB CONNECTION ---
-let cached = global.mongoose;
-if (!cached) { cached = global.mongoose = { conn: null, promise: null }; }
+// ✅ Reject Payment & Restock Items
+app.put('/api/admin/orders/:id/reject', adminMiddleware, validate({
+    params: { id: v.objectId() }, body: { reason: v.string({ max: 500 }).default('Invalid payment proof.') }
+}), async (req, res, next) => {
+    try {
+        const reason = req.body.reason || 'Invalid payment proof.';
+        
+        // 1. Update Order Status
+        const order = await Order.findById(req.params.id);
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!Order.canTransition(order.status, 'Payment Rejected')) {
+            return next(httpError(409, `Cannot reject an order that is ${order.status}`));
+        }
+        order.transitionTo('Payment Rejected', { actor: actorFromRequest(req), note: reason });
+        order.rejectionReason = reason;
+        await order.save();
 
-async function connectDB() {
-    if (cached.conn) return cached.conn;
-    if (!cached.promise) {
-        const opts = { bufferCommands: false, serverSelectionTimeoutMS: 5000, socketTimeoutMS: 45000 };
-        cached.promise = mongoose.connect(MONGODB_URI, opts).then((mongoose) => {
-            console.log('✅ New MongoDB Connection Established');
-            return mongoose;
+        // 2. 🟢 RESTOCK LOGIC: Set status back to 'Available' for all items in order
+        const itemIds = order.items.map(item => item._id);
+        await releaseLivestock(itemIds);
+
+        // 3. Notify User
+        await notifyUser(order.userId, {
+            id: 'rej_' + Date.now(), 
+            title: 'Order Cancelled', 
+            message: `Order #${order._id.toString().slice(-6)} rejected: ${reason}. Items have been restocked.`,
+            icon: 'x-circle', 
+            color: 'red'
         });
-    }
-    try { cached.conn = await cached.promise; } catch (e) { cached.promise = null; throw e; }
-    return cached.conn;
-}
 
-app.use(async (req, res, next) => {
-    try { await connectDB(); next(); } 
-    catch (error) { console.error("❌ DB Error:", error); res.status(500).json({ error: "Database connection failed" }); }
+        res.json({ success: true, message: 'Order rejected and items returned to stock' });
+    } catch (err) { next(err); }
 });
-// -------------------------------------
 
-const upload = multer({ 
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 } 
-});
+app.put('/api/admin/orders/:id', adminMiddleware, validate({
+    params: { id: v.objectId() },
+    body: { status: v.oneOf(Order.ORDER_STATUSES), note: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
+    try {
+        const { status, note } = req.body;
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (status === 'Payment Rejected') return next(httpError(400, 'Use the reject endpoint to reject a payment'));
+        if (status === 'Delivered') {
+            return next(httpError(400, "Confirm delivery with the customer's handover code and a photo", { code: 'DELIVERY_CONFIRMATION_REQUIRED' }));
+        }
 
-app.use(cors({ origin: true, credentials: true, methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'] }));
-app.use(express.json());
-app.use(cookieParser());
-app.use(express.static('public'));
+        const previousStatus = order.status;
+        try { order.transitionTo(status, { actor: actorFromRequest(req), note }); }
+        catch (err) {
+            return next(httpError(err.status || 400, err.message, { code: 'INVALID_TRANSITION', details: { allowed: Order.ORDER_TRANSITIONS[order.status] || [] } }));
+        }
+        const otp = status === 'Shipped' ? await issueDeliveryOtp(order) : null;
+        await order.save();
 
-app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'UP', uptime: process.uptime(), database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected' });
+        // Cancelling an order that still holds its animals puts them back on the market
+        // (a rejected order already released them, and they may have been resold since)
+        if (status === 'Cancelled' && previousStatus !== 'Payment Rejected') {
+            await releaseLivestock(order.items.map(item => item._id));
+            await ProofHash.findOneAndDelete({ orderId: order._id });
+        }
+        if (status === 'Payment Verified') await issueInvoiceSafe(order);
+        if (status === 'Refunded') await cancelPayouts(order);
+        await notifyOrderStatus(order, note);
+        if (otp) await sendDeliveryOtp(order, otp);
+        res.json(order);
+    } catch (err) { next(err); }
 });
 
-// --- HELPER FUNCTIONS ---
-function createToken(user) {
-    return jwt.sign({ id: user._id, email: user.email, name: user.name }, JWT_SECRET, { expiresIn: '30m' });
-}
+// Orders whose proof resembles another order's, with a summary of each look-alike
+app.get('/api/admin/orders/suspected-duplicates', adminMiddleware, async (req, res, next) => {
+    try {
+        const flagged = await Order.find({ suspectedDuplicate: true }, '-paymentProof.data').sort({ createdAt: -1 });
+        const relatedIds = [...new Set(flagged.flatMap(order => order.proofFlags.map(flag => flag.orderId.toString())))];
+        const related = await Order.find({ _id: { $in: relatedIds } }, 'customer userId status total paymentReference createdAt');
+        const byId = Object.fromEntries(related.map(order => [order._id.toString(), order]));
+        res.json({
+            orders: flagged.map(order => ({
+                ...order.toObject(),
+                proofUrl: `/api/admin/orders/proof/${order._id}`,
+                matches: order.proofFlags.map(flag => ({
+                    orderId: flag.orderId,
+                    distance: flag.distance,
+                    proofUrl: `/api/admin/orders/proof/${flag.orderId}`,
+                    order: byId[flag.orderId.toString()] || null
+                }))
+            }))
+        });
+    } catch (err) { next(err); }
+});
 
-function setAuthCookie(res, token) {
-    res.cookie('token', token, { httpOnly: true, sameSite: 'lax', secure: process.env.NODE_ENV === 'production', maxAge: 30 * 60 * 1000 });
-}
+// Admin looked at the look-alikes and decided the proof is genuine
+app.put('/api/admin/orders/:id/proof-flags/clear', adminMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const order = await Order.findByIdAndUpdate(req.params.id, {
+            suspectedDuplicate: false,
+            proofFlagsClearedBy: actorFromRequest(req),
+            proofFlagsClearedAt: new Date()
+        }, { new: true, projection: '-paymentProof.data' });
+        if (!order) return next(httpError(404, 'Order not found'));
+        res.json(order);
+    } catch (err) { next(err); }
+});
 
-function authMiddleware(req, res, next) {
-    const token = req.cookies && req.cookies.token;
-    if (!token) return res.status(401).json({ message: 'Not authenticated' });
+app.get('/api/admin/orders/:id/timeline', adminMiddleware, idParam('id'), async (req, res, next) => {
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = { id: decoded.id, email: decoded.email, name: decoded.name };
-        next();
-    } catch (err) { return res.status(401).json({ message: 'Invalid or expired token' }); }
+        const order = await Order.findById(req.params.id, TIMELINE_FIELDS);
+        if (!order) return next(httpError(404, 'Order not found'));
+        res.json({ status: order.status, timeline: orderTimeline(order, { includeActor: true }) });
+    } catch (err) { next(err); }
+});
+
+// Body: { items: [livestockId, ...], reason }. Also for verified orders that haven't shipped, as long as
+// no invoice has been issued yet; whatever the customer paid beyond the new total shows up as a refund
+// due (Order.refundStatus).
+app.post('/api/admin/orders/:id/items/cancel', adminMiddleware, validate({ params: { id: v.objectId() }, body: cancelItemsBody }), async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!ADMIN_ITEM_CANCEL_STATUSES.includes(order.status)) {
+            return next(httpError(409, `Items can't be removed from an order that is ${order.status}`));
+        }
+
+        const { reason } = req.body;
+        const { removed, orderCancelled } = await cancelOrderItems(order, req.body.items, { actor: actorFromRequest(req), reason });
+        if (orderCancelled) await notifyOrderStatus(order, reason);
+        else {
+            const { outstanding } = order.refundSummary();
+            let message = `${itemNames(removed)} ${removed.length === 1 ? 'was' : 'were'} removed from Order #${order._id.toString().slice(-6)}`;
+            message += reason ? `: ${reason}.` : '.';
+            message += ` New total ₹${order.total}.`;
+            if (outstanding > 0) message += ` A refund of ₹${outstanding} will be processed.`;
+            await notifyUser(order.userId, { id: `items_${order._id}_${Date.now()}`, title: 'Order Updated', message, icon: 'minus-circle', color: 'blue' });
+        }
+        res.json({ order, cancelled: removed.map(item => item._id), orderCancelled, refund: order.refundSummary() });
+    } catch (err) { next(err); }
+});
+
+const REFUND_METHOD_LABELS = { upi: 'UPI', bank_transfer: 'bank transfer', gateway: 'the original payment method', cash: 'cash' };
+
+const REFUND_MESSAGES = {
+    initiated: { title: 'Refund Initiated', icon: 'rotate-ccw', color: 'blue', text: (refund, ref) => `A refund of ₹${refund.amount} for Order #${ref} is on its way via ${REFUND_METHOD_LABELS[refund.method]}.` },
+    completed: { title: 'Refund Sent', icon: 'check-circle', color: 'green', text: (refund, ref) => `₹${refund.amount} for Order #${ref} has been refunded via ${REFUND_METHOD_LABELS[refund.method]}${refund.reference ? ` (reference ${refund.reference})` : ''}.` },
+    failed: { title: 'Refund Delayed', icon: 'x-circle', color: 'red', text: (refund, ref) => `We couldn't complete the refund of ₹${refund.amount} for Order #${ref}${refund.note ? `: ${refund.note}` : ''}. Our team will try again.` }
+};
+
+async function notifyRefund(order, refund) {
+    const wording = REFUND_MESSAGES[refund.status];
+    await notifyUser(order.userId, {
+        id: `refund_${refund._id}_${refund.status}`,
+        title: wording.title,
+        message: wording.text(refund, order._id.toString().slice(-6)),
+        icon: wording.icon,
+        color: wording.color
+    });
 }
 
-function getFileHash(buffer) {
-    return crypto.createHash('md5').update(buffer).digest('hex');
+// Once everything paid has gone back, a live order becomes Refunded (a cancelled one stays Cancelled)
+function markRefundedIfSettled(order, actor) {
+    const { paid, refunded } = order.refundSummary();
+    if (paid > 0 && refunded >= paid && order.status !== 'Cancelled' && Order.canTransition(order.status, 'Refunded')) {
+        order.transitionTo('Refunded', { actor, note: 'Payment fully refunded' });
+    }
 }
 
-// --- ⏳ AUTO-EXPIRE UNPAID LOCKS ---
-async function expireUnpaidOrders() {
+const toPaise = (amount) => Math.round(amount * 100) / 100;
+
+// Orders with money to send back. ?status=due,pending (default), or any of partial, refunded
+app.get('/api/admin/refunds', adminMiddleware, requireRole('admin'), validate({
+    query: { status: v.list(v.oneOf(Order.ORDER_REFUND_STATUSES.filter(status => status !== 'none')), { max: 4 }).default(() => ['due', 'pending']) }
+}), async (req, res, next) => {
     try {
-        const thirtyMinutesAgo = new Date(Date.now() - 30 * 60 * 1000);
-        
-        // Find Pending orders older than 30 mins
-        const expiredOrders = await Order.find({
-            status: 'Pending',
-            createdAt: { $lt: thirtyMinutesAgo }
-        });
+        const orders = await Order.find({ refundStatus: { $in: req.query.status } }, 'customer userId status total paidAt paidAmount paymentMethod refunds refundStatus cancelledItems createdAt')
+            .sort({ createdAt: -1 })
+            .limit(200);
+        res.json({ orders: orders.map(order => ({ ...order.toObject(), refund: order.refundSummary() })) });
+    } catch (err) { next(err); }
+});
 
-        if (expiredOrders.length > 0) {
-            console.log(`⏳ Found ${expiredOrders.length} expired orders. cleaning up...`);
-            
-            for (const order of expiredOrders) {
-                // 1. Mark Order as Cancelled
-                order.status = 'Cancelled';
-                await order.save();
-
-                // 2. Release Livestock
-                const itemIds = order.items.map(item => item._id);
-                await Livestock.updateMany(
-                    { _id: { $in: itemIds } },
-                    { $set: { status: 'Available' } }
-                );
-
-                // 3. Notify Admin
-                await AdminNotification.create({
-                    message: `System: Order #${order._id.toString().slice(-6)} auto-expired (unpaid > 30m).`,
-                    type: 'warning',
-                    orderId: order._id
-                });
-            }
-        }
-    } catch (err) {
-        console.error("Auto-Expire Error:", err);
+// Body: { amount, method, reference, reason, status }. Record it as initiated when the money is about to be
+// sent, or straight away as completed with the transfer reference.
+app.post('/api/admin/orders/:id/refunds', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId() },
+    body: {
+        amount: v.number({ min: 0.01 }),
+        method: v.oneOf(Order.REFUND_METHODS),
+        reference: v.string({ max: 100 }).optional(),
+        reason: v.string({ max: 500 }).optional(),
+        status: v.oneOf(['initiated', 'completed']).default('initiated')
     }
-}
-// Run expiration check every 60 seconds
-setInterval(expireUnpaidOrders, 60 * 1000); 
+}), async (req, res, next) => {
+    try {
+        const { method, reference, reason, status } = req.body;
+        const amount = toPaise(req.body.amount);
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        const { refundable } = order.refundSummary();
+        if (refundable <= 0) return next(httpError(409, 'Nothing on this order is left to refund'));
+        if (amount > refundable) return next(httpError(400, `At most ₹${refundable} can be refunded on this order`, { code: 'VALIDATION_FAILED', details: { refundable } }));
+        if (status === 'completed' && !reference && method !== 'cash') return next(httpError(400, 'reference is required for a completed refund', { code: 'VALIDATION_FAILED' }));
+
+        const actor = actorFromRequest(req);
+        order.refunds.push({ amount, method, reference, reason, status, initiatedBy: actor, updatedBy: actor });
+        const refund = order.refunds[order.refunds.length - 1];
+        markRefundedIfSettled(order, actor);
+        order.increment(); // Two admins refunding at once must not both pass the refundable check
+        await order.save();
+        if (order.status === 'Refunded') await cancelPayouts(order);
+        await notifyRefund(order, refund);
+        res.status(201).json({ refund, order, summary: order.refundSummary() });
+    } catch (err) { next(err); }
+});
 
-// --- AUTH ROUTES ---
-app.post('/api/auth/register', async (req, res) => {
+// Body: { status: 'completed' | 'failed', reference, note }
+app.put('/api/admin/orders/:id/refunds/:refundId', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId(), refundId: v.objectId() },
+    body: {
+        status: v.oneOf(['completed', 'failed']),
+        reference: v.string({ max: 100 }).optional(),
+        note: v.string({ max: 500 }).optional()
+    }
+}), async (req, res, next) => {
     try {
-        const { name, email, password } = req.body;
-        if (!name || !email || !password) return res.status(400).json({ message: 'All fields required' });
-        const existingUser = await User.findOne({ email });
-        if (existingUser) return res.status(409).json({ message: 'Email already exists' });
-        const newUser = new User({ name, email, password });
-        await newUser.save();
-        const token = createToken(newUser);
-        setAuthCookie(res, token);
-        res.status(201).json({ user: { id: newUser._id, name: newUser.name, email: newUser.email } });
-    } catch (err) { res.status(500).json({ message: 'Server error' }); }
+        const { status, reference, note } = req.body;
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        const refund = order.refunds.id(req.params.refundId);
+        if (!refund) return next(httpError(404, 'Refund not found'));
+        if (refund.status !== 'initiated') return next(httpError(409, `This refund is already ${refund.status}`));
+        if (status === 'completed' && !reference && !refund.reference && refund.method !== 'cash') {
+            return next(httpError(400, 'reference is required for a completed refund', { code: 'VALIDATION_FAILED' }));
+        }
+
+        const actor = actorFromRequest(req);
+        refund.set({ status, updatedAt: new Date(), updatedBy: actor });
+        if (reference) refund.reference = reference;
+        if (note !== undefined) refund.note = note;
+        markRefundedIfSettled(order, actor);
+        order.increment();
+        await order.save();
+        if (order.status === 'Refunded') await cancelPayouts(order);
+        await notifyRefund(order, refund);
+        res.json({ refund, order, summary: order.refundSummary() });
+    } catch (err) { next(err); }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// --- ADMIN DELIVERY ---
+// Body: any of { scheduledDate, slot, vehicle: { number, type }, driver: { name, phone }, note }.
+// Logged as a 'scheduled' tracking event and sent to the customer.
+app.put('/api/admin/orders/:id/delivery', adminMiddleware, validate({ params: { id: v.objectId() }, body: deliveryScheduleBody }), async (req, res, next) => {
     try {
-        const { email, password } = req.body;
-        if (!email || !password) return res.status(400).json({ message: 'Credentials required' });
-        const user = await User.findOne({ email });
-        if (!user || !(await user.comparePassword(password))) return res.status(400).json({ message: 'Invalid credentials' });
-        const token = createToken(user);
-        setAuthCookie(res, token);
-        res.json({ user: { id: user._id, name: user.name, email: user.email } });
-    } catch (err) { res.status(500).json({ message: 'Server error' }); }
+        const { scheduledDate, slot, vehicle, driver, note } = req.body;
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!DELIVERY_PLANNING_STATUSES.includes(order.status)) {
+            return next(httpError(409, `Delivery can't be planned for an order that is ${order.status}`));
+        }
+        const { slots } = await getSettings('delivery');
+        if (slot && !slots.includes(slot)) return next(fieldErrors({ slot: `slot must be one of: ${slots.join(', ')}` }));
+
+        const changes = {};
+        if (scheduledDate) changes['delivery.scheduledDate'] = scheduledDate;
+        if (slot) changes['delivery.slot'] = slot;
+        for (const [key, value] of Object.entries(vehicle || {})) changes[`delivery.vehicle.${key}`] = value;
+        for (const [key, value] of Object.entries(driver || {})) changes[`delivery.driver.${key}`] = value;
+        if (Object.keys(changes).length === 0 && !note) return next(httpError(400, 'Nothing to update', { code: 'VALIDATION_FAILED' }));
+        order.set(changes);
+
+        const plan = describeDelivery(order.delivery);
+        const event = { type: 'scheduled', message: [plan && `${order.delivery.method === 'pickup' ? 'Pickup' : 'Delivery'}: ${plan}`, note].filter(Boolean).join('. '), actor: actorFromRequest(req) };
+        order.trackingEvents.push(event);
+        await order.save();
+        await notifyTracking(order, event);
+        res.json(order);
+    } catch (err) { next(err); }
 });
 
-app.get('/api/auth/me', authMiddleware, (req, res) => res.json({ user: req.user }));
-app.post('/api/auth/logout', (req, res) => { res.clearCookie('token'); res.json({ message: 'Logged out' }); });
+// Body: { type, message, location }. Logged on the order and sent to the customer.
+app.post('/api/admin/orders/:id/tracking', adminMiddleware, validate({ params: { id: v.objectId() }, body: trackingEventBody }), async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!TRACKING_STATUSES.includes(order.status)) {
+            return next(httpError(409, `Tracking updates are for orders being dispatched (this one is ${order.status})`));
+        }
+        const { type, message = '', location = '' } = req.body;
+        order.trackingEvents.push({ type, message, location, actor: actorFromRequest(req) });
+        await order.save();
+        const event = order.trackingEvents[order.trackingEvents.length - 1];
+        await notifyTracking(order, event);
+        res.status(201).json({ event, trackingEvents: order.trackingEvents });
+    } catch (err) { next(err); }
+});
 
-// --- USER STATE ---
-app.get('/api/user/state', authMiddleware, async (req, res) => {
+// Sends the customer a new handover code (lost message, expired code, too many wrong tries)
+app.post('/api/admin/orders/:id/delivery/otp', adminMiddleware, idParam('id'), async (req, res, next) => {
     try {
-        const user = await User.findById(req.user.id);
-        if (!user) return res.status(404).json({ message: 'User not found' });
-        res.json({ cart: user.cart || [], wishlist: user.wishlist || [], addresses: user.addresses || [], notifications: user.notifications || [] });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (order.status !== 'Shipped') return next(httpError(409, `Handover codes are for shipped orders (this one is ${order.status})`));
+        const otp = await issueDeliveryOtp(order);
+        await order.save();
+        await sendDeliveryOtp(order, otp);
+        res.json({ success: true, expiresAt: order.delivery.otpExpiresAt });
+    } catch (err) { next(err); }
 });
 
-app.put('/api/user/state', authMiddleware, async (req, res) => {
+// Multipart: photo (the animals handed over) and otp (the code the customer was sent on dispatch).
+// The only way an order becomes Delivered.
+app.post('/api/admin/orders/:id/delivery/confirm', adminMiddleware, handleUpload(upload.single('photo')), imagesOnly, validate({
+    params: { id: v.objectId() },
+    body: { otp: v.string({ pattern: /^[0-9]{6}$/, message: 'must be the 6-digit code' }), note: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
+    let storedPhoto;
     try {
-        const { cart, wishlist, addresses, notifications } = req.body;
-        const updatedUser = await User.findByIdAndUpdate(req.user.id, { $set: { cart, wishlist, addresses, notifications } }, { new: true });
-        res.json({ message: 'State synchronized', success: true });
-    } catch (err) { res.status(400).json({ error: 'Failed to save state' }); }
+        if (!req.file) return next(httpError(400, 'A photo of the handover is required', { code: 'FILE_REQUIRED' }));
+        const order = await Order.findById(req.params.id, '+delivery.otpHash -paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (order.status !== 'Shipped') return next(httpError(409, `Only shipped orders can be delivered (this one is ${order.status})`));
+
+        const { otpHash, otpExpiresAt } = order.delivery;
+        if (!otpHash || !otpExpiresAt || otpExpiresAt <= new Date()) {
+            return next(httpError(409, 'The handover code has expired. Send the customer a new one.', { code: 'OTP_EXPIRED' }));
+        }
+        // Count the attempt before checking it, so parallel guesses can't get past the limit
+        const { otpMaxAttempts } = await getSettings('delivery');
+        const attempt = await Order.findOneAndUpdate(
+            { _id: order._id, 'delivery.otpHash': otpHash, 'delivery.otpAttempts': { $lt: otpMaxAttempts } },
+            { $inc: { 'delivery.otpAttempts': 1 } },
+            { new: true, projection: 'delivery.otpAttempts' }
+        );
+        if (!attempt) return next(httpError(409, 'Too many wrong codes. Send the customer a new one.', { code: 'OTP_LOCKED' }));
+        const given = Buffer.from(hashDeliveryOtp(order, req.body.otp));
+        if (!crypto.timingSafeEqual(given, Buffer.from(otpHash))) {
+            const attemptsLeft = otpMaxAttempts - attempt.delivery.otpAttempts;
+            return next(httpError(400, `Wrong handover code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`, { code: 'INVALID_OTP', details: { attemptsLeft } }));
+        }
+
+        storedPhoto = await saveUpload(req.file, 'deliveries');
+        const actor = actorFromRequest(req);
+        order.$where = { status: 'Shipped', 'delivery.otpHash': otpHash }; // The same code can't confirm twice
+        order.transitionTo('Delivered', { actor, note: req.body.note || 'Handover code and photo confirmed' });
+        order.set({
+            'delivery.proof': storedPhoto, 'delivery.deliveredAt': new Date(), 'delivery.confirmedBy': actor,
+            'delivery.otpHash': undefined, 'delivery.otpExpiresAt': undefined, 'delivery.otpAttempts': 0
+        });
+        order.trackingEvents.push({ type: 'delivered', message: req.body.note || '', actor });
+        await order.save();
+        storedPhoto = undefined;
+        await notifyOrderStatus(order);
+        await recordPayouts(order);
+        res.json(order);
+    } catch (err) {
+        await deleteStoredMedia(storedPhoto);
+        next(err);
+    }
 });
 
-// --- LIVESTOCK ---
-app.get('/api/livestock', async (req, res) => {
-    try { const livestock = await Livestock.find({}, '-image'); res.json(livestock); } catch (err) { res.status(500).json({ error: err.message }); }
+app.get('/api/admin/orders/:id/delivery/proof', adminMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const order = await Order.findById(req.params.id, 'delivery.proof');
+        if (!(await sendStoredMedia(req, res, order && order.delivery.proof))) return next(httpError(404, 'No delivery photo found'));
+    } catch (err) { next(err); }
+});
+
+app.get('/api/admin/users', adminMiddleware, async (req, res, next) => {
+    try { const users = await User.find({}, 'name email role createdAt').sort({ createdAt: -1 }); res.json({ users }); } catch (err) { next(err); }
 });
 
-app.get('/api/livestock/image/:id', async (req, res) => {
+app.put('/api/admin/users/:id/role', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId() }, body: { role: v.oneOf(['customer', 'admin', 'staff']) }
+}), async (req, res, next) => {
     try {
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).send('Invalid ID');
-        const livestock = await Livestock.findById(req.params.id, 'image');
-        if (!livestock?.image?.data) return res.status(404).send('Image not found');
-        res.set('Content-Type', livestock.image.contentType);
-        res.send(livestock.image.data);
-    } catch (err) { res.status(500).send('Server Error'); }
+        const { role } = req.body;
+        if (req.params.id === req.user.id) return next(httpError(400, 'You cannot change your own role'));
+        const user = await User.findByIdAndUpdate(req.params.id, { role }, { fields: 'name email role createdAt' }); // As it was before
+        if (!user) return next(httpError(404, 'User not found'));
+        // Access tokens carry the role, so sign the user out everywhere; they come back with the new one
+        if (user.role !== role) await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+        user.role = role;
+        res.json({ user });
+    } catch (err) { next(err); }
 });
 
-// --- ADMIN ROUTES ---
-app.get('/api/admin/livestock', async (req, res) => {
-    try { const livestock = await Livestock.find({}, '-image').sort({ createdAt: -1 }); res.json({ livestock }); } catch (err) { res.status(500).json({ message: 'Failed', error: err.message }); }
+// Lifts a sign-in lockout early, e.g. after confirming with the customer that it was them
+app.delete('/api/admin/users/:id/lockout', adminMiddleware, requireRole('admin'), idParam('id'), async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id, 'email');
+        if (!user) return next(httpError(404, 'User not found'));
+        await resetLimit(loginFailureKey(user.email));
+        res.json({ success: true });
+    } catch (err) { next(err); }
 });
 
-// 🟢 FIX APPLIED HERE: Added 'age' extraction and assignment
-app.post('/api/admin/livestock', upload.single('image'), async (req, res) => {
+// --- ADMIN SELLERS ---
+app.get('/api/admin/sellers', adminMiddleware, requireRole('admin'), validate({ query: { status: v.oneOf(User.SELLER_STATUSES).optional() } }), async (req, res, next) => {
     try {
-        // Extract all necessary fields, including 'age' which was missing before
-        const { name, type, breed, price, tags, status, weight, age } = req.body;
-        
-        const image = req.file ? { data: req.file.buffer, contentType: req.file.mimetype } : undefined;
-        let tagArray = tags && typeof tags === 'string' ? tags.split(',') : [];
-        
-        // Construct new item including 'age'
-        // If 'age' is not provided, we try to derive it from 'weight' as a fallback string
-        const newItem = new Livestock({ 
-            name, 
-            type, 
-            breed, 
-            age: age || (weight ? `${weight} kg` : "N/A"), 
-            weight: weight || "N/A", 
-            price: parseFloat(price) || 0, 
-            tags: tagArray, 
-            status: status || 'Available', 
-            image 
-        });
-        
-        await newItem.save();
-        res.status(201).json(newItem);
-    } catch (err) { 
-        console.error("Livestock Create Error:", err);
-        res.status(500).json({ error: err.message }); 
-    }
+        const filter = req.query.status ? { 'seller.status': req.query.status } : { seller: { $ne: null } };
+        const sellers = await User.find(filter, 'name email role seller createdAt').sort({ 'seller.appliedAt': 1 }).limit(500);
+        res.json({ sellers });
+    } catch (err) { next(err); }
 });
 
-app.put('/api/admin/livestock/:id', upload.single('image'), async (req, res) => {
+const SELLER_REVIEW_MESSAGES = {
+    approved: { title: 'Seller Account Approved', text: 'You can now list your animals. New listings go live once we have reviewed them.', icon: 'check-circle', color: 'green' },
+    rejected: { title: 'Seller Application Declined', text: 'Your seller application was not approved.', icon: 'x-circle', color: 'red' },
+    suspended: { title: 'Seller Account Suspended', text: 'Your seller account has been suspended and your listings are hidden.', icon: 'alert-circle', color: 'red' }
+};
+
+// Body: { status: approved | rejected | suspended, note? }. See User.SELLER_TRANSITIONS for the allowed
+// moves. Approval makes the account a seller; rejection or suspension makes it a customer again and
+// suspension also hides the seller's Available listings.
+app.put('/api/admin/sellers/:id', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId() },
+    body: { status: v.oneOf(['approved', 'rejected', 'suspended']), note: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
     try {
-        const updates = { ...req.body };
-        if (updates.price) updates.price = parseFloat(updates.price);
-        if (req.file) updates.image = { data: req.file.buffer, contentType: req.file.mimetype };
-        const livestock = await Livestock.findByIdAndUpdate(req.params.id, updates, { new: true });
-        res.json(livestock);
-    } catch (err) { res.status(500).json({ message: 'Update failed', error: err.message }); }
+        const { status, note = '' } = req.body;
+        const user = await User.findById(req.params.id, 'role seller.status').lean();
+        if (!user || !user.seller) return next(httpError(404, 'Seller application not found'));
+        const from = user.seller.status;
+        if (!User.SELLER_TRANSITIONS[from].includes(status)) {
+            return next(httpError(409, `A seller who is ${from} can't be ${status}`, { code: 'INVALID_TRANSITION', details: { from, allowed: User.SELLER_TRANSITIONS[from] } }));
+        }
+        const sellsOrBuys = ['customer', 'seller'].includes(user.role);
+        if (status === 'approved' && !sellsOrBuys) return next(httpError(409, 'Admin and staff accounts cannot sell'));
+
+        const $set = { 'seller.status': status, 'seller.note': note, 'seller.reviewedAt': new Date(), 'seller.reviewedBy': { id: req.user.id, name: req.user.name } };
+        if (sellsOrBuys) $set.role = status === 'approved' ? 'seller' : 'customer';
+        const updated = await User.findOneAndUpdate(
+            { _id: req.params.id, 'seller.status': from },
+            { $set },
+            { new: true, projection: 'name email role seller createdAt' }
+        );
+        if (!updated) return next(httpError(409, 'This seller was updated by someone else. Please reload.'));
+
+        if (status === 'suspended') {
+            await Livestock.updateMany({ sellerId: updated._id, status: 'Available' }, { $set: { status: 'Hidden' } });
+        }
+        const wording = SELLER_REVIEW_MESSAGES[status];
+        await notifyUser(updated._id, {
+            id: `seller_${status}_${Date.now()}`,
+            title: wording.title,
+            message: note ? `${wording.text} ${note}` : wording.text,
+            icon: wording.icon,
+            color: wording.color
+        });
+        res.json({ user: updated });
+    } catch (err) { next(err); }
 });
 
-app.delete('/api/admin/livestock/:id', async (req, res) => {
-    try { await Livestock.findByIdAndDelete(req.params.id); res.status(204).send(); } catch (err) { res.status(500).json({ message: 'Delete failed', error: err.message }); }
+// --- LISTING MODERATION ---
+// Sellers' listings waiting for review (?status=rejected to see turned-down ones), oldest first
+app.get('/api/admin/livestock/review', adminMiddleware, requireRole('admin'), validate({
+    query: { status: v.oneOf(Livestock.MODERATION_STATUSES).default('pending') }
+}), async (req, res, next) => {
+    try {
+        const livestock = await Livestock.find({ 'moderation.status': req.query.status }, '-image')
+            .sort({ 'moderation.submittedAt': 1 })
+            .limit(200)
+            .populate('sellerId', 'name email seller.farmName seller.location');
+        res.json({ livestock });
+    } catch (err) { next(err); }
 });
 
-app.get('/api/admin/orders', async (req, res) => {
+// Body: { decision: approved | rejected, note }. A note is required when rejecting; the seller sees it
+// and editing the listing sends it back for review.
+app.put('/api/admin/livestock/:id/review', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId() },
+    body: { decision: v.oneOf(['approved', 'rejected']), note: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
     try {
-        // Trigger lazy cleanup on fetch to ensure admin sees up-to-date states
-        await expireUnpaidOrders();
-        // Exclude image data for performance
-        const orders = await Order.find({}, '-paymentProof.data').sort({ createdAt: -1 });
-        res.json({ orders });
-    } catch (err) { res.status(500).json({ message: 'Failed to load orders', error: err.message }); }
+        const { decision, note = '' } = req.body;
+        if (decision === 'rejected' && !note) return next(fieldErrors({ note: 'note is required when rejecting a listing' }));
+        const livestock = await Livestock.findById(req.params.id, 'name sellerId moderation');
+        if (!livestock) return next(httpError(404, 'Livestock not found'));
+        if (!livestock.sellerId) return next(httpError(400, 'Only listings from sellers are moderated'));
+
+        livestock.set({
+            'moderation.status': decision,
+            'moderation.note': note,
+            'moderation.reviewedAt': new Date(),
+            'moderation.reviewedBy': { id: req.user.id, name: req.user.name }
+        });
+        await livestock.save({ validateModifiedOnly: true });
+
+        await notifyUser(livestock.sellerId, {
+            id: `listing_${livestock._id}_${Date.now()}`,
+            title: decision === 'approved' ? 'Listing Approved' : 'Listing Not Approved',
+            message: decision === 'approved'
+                ? `"${livestock.name}" is now live on the marketplace.`
+                : `"${livestock.name}" was not approved: ${note} Edit the listing to send it for review again.`,
+            icon: decision === 'approved' ? 'check-circle' : 'x-circle',
+            color: decision === 'approved' ? 'green' : 'red'
+        });
+        res.json({ livestock });
+    } catch (err) { next(err); }
 });
 
-app.get('/api/admin/orders/proof/:id', async (req, res) => {
+// --- ADMIN PAYOUTS ---
+// ?status=pending (default) | paid | cancelled, optionally for one seller. Totals cover the listed payouts.
+app.get('/api/admin/payouts', adminMiddleware, requireRole('admin'), validate({
+    query: { status: v.oneOf(Payout.PAYOUT_STATUSES).default('pending'), sellerId: v.objectId().optional() }
+}), async (req, res, next) => {
     try {
-        const order = await Order.findById(req.params.id);
-        if (!order?.paymentProof?.data) return res.status(404).send('No proof found');
-        res.set('Content-Type', order.paymentProof.contentType);
-        res.send(order.paymentProof.data);
-    } catch (err) { res.status(500).send('Server Error'); }
+        const filter = { status: req.query.status };
+        if (req.query.sellerId) filter.sellerId = req.query.sellerId;
+        const payouts = await Payout.find(filter)
+            .sort({ createdAt: 1 })
+            .limit(500)
+            .populate('sellerId', 'name email seller.farmName seller.payout');
+        const totals = { count: payouts.length, gross: 0, commission: 0, net: 0 };
+        for (const payout of payouts) {
+            for (const key of ['gross', 'commission', 'net']) totals[key] = toPaise(totals[key] + payout[key]);
+        }
+        res.json({ payouts, totals });
+    } catch (err) { next(err); }
 });
 
-// ✅ Reject Payment & Restock Items
-app.put('/api/admin/orders/:id/reject', async (req, res) => {
+// Body: { reference, note? }. Records that the money was sent to the seller's payout account.
+app.put('/api/admin/payouts/:id/paid', adminMiddleware, requireRole('admin'), validate({
+    params: { id: v.objectId() },
+    body: { reference: v.string({ min: 1, max: 100 }), note: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
     try {
-        const { reason } = req.body;
-        
-        // 1. Update Order Status
-        const order = await Order.findByIdAndUpdate(
-            req.params.id, 
-            { 
-                status: 'Payment Rejected', 
-                rejectionReason: reason || 'Invalid payment proof.'
-            }, 
+        const { reference, note = '' } = req.body;
+        const payout = await Payout.findById(req.params.id);
+        if (!payout) return next(httpError(404, 'Payout not found'));
+        if (payout.status !== 'pending') return next(httpError(409, `This payout is already ${payout.status}`));
+
+        const seller = await User.findById(payout.sellerId, 'seller.payout.method').lean();
+        const method = seller && seller.seller && seller.seller.payout ? seller.seller.payout.method : undefined;
+        const updated = await Payout.findOneAndUpdate(
+            { _id: payout._id, status: 'pending' },
+            { $set: { status: 'paid', paidAt: new Date(), reference, note, method, updatedBy: actorFromRequest(req) } },
             { new: true }
         );
-        
-        if (!order) return res.status(404).json({ message: 'Order not found' });
+        if (!updated) return next(httpError(409, 'This payout was updated by someone else. Please reload.'));
+
+        await notifyUser(updated.sellerId, {
+            id: `payout_paid_${updated._id}`,
+            title: 'Payout Sent',
+            message: `₹${updated.net} for Order #${updated.orderId.toString().slice(-6)} has been sent to you (reference ${reference}).`,
+            icon: 'wallet',
+            color: 'green'
+        });
+        res.json({ payout: updated });
+    } catch (err) { next(err); }
+});
 
-        // 2. 🟢 RESTOCK LOGIC: Set status back to 'Available' for all items in order
-        const itemIds = order.items.map(item => item._id);
-        if (itemIds.length > 0) {
-            await Livestock.updateMany(
-                { _id: { $in: itemIds } }, 
-                { $set: { status: 'Available' } }
-            );
-        }
+// --- ADMIN SETTINGS ---
+// Every group is defined when lib/settings.js loads
+const settingsKeyParam = validate({ params: { key: v.oneOf(settingsKeys()) } });
 
-        // 3. Notify User
-        await User.findByIdAndUpdate(order.userId, { 
-            $push: { notifications: {
-                id: 'rej_' + Date.now(), 
-                title: 'Order Cancelled', 
-                message: `Order #${order._id.toString().slice(-6)} rejected: ${reason}. Items have been restocked.`,
-                icon: 'x-circle', 
-                color: 'red', 
-                timestamp: Date.now(), 
-                seen: false
-            }}
-        });
+app.get('/api/admin/settings/:key', adminMiddleware, settingsKeyParam, async (req, res, next) => {
+    try { res.json(await getSettings(req.params.key)); }
+    catch (err) { next(err); }
+});
 
-        res.json({ success: true, message: 'Order rejected and items returned to stock' });
-    } catch (err) { 
-        console.error("Reject Error:", err);
-        res.status(500).json({ error: err.message }); 
-    }
+// Body: the fields to change, e.g. { seller: { gstin }, gstRate: 5 }. Nested objects are merged.
+app.put('/api/admin/settings/:key', adminMiddleware, requireRole('admin'), settingsKeyParam, validate({ body: v.object({}, { unknown: 'allow' }) }), async (req, res, next) => {
+    try { res.json(await updateSettings(req.params.key, req.body, req.user)); }
+    catch (err) { next(err); }
+});
+
+// --- SCHEDULED JOBS ---
+// Called every minute by the deployment's scheduler (Vercel Cron sends a GET) with
+// Authorization: Bearer <CRON_SECRET>. Setting that scheduler up is part of deploying: see lib/jobs.js.
+// Runs every job that is due; jobs already running elsewhere are skipped.
+function cronOnly(req, res, next) {
+    next(isCronRequest(req) ? undefined : httpError(401, 'Invalid cron secret'));
+}
+
+app.all('/api/cron', async (req, res, next) => {
+    if (!['GET', 'POST'].includes(req.method)) return next(httpError(405, 'Use GET or POST'));
+    if (!isCronRequest(req)) return next(httpError(401, 'Invalid cron secret'));
+    try { res.json({ results: await runDueJobs() }); }
+    catch (err) { next(err); }
+});
+
+// Jobs are all registered further up this file, before any request arrives
+const jobParam = validate({ params: { job: v.oneOf(jobNames()) } });
+
+// Runs one job now, even if it isn't due yet
+app.post('/api/cron/:job', cronOnly, jobParam, async (req, res, next) => {
+    try { res.json(await runJob(req.params.job, { force: true })); }
+    catch (err) { next(err); }
+});
+
+app.get('/api/admin/jobs', adminMiddleware, async (req, res, next) => {
+    try { res.json({ jobs: await listJobs() }); }
+    catch (err) { next(err); }
+});
+
+app.post('/api/admin/jobs/:job/run', adminMiddleware, requireRole('admin'), jobParam, async (req, res, next) => {
+    try { res.json(await runJob(req.params.job, { force: true })); }
+    catch (err) { next(err); }
 });
 
-app.put('/api/admin/orders/:id', async (req, res) => {
+// --- ADMIN INVOICES ---
+// Invoice register for the accountant. ?fy=2025-26 (defaults to all years)
+app.get('/api/admin/invoices', adminMiddleware, validate({
+    query: { fy: v.string({ pattern: /^\d{4}-\d{2}$/, message: 'must look like 2025-26' }).optional() }
+}), async (req, res, next) => {
     try {
-        const order = await Order.findByIdAndUpdate(req.params.id, { status: req.body.status }, { new: true });
-        res.json(order);
-    } catch (err) { res.status(500).json({ message: 'Update failed', error: err.message }); }
+        const filter = req.query.fy ? { financialYear: req.query.fy } : {};
+        const invoices = await Invoice.find(filter)
+            .select('number financialYear sequence orderId issuedAt buyer.name buyer.state taxableTotal taxTotal grandTotal')
+            .sort({ financialYear: -1, sequence: -1 });
+        res.json(invoices);
+    } catch (err) { next(err); }
 });
 
-app.get('/api/admin/users', async (req, res) => {
-    try { const users = await User.find({}, 'name email createdAt').sort({ createdAt: -1 }); res.json({ users }); } catch (err) { res.status(500).json({ message: 'Failed to load users', error: err.message }); }
+// --- ADMIN REPORTS ---
+// Sales figures are for admins only, not staff
+app.get('/api/admin/reports', adminMiddleware, requireRole('admin'), (req, res) => res.json({ reports: Object.keys(REPORTS) }));
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD plus report options (see lib/reports.js); &format=csv downloads a spreadsheet
+const reportDay = v.string({ pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a date in YYYY-MM-DD format' });
+const reportQuery = {
+    from: reportDay.optional(),
+    to: reportDay.optional(),
+    interval: v.oneOf(['day', 'week', 'month']).optional(), // revenue
+    by: v.oneOf(['type', 'breed', 'both']).optional(), // sales
+    limit: v.number({ min: 1, max: 100, integer: true }).optional(), // top-customers
+    format: v.oneOf(['json', 'csv']).optional()
+};
+
+app.get('/api/admin/reports/:name', adminMiddleware, requireRole('admin'), validate({
+    params: { name: v.oneOf(Object.keys(REPORTS)) }, query: reportQuery
+}), async (req, res, next) => {
+    try {
+        const result = await runReport(req.params.name, req.query);
+        if (req.query.format === 'csv') {
+            res.set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${result.report}_${result.label}.csv"`
+            });
+            return res.send('\uFEFF' + toCsv(result.columns, result.rows)); // BOM so Excel opens it as UTF-8
+        }
+        res.json({ report: result.report, from: result.from, to: result.to, rows: result.rows });
+    } catch (err) { next(err); }
 });
 
 // --- NEW: Admin Notifications Endpoint ---
-app.get('/api/admin/notifications', async (req, res) => {
+// ?unread=true returns only unread ones
+app.get('/api/admin/notifications', adminMiddleware, validate({ query: { unread: v.boolean().default(false) } }), async (req, res, next) => {
+    try {
+        const filter = req.query.unread ? { read: false } : {};
+        const [notifs, unreadCount] = await Promise.all([
+            AdminNotification.find(filter).sort({ createdAt: -1 }).limit(50),
+            AdminNotification.countDocuments({ read: false })
+        ]);
+        res.json({ notifications: notifs, unreadCount });
+    } catch (err) { next(err); }
+});
+
+// Live feed of new admin notifications (SSE). Reconnects resume from Last-Event-ID.
+app.get('/api/admin/notifications/stream', adminMiddleware, (req, res) => openEventStream(req, res, ['admin']));
+
+app.put('/api/admin/notifications/read-all', adminMiddleware, async (req, res, next) => {
     try {
-        const notifs = await AdminNotification.find().sort({ createdAt: -1 }).limit(50);
-        res.json({ notifications: notifs });
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        const result = await AdminNotification.updateMany({ read: false }, { read: true });
+        res.json({ success: true, updated: result.modifiedCount });
+    } catch (err) { next(err); }
 });
-app.delete('/api/admin/notifications/clear', async (req, res) => {
-    try { await AdminNotification.deleteMany({}); res.json({ success: true }); } catch (err) { res.status(500).json({ error: err.message }); }
+
+// Body: { read: false } marks it unread again; defaults to read
+app.put('/api/admin/notifications/:id/read', adminMiddleware, validate({
+    params: { id: v.objectId() }, body: { read: v.boolean().default(true) }
+}), async (req, res, next) => {
+    try {
+        const notif = await AdminNotification.findByIdAndUpdate(req.params.id, { read: req.body.read }, { new: true });
+        if (!notif) return next(httpError(404, 'Notification not found'));
+        res.json({ notification: notif });
+    } catch (err) { next(err); }
 });
 
 // --- ORDER ROUTES ---
-app.get('/api/orders', authMiddleware, async (req, res) => {
-    try { const orders = await Order.find({ userId: req.user.id }, '-paymentProof.data').sort({ createdAt: -1 }); res.json(orders); } catch (err) { res.status(500).json({ error: err.message }); }
+app.get('/api/orders', authMiddleware, async (req, res, next) => {
+    try { const orders = await Order.find({ userId: req.user.id }, '-paymentProof.data').sort({ createdAt: -1 }); res.json(orders); } catch (err) { next(err); }
 });
 
 // RE-UPLOAD PROOF (With Duplicate Check & Admin Notif)
-app.put('/api/orders/:id/reupload', authMiddleware, upload.single('paymentProof'), async (req, res) => {
+const utrField = () => v.string({ max: 50 }).optional();
+
+app.put('/api/orders/:id/reupload', authMiddleware, limits.proofs, handleUpload(upload.single('paymentProof')), imagesOnly, validate({
+    params: { id: v.objectId() }, body: { utr: utrField() }
+}), async (req, res, next) => {
     try {
-        if (!req.file) return res.status(400).send('No file uploaded');
+        if (!req.file) return next(httpError(400, 'No file uploaded', { code: 'FILE_REQUIRED' }));
+        const utr = normalizeUtr(req.body.utr);
+        if (utr === false) return next(httpError(400, 'Invalid UTR / transaction reference number', { code: 'VALIDATION_FAILED' }));
 
-        // 🔒 DUPLICATE CHECK
-        const fileHash = getFileHash(req.file.buffer);
-        const existingProof = await ProofHash.findOne({ hash: fileHash });
-        if (existingProof && existingProof.orderId.toString() !== req.params.id) {
-            return res.status(400).json({ message: 'Duplicate proof detected! This image has already been used.' });
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (order.status !== 'Processing' && !Order.canTransition(order.status, 'Processing')) {
+            return next(httpError(409, `Cannot upload proof for an order that is ${order.status}`));
         }
 
-        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
-        if (!order) return res.status(404).json({ message: 'Order not found' });
+        // 🔒 DUPLICATE CHECK
+        const inspection = await inspectProof(req.file.buffer, { orderId: order._id, utr });
+        if (inspection.exact) {
+            await reportBlockedProof(inspection.exact, 'duplicate proof image', req);
+            return next(httpError(400, 'Duplicate proof detected! This image has already been used.'));
+        }
+        if (inspection.utrMatch) {
+            await reportBlockedProof(inspection.utrMatch, `reused UTR ${utr}`, req);
+            return next(httpError(409, 'This UTR / transaction reference has already been used on another order.'));
+        }
 
-        await Order.findByIdAndUpdate(req.params.id, {
-            status: 'Processing',
-            rejectionReason: '',
-            paymentProof: { data: req.file.buffer, contentType: req.file.mimetype }
-        });
+        // A rejected order already gave its animals back, so they must be reserved again
+        if (order.status === 'Payment Rejected') {
+            const { reserved, unavailable } = await reserveLivestock(order.items.map(item => item._id));
+            if (unavailable.length > 0) {
+                await releaseLivestock(reserved.map(doc => doc._id));
+                return next(httpError(409, 'Some items were sold in the meantime', { code: 'LIVESTOCK_UNAVAILABLE', details: { unavailable } }));
+            }
+        }
 
-        await ProofHash.findOneAndUpdate(
-            { orderId: order._id }, 
-            { hash: fileHash, orderId: order._id }, 
-            { upsert: true, new: true }
-        );
+        if (order.status !== 'Processing') {
+            order.transitionTo('Processing', { actor: actorFromRequest(req), note: 'Payment proof uploaded' });
+        }
+        const previousProof = order.paymentProof;
+        order.rejectionReason = '';
+        order.paymentMethod = 'proof';
+        order.paymentProof = await saveUpload(req.file, 'proofs');
+        await recordProof(order, inspection, utr);
+        await order.save();
+        await deleteStoredMedia(previousProof);
 
         // 🔔 NOTIFY ADMIN
         await AdminNotification.create({
@@ -378,38 +2930,84 @@ app.put('/api/orders/:id/reupload', authMiddleware, upload.single('paymentProof'
         });
         
         res.json({ success: true, message: 'Proof re-uploaded successfully' });
-    } catch (err) {
-        console.error("Re-upload Error:", err);
-        res.status(500).json({ message: 'Re-upload failed' });
-    }
+    } catch (err) { next(err); }
 });
 
 // CREATE ORDER (With Duplicate Check & Admin Notif)
-app.post('/api/orders', authMiddleware, upload.single('paymentProof'), async (req, res) => {
+// Multipart: items and address arrive as JSON text. Only the item ids are taken from the client;
+// names and prices come from the database.
+const orderBody = {
+    items: v.array(v.object({ _id: v.objectId() }), { min: 1, max: 50 }),
+    address: v.object(addressBody).default(() => ({})),
+    date: v.string({ max: 100 }).optional(),
+    deliveryMethod: v.oneOf(Order.DELIVERY_METHODS).default('delivery'),
+    utr: utrField()
+};
+
+app.post('/api/orders', authMiddleware, limits.orders, handleUpload(upload.single('paymentProof')), imagesOnly, validate({ body: orderBody }), async (req, res, next) => {
+    // Undone in the catch block if the order never gets written
+    let reserved = [];
+    let storedProof;
     try {
-        const items = req.body.items ? JSON.parse(req.body.items) : [];
-        const address = req.body.address ? JSON.parse(req.body.address) : {};
-        const total = req.body.total;
-        const date = req.body.date;
+        const { items, address, date, deliveryMethod } = req.body;
+        const itemIds = [...new Set(items.map(item => item._id))];
 
-        let paymentProof;
-        let fileHash;
+        const utr = normalizeUtr(req.body.utr);
+        if (utr === false) return next(httpError(400, 'Invalid UTR / transaction reference number', { code: 'VALIDATION_FAILED' }));
+
+        let inspection;
 
         if (req.file) {
             // 🔒 DUPLICATE CHECK
-            fileHash = getFileHash(req.file.buffer);
-            const existingProof = await ProofHash.findOne({ hash: fileHash });
-            if (existingProof) {
-                return res.status(400).json({ message: 'Duplicate proof detected! This image has already been used.' });
+            inspection = await inspectProof(req.file.buffer, { utr });
+            if (inspection.exact) {
+                await reportBlockedProof(inspection.exact, 'duplicate proof image', req);
+                return next(httpError(400, 'Duplicate proof detected! This image has already been used.'));
+            }
+            if (inspection.utrMatch) {
+                await reportBlockedProof(inspection.utrMatch, `reused UTR ${utr}`, req);
+                return next(httpError(409, 'This UTR / transaction reference has already been used on another order.'));
             }
-            paymentProof = { data: req.file.buffer, contentType: req.file.mimetype };
         }
 
-        const newOrder = new Order({ items, address, total, date, paymentProof, userId: req.user.id, customer: req.user.name });
+        // 🔒 RESERVE STOCK: each item flips Available -> Sold atomically, so two buyers can't both win
+        const { reserved: reservedDocs, unavailable } = await reserveLivestock(itemIds);
+        reserved = reservedDocs;
+        if (unavailable.length > 0) {
+            await releaseLivestock(reserved.map(doc => doc._id));
+            reserved = [];
+            return next(httpError(409, 'Some items are no longer available', { code: 'LIVESTOCK_UNAVAILABLE', details: { unavailable } }));
+        }
+
+        const orderItems = reserved.map(doc => ({ _id: doc._id.toString(), name: doc.name, price: doc.price, breed: doc.breed, type: doc.type, weight: doc.weightKg !== undefined ? String(doc.weightKg) : undefined, sellerId: doc.sellerId }));
+        const subtotal = orderItems.reduce((sum, item) => sum + (item.price || 0), 0);
+        const quote = await quoteDelivery(address.pincode, subtotal, deliveryMethod);
+        if (!quote.available) {
+            await releaseLivestock(reserved.map(doc => doc._id));
+            reserved = [];
+            return next(httpError(400, `We don't deliver to pincode ${address.pincode || '(none given)'} yet`, { code: 'DELIVERY_UNAVAILABLE' }));
+        }
+        const total = subtotal + quote.charge;
+
+        if (req.file) storedProof = await saveUpload(req.file, 'proofs');
+
+        // Without proof the order waits for payment and auto-expires if none arrives
+        const status = storedProof ? 'Processing' : 'Pending';
+        const newOrder = new Order({
+            items: orderItems, address, total, date, paymentProof: storedProof, status,
+            delivery: { method: quote.method, zone: quote.zone, charge: quote.charge },
+            paymentMethod: storedProof ? 'proof' : undefined,
+            expiresAt: status === 'Pending' ? await reservationDeadline() : undefined,
+            statusHistory: [{ from: null, to: status, actor: actorFromRequest(req), note: 'Order placed' }],
+            userId: req.user.id, customer: req.user.name
+        });
         await newOrder.save();
+        reserved = [];
+        storedProof = undefined;
 
-        if (fileHash) {
-            await ProofHash.create({ hash: fileHash, orderId: newOrder._id });
+        if (inspection) {
+            await recordProof(newOrder, inspection, utr);
+            if (newOrder.isModified()) await newOrder.save();
              // 🔔 NOTIFY ADMIN
             await AdminNotification.create({
                 message: `New Order #${newOrder._id.toString().slice(-6)} Created with Proof`,
@@ -418,146 +3016,237 @@ app.post('/api/orders', authMiddleware, upload.single('paymentProof'), async (re
             });
         }
 
-        const itemIds = items.map(item => item._id);
-        if (itemIds.length > 0) {
-            await Livestock.updateMany({ _id: { $in: itemIds } }, { $set: { status: 'Sold' } });
-        }
-        await User.findByIdAndUpdate(req.user.id, { $set: { cart: [] } });
+        // Only the purchased animals leave the cart; anything else the buyer kept there stays
+        await User.updateOne({ _id: req.user.id }, { $pull: { cart: { _id: { $in: itemIds } } } });
         
         res.status(201).json(newOrder);
     } catch (err) {
-        console.error("Order Create Error:", err);
-        res.status(500).json({ error: 'Order creation failed' });
+        // Don't leave animals locked by an order that was never written
+        if (reserved.length > 0) await releaseLivestock(reserved.map(doc => doc._id)).catch(() => {});
+        await deleteStoredMedia(storedProof);
+        next(err);
     }
 });
 
-app.put('/api/orders/:id/cancel', authMiddleware, async (req, res) => {
+app.put('/api/orders/:id/cancel', authMiddleware, validate({
+    params: { id: v.objectId() }, body: { reason: v.string({ max: 500 }).optional() }
+}), async (req, res, next) => {
     try {
-        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
-        if (!order) return res.status(404).json({ message: 'Order not found' });
-        if (order.status !== 'Processing' && order.status !== 'Pending') return res.status(400).json({ message: 'Cannot cancel order' });
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!CUSTOMER_CANCEL_STATUSES.includes(order.status)) return next(httpError(400, 'Cannot cancel order'));
 
-        order.status = 'Cancelled';
-        await order.save();
-        const itemIds = order.items.map(item => item._id);
-        if (itemIds.length > 0) {
-            await Livestock.updateMany({ _id: { $in: itemIds } }, { $set: { status: 'Available' } });
-        }
-        
-        // Remove hash so proof can be reused if order is cancelled
-        await ProofHash.findOneAndDelete({ orderId: order._id });
+        await cancelOrder(order, { actor: actorFromRequest(req), note: req.body.reason });
+        await notifyOrderStatus(order);
 
         res.json({ success: true, message: 'Order cancelled & items restocked' });
-    } catch (err) {
-        console.error('Cancel Error:', err);
-        res.status(500).json({ message: 'Cancellation failed' });
+    } catch (err) { next(err); }
+});
+
+// Body: { items: [livestockId, ...], reason }. Removes those animals from the order and lowers the total.
+app.post('/api/orders/:id/items/cancel', authMiddleware, validate({ params: { id: v.objectId() }, body: cancelItemsBody }), async (req, res, next) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (!CUSTOMER_CANCEL_STATUSES.includes(order.status)) {
+            return next(httpError(409, `Items can't be removed from an order that is ${order.status}. Please contact us instead.`));
+        }
+
+        const { removed, orderCancelled } = await cancelOrderItems(order, req.body.items, { actor: actorFromRequest(req), reason: req.body.reason });
+        const ref = order._id.toString().slice(-6);
+        if (orderCancelled) await notifyOrderStatus(order);
+        else {
+            await notifyUser(order.userId, {
+                id: `items_${order._id}_${Date.now()}`, title: 'Order Updated',
+                message: `Removed ${itemNames(removed)} from Order #${ref}. New total ₹${order.total}.`,
+                icon: 'minus-circle', color: 'blue'
+            });
+        }
+        await AdminNotification.create({
+            message: orderCancelled
+                ? `${req.user.name} cancelled Order #${ref} by removing every item`
+                : `${req.user.name} removed ${itemNames(removed)} from Order #${ref}. New total ₹${order.total}.`,
+            type: 'info',
+            orderId: order._id
+        });
+        res.json({ order, cancelled: removed.map(item => item._id), orderCancelled });
+    } catch (err) { next(err); }
+});
+
+app.get('/api/orders/:id/timeline', authMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }, TIMELINE_FIELDS);
+        if (!order) return next(httpError(404, 'Order not found'));
+        res.json({ status: order.status, timeline: orderTimeline(order, { includeActor: false }) });
+    } catch (err) { next(err); }
+});
+
+// --- DELIVERY ROUTES ---
+// What delivery to a pincode would cost, for the checkout summary. The order itself is priced again when placed.
+app.get('/api/delivery/quote', validate({
+    query: {
+        pincode: v.string({ pattern: /^[0-9]{6}$/, message: 'must be 6 digits' }),
+        subtotal: v.number({ min: 0 }).default(0),
+        method: v.oneOf(Order.DELIVERY_METHODS).default('delivery')
     }
+}), async (req, res, next) => {
+    try {
+        const { pincode, subtotal, method } = req.query;
+        const { slots, freeAbove } = await getSettings('delivery');
+        res.json({ ...(await quoteDelivery(pincode, subtotal, method)), freeAbove, slots });
+    } catch (err) { next(err); }
 });
 
+app.get('/api/orders/:id/delivery/proof', authMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const order = await Order.findOne({ _id: req.params.id, userId: req.user.id }, 'delivery.proof');
+        if (!(await sendStoredMedia(req, res, order && order.delivery.proof))) return next(httpError(404, 'No delivery photo found'));
+    } catch (err) { next(err); }
+});
 
 // --- INVOICE ROUTE ---
-app.get('/api/orders/:id/invoice', authMiddleware, async (req, res) => {
+// PDF by default, ?format=html for the printable page. The invoice is issued (numbered) on first request
+// if payment verification didn't already do it; unpaid orders have no invoice.
+app.get('/api/orders/:id/invoice', authMiddleware, validate({
+    params: { id: v.objectId() }, query: { format: v.oneOf(['pdf', 'html']).default('pdf') }
+}), async (req, res, next) => {
     try {
-        const order = await Order.findById(req.params.id);
-        if (!order) return res.status(404).send('Order not found');
-
-        // Security check: only the owner or an admin can see the invoice
-        // (Assuming req.user is populated by authMiddleware)
-        if (order.userId.toString() !== req.user.id) {
-             return res.status(403).send('Access denied');
-        }
-
-        const html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; padding: 40px; color: #333; }
-                .header { display: flex; justify-content: space-between; border-bottom: 2px solid #22c55e; padding-bottom: 20px; }
-                .title { color: #166534; font-size: 28px; font-weight: bold; }
-                .info { margin-top: 30px; display: flex; justify-content: space-between; }
-                table { width: 100%; border-collapse: collapse; margin-top: 40px; }
-                th { background-color: #f0fdf4; text-align: left; padding: 12px; border-bottom: 2px solid #ddd; }
-                td { padding: 12px; border-bottom: 1px solid #eee; }
-                .total { text-align: right; font-size: 20px; font-weight: bold; margin-top: 30px; color: #166534; }
-                .footer { margin-top: 50px; text-align: center; color: #888; font-size: 12px; }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <div>
-                    <div class="title">LIVESTOCK MART</div>
-                    <div>Digital Marketplace for Breeders</div>
-                </div>
-                <div style="text-align: right">
-                    <div><strong>Invoice #:</strong> ${order._id.toString().slice(-6).toUpperCase()}</div>
-                    <div><strong>Date:</strong> ${order.date}</div>
-                </div>
-            </div>
-
-            <div class="info">
-                <div>
-                    <strong>Billed To:</strong><br>
-                    ${order.address.name}<br>
-                    ${order.address.line1}<br>
-                    ${order.address.city}, ${order.address.state} - ${order.address.pincode}<br>
-                    Phone: +91 ${order.address.phone}
-                </div>
-                <div style="text-align: right">
-                    <strong>Status:</strong> ${order.status}
-                </div>
-            </div>
-
-            <table>
-                <thead>
-                    <tr>
-                        <th>Item Description</th>
-                        <th>Breed</th>
-                        <th>Type</th>
-                        <th style="text-align: right">Price</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${order.items.map(item => `
-                        <tr>
-                            <td>${item.name}</td>
-                            <td>${item.breed}</td>
-                            <td>${item.type}</td>
-                            <td style="text-align: right">₹${item.price.toLocaleString('en-IN')}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-
-            <div class="total">Grand Total: ₹${order.total.toLocaleString('en-IN')}</div>
-
-            <div class="footer">
-                Thank you for your purchase from Livestock Mart.<br>
-                For support, contact support@livestockmart.com
-            </div>
-            <script>window.print();</script>
-        </body>
-        </html>
-        `;
-        res.send(html);
-    } catch (err) {
-        res.status(500).send('Error generating invoice');
-    }
+        const order = await Order.findById(req.params.id, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+
+        // Only the owner or an admin/staff member can see the invoice
+        if (order.userId.toString() !== req.user.id && !ADMIN_ROLES.includes(req.user.role)) {
+            return next(httpError(403, 'Access denied'));
+        }
+
+        let invoice = await Invoice.findOne({ orderId: order._id });
+        if (!invoice) {
+            if (!INVOICEABLE_STATUSES.includes(order.status)) {
+                return next(httpError(409, `An invoice is issued once payment is verified (order is ${order.status})`));
+            }
+            invoice = await issueInvoice(order);
+        }
+
+        if (req.query.format === 'html') return res.send(renderInvoiceHtml(invoice));
+        const pdf = await renderInvoicePdf(invoice);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="invoice-${invoice.number.replace(/[^A-Za-z0-9-]/g, '_')}.pdf"`,
+            'Cache-Control': 'private, no-cache'
+        });
+        res.send(pdf);
+    } catch (err) { next(err); }
 });
 // --- PAYMENT ROUTES ---
-app.post('/api/payment/create', authMiddleware, (req, res) => {
-    const { amount } = req.body;
-    const paymentId = 'PAY_' + Date.now();
-    const upiString = `upi://pay?pa=${process.env.UPI_ID || 'sai.kambala@ybl'}&pn=LivestockMart&am=${amount}`;
-    res.json({ upiString, paymentId });
+// With { orderId }: opens a gateway payment for that order (amount taken from the order).
+// With only { amount }: legacy static UPI link, verified later by the uploaded screenshot.
+app.post('/api/payment/create', authMiddleware, limits.payments, validate({
+    body: {
+        orderId: v.objectId().optional(),
+        amount: v.number({ min: 1 }).optional(),
+        idempotencyKey: v.string({ min: 1, max: 200 }).optional()
+    }
+}), async (req, res, next) => {
+    try {
+        const { orderId, amount } = req.body;
+        if (!orderId) {
+            if (amount === undefined) return next(fieldErrors({ amount: 'amount is required without an orderId' }));
+            const paymentId = 'PAY_' + Date.now();
+            const upiString = `upi://pay?pa=${process.env.UPI_ID || 'sai.kambala@ybl'}&pn=LivestockMart&am=${amount}`;
+            return res.json({ upiString, paymentId, method: 'proof' });
+        }
+
+        const order = await Order.findOne({ _id: orderId, userId: req.user.id }, '-paymentProof.data');
+        if (!order) return next(httpError(404, 'Order not found'));
+        if (order.status !== 'Pending') return next(httpError(409, `Order is ${order.status} and cannot be paid`));
+
+        // Retried taps (same Idempotency-Key) or a second attempt for the same amount reuse the open payment
+        const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+        const existing = idempotencyKey
+            ? await Payment.findOne({ userId: req.user.id, idempotencyKey })
+            : await Payment.findOne({ orderId: order._id, status: 'created', amount: order.total });
+        if (existing) {
+            if (!existing.orderId.equals(order._id)) return next(httpError(409, 'Idempotency-Key already used for another order'));
+            return res.json({ paymentId: existing._id, upiString: existing.upiString, status: existing.status, method: 'gateway' });
+        }
+
+        const gateway = getGateway();
+        const reference = order._id.toString();
+        const created = await gateway.createPayment({ amount: order.total, currency: 'INR', reference, customer: { id: req.user.id, name: req.user.name, email: req.user.email } });
+        const payment = await Payment.create({
+            orderId: order._id, userId: req.user.id, gateway: gateway.name, gatewayPaymentId: created.gatewayPaymentId,
+            idempotencyKey, amount: order.total, upiString: created.upiString
+        });
+        if (order.paymentMethod !== 'gateway') order.paymentMethod = 'gateway';
+        // Don't let the reservation lapse while the customer is still on the gateway's page
+        const { gatewayGraceMinutes, unpaidMinutes } = await getSettings('reservations');
+        const deadline = order.expiresAt || new Date(order.createdAt.getTime() + unpaidMinutes * MS_PER_MINUTE);
+        order.expiresAt = new Date(Math.max(deadline.getTime(), Date.now() + gatewayGraceMinutes * MS_PER_MINUTE));
+        await order.save();
+        res.status(201).json({ paymentId: payment._id, upiString: payment.upiString, checkoutUrl: created.checkoutUrl, status: payment.status, method: 'gateway' });
+    } catch (err) { next(err); }
+});
+
+// Gateway payments report their real status. Legacy PAY_ ids have nothing to check here:
+// they fall back to screenshot verification by an admin.
+app.post('/api/payment/confirm', authMiddleware, validate({ body: { paymentId: v.string({ min: 1, max: 100 }) } }), async (req, res, next) => {
+    try {
+        const { paymentId } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(paymentId)) return res.json({ success: true, method: 'proof' });
+        const payment = await Payment.findOne({ _id: paymentId, userId: req.user.id });
+        if (!payment) return next(httpError(404, 'Payment not found'));
+        res.json({ success: payment.status === 'succeeded', status: payment.status, method: 'gateway', message: payment.failureReason || undefined });
+    } catch (err) { next(err); }
+});
+
+app.get('/api/orders/:id/payments', authMiddleware, idParam('id'), async (req, res, next) => {
+    try {
+        const filter = { orderId: req.params.id };
+        if (!ADMIN_ROLES.includes(req.user.role)) filter.userId = req.user.id;
+        const payments = await Payment.find(filter, '-processedEventIds').sort({ createdAt: -1 });
+        res.json({ payments });
+    } catch (err) { next(err); }
+});
+
+// Called by the gateway. Signature is checked against the raw request body.
+app.post('/api/payment/webhook', async (req, res, next) => {
+    let event;
+    try { event = getGateway().verifyWebhook(req.rawBody, req.headers); }
+    catch (err) { return next(httpError(400, 'Invalid webhook', { code: 'INVALID_SIGNATURE' })); }
+    try {
+        const result = await applyPaymentEvent(event);
+        if (result.status === 'unknown_payment') return next(httpError(404, 'Unknown payment', { code: 'UNKNOWN_PAYMENT', details: result }));
+        res.json({ received: true, ...result });
+    } catch (err) { next(err); } // A 5xx makes the gateway retry
 });
-app.post('/api/payment/confirm', authMiddleware, (req, res) => res.json({ success: true }));
+
+// Dev only: pretend the customer paid (or failed to) on the mock gateway
+if (process.env.NODE_ENV !== 'production') {
+    app.post('/api/payment/mock/:paymentId/:outcome', authMiddleware, validate({
+        params: { paymentId: v.objectId(), outcome: v.oneOf(['succeeded', 'failed']) }
+    }), async (req, res, next) => {
+        try {
+            const gateway = getGateway();
+            if (!gateway.simulateWebhook) return next(httpError(404, 'Not available for this gateway'));
+            const payment = await Payment.findOne({ _id: req.params.paymentId, userId: req.user.id });
+            if (!payment) return next(httpError(404, 'Payment not found'));
+            const { body, headers } = gateway.simulateWebhook({ gatewayPaymentId: payment.gatewayPaymentId, amount: payment.amount, reference: payment.orderId.toString(), outcome: req.params.outcome });
+            res.json(await applyPaymentEvent(gateway.verifyWebhook(body, headers)));
+        } catch (err) { next(err); }
+    });
+}
 
 app.get('/admin', (req, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 
+// --- ERRORS ---
+// Unmatched API paths get a JSON 404; everything passed to next(err) leaves through errorHandler
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 if (require.main === module) {
     app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+    startInProcessJobs();
 }
 
 module.exports = app;
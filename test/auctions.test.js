@@ -0,0 +1,148 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const mongoose = require('mongoose');
+const Livestock = require('../models/Livestock');
+const Order = require('../models/Order');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { closeAuction } = require('../lib/auctions');
+const { query, captureNotifications } = require('./helpers');
+
+const BIDDER = '64b0000000000000000000b1';
+const SELLER = '64b0000000000000000000c1';
+
+const newListing = (auction = {}, fields = {}) => new Livestock({
+    name: 'Buck', type: 'Goat', breed: 'Sirohi', dateOfBirth: new Date('2024-01-01'), weightKg: 40, price: 10000,
+    status: 'Available', sellerId: SELLER,
+    auction: {
+        enabled: true, endsAt: new Date(Date.now() - 1000), minIncrement: 500,
+        currentBid: 15000, currentBidderId: BIDDER, bidCount: 4, reserveMet: true, ...auction
+    },
+    ...fields
+});
+
+describe('closeAuction', () => {
+    let winner, settings, updates, orders, admin, notified, claimable;
+
+    beforeEach(() => {
+        winner = { _id: new mongoose.Types.ObjectId(BIDDER), name: 'Asha', addresses: [{ name: 'Asha', phone: '9876543210', line1: '1 Farm Road', city: 'Hyderabad', state: 'Telangana', pincode: '500081', isDefault: true }] };
+        settings = {};
+        updates = [];
+        orders = [];
+        claimable = true;
+
+        mock.method(Livestock, 'updateOne', async (filter, update) => {
+            updates.push({ filter, update });
+            // Only the claim matches on 'auction.closedAt': null; it misses when another run got there first
+            const isClaim = filter['auction.closedAt'] === null;
+            return { modifiedCount: !isClaim || claimable ? 1 : 0 };
+        });
+        mock.method(User, 'findById', async () => winner);
+        mock.method(Setting, 'findOne', ({ key }) => query(settings[key] ? { value: settings[key] } : null));
+        mock.method(Order, 'create', async (doc) => { const order = new Order(doc); orders.push(order); return order; });
+        mock.method(User, 'updateMany', async () => ({ modifiedCount: 0 }));
+        ({ admin, notified } = captureNotifications());
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const claimOf = () => updates[0];
+    const notificationsFor = (userId) => notified.filter(n => n.userId === userId);
+
+    it('sells to the highest bidder with a Pending order at their bid', async () => {
+        const listing = newListing();
+        const result = await closeAuction(listing);
+
+        assert.equal(result.outcome, 'sold');
+        assert.equal(claimOf().update.$set.status, 'Sold');
+        assert.equal(claimOf().filter['auction.endsAt'], listing.auction.endsAt);
+
+        const [order] = orders;
+        assert.equal(result.orderId, order._id);
+        assert.equal(order.status, 'Pending');
+        assert.equal(String(order.userId), BIDDER);
+        assert.equal(order.items[0]._id, String(listing._id));
+        assert.equal(order.items[0].price, 15000);
+        assert.equal(order.total, 15000);
+        assert.equal(order.delivery.method, 'delivery');
+        assert.equal(order.address.pincode, '500081');
+        const hoursToPay = (order.expiresAt - Date.now()) / 3600000;
+        assert.ok(hoursToPay > 23.9 && hoursToPay <= 24, `expires in ${hoursToPay}h`);
+
+        assert.deepEqual(updates.at(-1).update, { $set: { 'auction.orderId': order._id } });
+        assert.equal(notificationsFor(BIDDER)[0].title, 'You Won the Auction');
+        assert.equal(notificationsFor(SELLER)[0].title, 'Auction Won');
+        assert.equal(admin[0].type, 'success');
+    });
+
+    it('sets the order up for pickup when we do not deliver to the winner', async () => {
+        settings.delivery = { defaultCharge: null };
+        await closeAuction(newListing());
+        assert.equal(orders[0].delivery.method, 'pickup');
+        assert.equal(admin[0].type, 'warning');
+        assert.match(notificationsFor(BIDDER)[0].message, /be in touch about collection/);
+    });
+
+    it('leaves the animal unsold when the reserve was not met', async () => {
+        const result = await closeAuction(newListing({ reserveMet: false }));
+        assert.deepEqual(result, { outcome: 'reserve_not_met' });
+        assert.equal(claimOf().update.$set['auction.outcome'], 'reserve_not_met');
+        assert.equal(claimOf().update.$set.status, undefined);
+        assert.equal(orders.length, 0);
+        assert.match(admin[0].message, /below the reserve price/);
+        assert.match(notificationsFor(BIDDER)[0].message, /did not reach the seller's reserve price/);
+        assert.equal(notificationsFor(SELLER).length, 1);
+    });
+
+    it('closes without bids and without telling anyone but the seller', async () => {
+        const result = await closeAuction(newListing({ bidCount: 0, currentBid: undefined, currentBidderId: undefined, reserveMet: false }));
+        assert.deepEqual(result, { outcome: 'no_bids' });
+        assert.match(admin[0].message, /without any bids/);
+        assert.deepEqual(notified.map(n => n.userId), [SELLER]);
+    });
+
+    it('withdraws auctions whose listing was taken off sale', async () => {
+        const listing = newListing({}, { status: 'Hidden' });
+        const result = await closeAuction(listing);
+        assert.deepEqual(result, { outcome: 'withdrawn' });
+        assert.equal(claimOf().filter.status, 'Hidden');
+        assert.equal(orders.length, 0);
+        assert.match(notificationsFor(BIDDER)[0].message, /was withdrawn/);
+    });
+
+    it('puts the animal back on sale when the winning account no longer exists', async () => {
+        winner = null;
+        const listing = newListing();
+        const result = await closeAuction(listing);
+
+        assert.deepEqual(result, { outcome: 'winner_unavailable' });
+        assert.equal(orders.length, 0);
+        assert.deepEqual(updates.at(-1), {
+            filter: { _id: listing._id },
+            update: { $set: { status: 'Available', 'auction.outcome': 'winner_unavailable' } }
+        });
+        assert.equal(admin[0].type, 'warning');
+        assert.match(admin[0].message, /winning bidder's account no longer exists/);
+        assert.doesNotMatch(admin[0].message, /reserve/);
+        assert.equal(notificationsFor(BIDDER).length, 0);
+        assert.equal(notificationsFor(SELLER).length, 1);
+    });
+
+    it('does nothing when another run closed it or a late bid extended it', async () => {
+        claimable = false;
+        assert.equal(await closeAuction(newListing()), null);
+        assert.equal(updates.length, 1);
+        assert.equal(orders.length, 0);
+        assert.equal(admin.length, 0);
+        assert.equal(notified.length, 0);
+    });
+
+    it('reopens the auction when the winner\'s order cannot be created', async () => {
+        Order.create.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+        const listing = newListing();
+        await assert.rejects(closeAuction(listing), /connection lost/);
+        assert.deepEqual(updates.at(-1).update, { $set: { status: 'Available', 'auction.closedAt': null }, $unset: { 'auction.outcome': '' } });
+        assert.equal(notified.length, 0);
+    });
+});
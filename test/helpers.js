@@ -0,0 +1,40 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+
+const AdminNotification = require('../models/AdminNotification');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const StreamEvent = require('../models/StreamEvent');
+const User = require('../models/User');
+const push = require('../lib/push');
+
+// --- SHARED TEST FIXTURES ---
+// There is no database in the tests: model calls are mocked per test, and anything left unmocked
+// fails at once instead of waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+// Stands in for a mongoose query: chainable, resolving to `result` at .lean()
+const query = (result) => ({ sort() { return this; }, select() { return this; }, lean: async () => result });
+
+// A Pending order for two animals worth 20000, delivered within Telangana
+const newOrder = (fields = {}) => new Order({
+    customer: 'Asha', userId: '64b000000000000000000001', date: '1 Jan 2026', total: 20000,
+    items: [{ _id: 'a1', name: 'Buck', price: 12000 }, { _id: 'a2', name: 'Doe', price: 8000 }],
+    address: { name: 'Asha', line1: '1 Farm Road', city: 'Hyderabad', state: 'Telangana', pincode: '500081', phone: '9876543210' },
+    ...fields
+});
+
+// Catches what lib/notifications.js and AdminNotification would send. Returns { admin, notified }:
+// admin notifications created, and user notifications as { userId, title, message, ... }.
+// Call from beforeEach; mock.restoreAll() undoes it.
+function captureNotifications() {
+    const sent = { admin: [], notified: [] };
+    mock.method(AdminNotification, 'create', async (doc) => { sent.admin.push(doc); return doc; });
+    mock.method(User, 'findByIdAndUpdate', async (userId, update) => { sent.notified.push({ userId: String(userId), ...update.$push.notifications }); });
+    mock.method(Counter, 'next', async () => 1);
+    mock.method(StreamEvent, 'create', async (doc) => doc);
+    mock.method(push, 'sendPushToUser', async () => ({ sent: 0 }));
+    return sent;
+}
+
+module.exports = { query, newOrder, captureNotifications };
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Invoice = require('../models/Invoice');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { financialYear, issueInvoice } = require('../lib/invoice');
+const { query, newOrder } = require('./helpers');
+
+describe('issueInvoice numbering', () => {
+    // Invoices "in the database": the orderId lookup and the highest-sequence lookup read from here
+    let stored;
+    const fy = financialYear(new Date());
+
+    beforeEach(() => {
+        stored = [];
+        mock.method(Setting, 'findOne', () => query(null));
+        mock.method(User, 'findById', () => query({ email: 'asha@example.com' }));
+        mock.method(Invoice, 'findOne', (filter) => {
+            if (filter.orderId) return Promise.resolve(stored.find(inv => String(inv.orderId) === String(filter.orderId)) || null);
+            const last = stored.filter(inv => inv.financialYear === filter.financialYear).sort((a, b) => b.sequence - a.sequence)[0];
+            return query(last || null);
+        });
+        mock.method(Invoice, 'create', async (doc) => { stored.push(doc); return doc; });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('starts each financial year at 00001 with the configured prefix', async () => {
+        const invoice = await issueInvoice(newOrder());
+        assert.equal(invoice.sequence, 1);
+        assert.equal(invoice.number, `LM/${fy}/00001`);
+        assert.equal(invoice.financialYear, fy);
+    });
+
+    it('takes the number after the highest one issued this year', async () => {
+        stored.push({ orderId: 'other', financialYear: fy, sequence: 41 });
+        stored.push({ orderId: 'older', financialYear: '2001-02', sequence: 900 });
+        const invoice = await issueInvoice(newOrder());
+        assert.equal(invoice.number, `LM/${fy}/00042`);
+    });
+
+    it('returns the existing invoice instead of issuing a second one', async () => {
+        const order = newOrder();
+        const first = await issueInvoice(order);
+        const again = await issueInvoice(order);
+        assert.equal(again, first);
+        assert.equal(Invoice.create.mock.callCount(), 1);
+    });
+
+    it('retries with the next number when another invoice takes it first', async () => {
+        let collided = false;
+        Invoice.create.mock.mockImplementation(async (doc) => {
+            if (!collided) {
+                // A concurrent issue for another order grabs the same number
+                collided = true;
+                stored.push({ orderId: 'other', financialYear: fy, sequence: doc.sequence });
+                throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+            }
+            stored.push(doc);
+            return doc;
+        });
+        const invoice = await issueInvoice(newOrder());
+        assert.equal(invoice.number, `LM/${fy}/00002`);
+        assert.equal(Invoice.create.mock.callCount(), 2);
+    });
+
+    it('returns the invoice a concurrent request issued for the same order', async () => {
+        const order = newOrder();
+        const raced = { orderId: order._id, financialYear: fy, sequence: 1, number: `LM/${fy}/00001` };
+        Invoice.create.mock.mockImplementation(async () => {
+            stored.push(raced);
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+        assert.equal(await issueInvoice(order), raced);
+        assert.equal(Invoice.create.mock.callCount(), 1);
+    });
+
+    it('gives up after repeated collisions and passes other errors through', async () => {
+        Invoice.create.mock.mockImplementation(async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); });
+        await assert.rejects(issueInvoice(newOrder()), /Could not allocate an invoice number/);
+        assert.equal(Invoice.create.mock.callCount(), 10);
+
+        Invoice.create.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+        await assert.rejects(issueInvoice(newOrder()), /connection lost/);
+    });
+});
+
+describe('financialYear', () => {
+    it('runs April to March', () => {
+        assert.equal(financialYear(new Date('2026-01-15T12:00:00+05:30')), '2025-26');
+        assert.equal(financialYear(new Date('2026-03-31T12:00:00+05:30')), '2025-26');
+        assert.equal(financialYear(new Date('2026-04-01T12:00:00+05:30')), '2026-27');
+        assert.equal(financialYear(new Date('2099-12-31T12:00:00+05:30')), '2099-00');
+    });
+
+    it('changes year at midnight on 1 April in India, not in UTC', () => {
+        assert.equal(financialYear(new Date('2026-03-31T23:59:59+05:30')), '2025-26');
+        assert.equal(financialYear(new Date('2026-04-01T00:00:00+05:30')), '2026-27'); // Still 31 March in UTC
+        assert.equal(financialYear(new Date('2026-04-01T05:29:59+05:30')), '2026-27');
+    });
+});
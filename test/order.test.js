@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Order = require('../models/Order');
+const { newOrder } = require('./helpers');
+
+describe('Order state machine', () => {
+    it('allows the happy path one step at a time', () => {
+        const path = ['Pending', 'Processing', 'Payment Verified', 'Shipped', 'Delivered', 'Refunded'];
+        for (let i = 1; i < path.length; i++) assert.ok(Order.canTransition(path[i - 1], path[i]), `${path[i - 1]} -> ${path[i]}`);
+    });
+
+    it('rejects skipped steps, moves backwards and leaving a final status', () => {
+        assert.equal(Order.canTransition('Pending', 'Shipped'), false);
+        assert.equal(Order.canTransition('Processing', 'Delivered'), false);
+        assert.equal(Order.canTransition('Shipped', 'Pending'), false);
+        assert.equal(Order.canTransition('Shipped', 'Cancelled'), false); // Has to go through a refund
+        for (const to of Order.ORDER_STATUSES) {
+            assert.equal(Order.canTransition('Cancelled', to), false);
+            assert.equal(Order.canTransition('Refunded', to), false);
+        }
+    });
+
+    it('treats unknown statuses as having no way out', () => {
+        assert.equal(Order.canTransition('Lost', 'Pending'), false);
+        assert.equal(Order.canTransition(undefined, 'Pending'), false);
+    });
+
+    it('records each transition in statusHistory', () => {
+        const order = newOrder();
+        const actor = { id: '64b000000000000000000002', name: 'Ravi', role: 'admin' };
+        order.transitionTo('Processing', { actor, note: 'Proof uploaded' });
+        assert.equal(order.status, 'Processing');
+        const [entry] = order.statusHistory;
+        assert.equal(entry.from, 'Pending');
+        assert.equal(entry.to, 'Processing');
+        assert.equal(entry.actor.name, 'Ravi');
+        assert.equal(entry.note, 'Proof uploaded');
+    });
+
+    it('defaults the actor to the system', () => {
+        const order = newOrder();
+        order.transitionTo('Cancelled');
+        assert.equal(order.statusHistory[0].actor.role, 'system');
+    });
+
+    it('stamps the payment when it is verified', () => {
+        const order = newOrder({ status: 'Processing' });
+        order.transitionTo('Payment Verified');
+        assert.ok(order.paidAt instanceof Date);
+        assert.equal(order.paidAmount, 20000);
+    });
+
+    it('throws 409 for an illegal jump and 400 for an unknown status, leaving the order alone', () => {
+        const order = newOrder();
+        assert.throws(() => order.transitionTo('Delivered'), { status: 409 });
+        assert.throws(() => order.transitionTo('Teleported'), { status: 400 });
+        assert.equal(order.status, 'Pending');
+        assert.equal(order.statusHistory.length, 0);
+    });
+});
+
+describe('Order.cancelItems', () => {
+    it('moves the items to cancelledItems and lowers the total, keeping the delivery charge', () => {
+        const order = newOrder({ total: 20500, delivery: { method: 'delivery', charge: 500 } });
+        const removed = order.cancelItems(['a2'], { reason: 'Changed my mind', actor: { role: 'customer', name: 'Asha' } });
+        assert.deepEqual(removed.map(item => item._id), ['a2']);
+        assert.deepEqual(order.items.map(item => item._id), ['a1']);
+        assert.equal(order.total, 12500);
+        assert.equal(order.cancelledItems.length, 1);
+        assert.equal(order.cancelledItems[0]._id, 'a2');
+        assert.equal(order.cancelledItems[0].reason, 'Changed my mind');
+        assert.equal(order.cancelledItems[0].actor.role, 'customer');
+    });
+
+    it('rejects ids that are not on the order without changing anything', () => {
+        const order = newOrder();
+        assert.throws(() => order.cancelItems(['a2', 'zz']), { status: 400, message: /zz/ });
+        assert.equal(order.items.length, 2);
+        assert.equal(order.total, 20000);
+    });
+
+    it('refuses to remove every item', () => {
+        const order = newOrder();
+        assert.throws(() => order.cancelItems(['a1', 'a2']), { status: 409 });
+        assert.throws(() => order.cancelItems(['a1', 'a1', 'a2']), { status: 409 });
+    });
+
+    it('remembers the full amount a proof under review was for, so the difference is owed back', () => {
+        const order = newOrder({ status: 'Processing', paymentMethod: 'proof', paidAt: new Date() });
+        order.cancelItems(['a1']);
+        assert.equal(order.paidAmount, 20000);
+        assert.equal(order.total, 8000);
+        assert.equal(order.refundSummary().owed, 12000);
+    });
+
+    it('leaves paidAmount unset for unpaid Pending orders', () => {
+        const order = newOrder();
+        order.cancelItems(['a1']);
+        assert.equal(order.paidAmount, undefined);
+        assert.equal(order.refundSummary().owed, 0);
+    });
+});
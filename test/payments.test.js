@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { applyPaymentEvent } = require('../lib/payments/webhooks');
+const { newOrder, captureNotifications } = require('./helpers');
+
+const succeeded = (fields = {}) => ({ id: 'evt_1', type: 'payment.succeeded', gatewayPaymentId: 'pay_1', amount: 20000, ...fields });
+
+describe('applyPaymentEvent', () => {
+    let order, payment, admin, notified;
+
+    beforeEach(() => {
+        order = newOrder();
+        payment = new Payment({ orderId: order._id, userId: order.userId, gateway: 'mock', gatewayPaymentId: 'pay_1', amount: 20000 });
+
+        // `payment` and `order` are what is "in the database": reads hand out copies and saves write back
+        mock.method(Payment, 'findOne', async (filter) => filter.gatewayPaymentId === payment.gatewayPaymentId ? Payment.hydrate(payment.toObject()) : null);
+        mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+            if (payment.status === 'succeeded') return null;
+            payment.set(update);
+            return payment;
+        });
+        mock.method(Payment, 'updateOne', async (filter, update) => {
+            if (!payment.processedEventIds.includes(update.$addToSet.processedEventIds)) payment.processedEventIds.push(update.$addToSet.processedEventIds);
+        });
+        mock.method(Payment.prototype, 'save', async function () { payment = this; return this; });
+        mock.method(Order, 'findById', async () => order && Order.hydrate(order.toObject()));
+        mock.method(Order.prototype, 'save', async function () { order = this; return this; });
+        mock.method(Invoice, 'findOne', async () => ({ number: 'LM/2026-27/00001' }));
+        ({ admin, notified } = captureNotifications());
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('verifies a Pending order paid in full and tells the customer', async () => {
+        assert.deepEqual(await applyPaymentEvent(succeeded()), { status: 'paid' });
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(order.status, 'Payment Verified');
+        assert.equal(order.paymentMethod, 'gateway');
+        assert.equal(order.paidAmount, 20000);
+        assert.ok(order.paidAt);
+        assert.equal(order.statusHistory.at(-1).actor.name, 'Payment gateway');
+        assert.equal(admin.at(-1).type, 'success');
+        assert.equal(notified.length, 1);
+        assert.equal(notified[0].title, 'Payment Received');
+    });
+
+    it('applies each gateway event once', async () => {
+        await applyPaymentEvent(succeeded());
+        assert.deepEqual(await applyPaymentEvent(succeeded()), { status: 'duplicate' });
+        assert.equal(notified.length, 1);
+    });
+
+    it('reports events for payments it never opened', async () => {
+        assert.deepEqual(await applyPaymentEvent(succeeded({ gatewayPaymentId: 'pay_other' })), { status: 'unknown_payment' });
+    });
+
+    it('does not pay twice when a second success event arrives', async () => {
+        await applyPaymentEvent(succeeded());
+        assert.deepEqual(await applyPaymentEvent(succeeded({ id: 'evt_2' })), { status: 'already_paid' });
+        assert.equal(Order.prototype.save.mock.callCount(), 1);
+    });
+
+    it('finishes the order when the gateway retries an event that failed halfway', async () => {
+        Order.prototype.save.mock.mockImplementationOnce(async () => { throw new Error('connection lost'); });
+        await assert.rejects(applyPaymentEvent(succeeded()), /connection lost/);
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(order.status, 'Pending');
+        assert.deepEqual([...payment.processedEventIds], []);
+
+        assert.deepEqual(await applyPaymentEvent(succeeded()), { status: 'paid' });
+        assert.equal(order.status, 'Payment Verified');
+        assert.equal(order.paidAmount, 20000);
+        assert.deepEqual([...payment.processedEventIds], ['evt_1']);
+        assert.equal(notified.length, 1);
+    });
+
+    it('fails the payment and leaves the order alone when the amount is wrong', async () => {
+        assert.deepEqual(await applyPaymentEvent(succeeded({ amount: 15000 })), { status: 'amount_mismatch' });
+        assert.equal(payment.status, 'failed');
+        assert.match(payment.failureReason, /expected 20000, got 15000/);
+        assert.equal(order.status, 'Pending');
+        assert.equal(admin.at(-1).type, 'error');
+        assert.equal(notified.length, 0);
+    });
+
+    it('records a failed payment and lets the customer know', async () => {
+        assert.deepEqual(await applyPaymentEvent(succeeded({ type: 'payment.failed', reason: 'Insufficient funds' })), { status: 'failed' });
+        assert.equal(payment.status, 'failed');
+        assert.equal(payment.failureReason, 'Insufficient funds');
+        assert.equal(order.status, 'Pending');
+        assert.equal(notified[0].title, 'Payment Failed');
+    });
+
+    it('flags money that arrives for a cancelled order as owed back', async () => {
+        order.status = 'Cancelled';
+        assert.deepEqual(await applyPaymentEvent(succeeded()), { status: 'needs_refund' });
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(order.status, 'Cancelled');
+        assert.equal(order.paidAmount, 20000);
+        assert.equal(order.refundSummary().outstanding, 20000);
+        assert.match(admin.at(-1).message, /Refund required/);
+        assert.equal(notified.length, 0);
+    });
+
+    it('still asks for a refund when the order no longer exists', async () => {
+        order = null;
+        assert.deepEqual(await applyPaymentEvent(succeeded()), { status: 'needs_refund' });
+        assert.match(admin.at(-1).message, /it is missing/);
+    });
+});